@@ -7,6 +7,14 @@ import { dirname, join } from 'path';
 import { EventEmitter } from 'events';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import fs from 'fs/promises';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { pipeline } from 'stream';
+import zlib from 'zlib';
+import multer from 'multer';
 
 dotenv.config();
 
@@ -17,8 +25,29 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const AGENT_MODEL = process.env.AGENT_MODEL || 'openai/gpt-4.1';
 const SEARCH_MODEL = process.env.SEARCH_MODEL || 'openai/gpt-4.1';
+const AGENT_CONFIG_FILE = process.env.AGENT_CONFIG_FILE || join(__dirname, 'agents.json');
 const FAL_KEY = process.env.FAL_KEY || '';
 
+// Provider selection: 'fal' (default), 'openai' (any OpenAI-compatible server) or 'mock' (offline)
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'fal';
+const LLM_BASE_URL = process.env.LLM_BASE_URL || 'http://localhost:11434/v1';
+const LLM_API_KEY = process.env.LLM_API_KEY || '';
+const TTS_PROVIDER = process.env.TTS_PROVIDER || (LLM_PROVIDER === 'mock' ? 'mock' : 'fal');
+const TTS_BASE_URL = process.env.TTS_BASE_URL || LLM_BASE_URL;
+const TTS_API_KEY = process.env.TTS_API_KEY || LLM_API_KEY;
+const TTS_MODEL = process.env.TTS_MODEL || 'tts-1';
+const TTS_VOICE = process.env.TTS_VOICE || 'alloy';
+// Thumbnails: 'fal' (IMAGE_MODEL, any fal text-to-image model) or 'mock' (local placeholder images)
+const IMAGE_PROVIDER = process.env.IMAGE_PROVIDER || (LLM_PROVIDER === 'mock' ? 'mock' : 'fal');
+const IMAGE_MODEL = process.env.IMAGE_MODEL || 'fal-ai/flux/schnell';
+const FAL_KEY_REQUIRED = LLM_PROVIDER === 'fal' || TTS_PROVIDER === 'fal';
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, 'data');
+const SESSION_STORE = process.env.SESSION_STORE || 'file';
+const AUDIO_DIR = join(DATA_DIR, 'audio');
+const VOICEOVER_CHUNK_GAP = parseFloat(process.env.VOICEOVER_CHUNK_GAP || '0'); // seconds of silence between TTS chunks
+const TTS_TIMESTAMPS = process.env.TTS_TIMESTAMPS !== 'false'; // request word timing data from TTS
+const AUDIO_DOWNLOAD_MAX_BYTES = parseInt(process.env.AUDIO_DOWNLOAD_MAX_MB || '50', 10) * 1024 * 1024; // per remote TTS chunk
+
 // ============================================
 // SECURITY & VALIDATION UTILITIES
 // ============================================
@@ -97,13 +126,360 @@ const SecurityUtils = {
 // Cleanup rate limits every 5 minutes
 setInterval(() => SecurityUtils.cleanupRateLimits(), 300000);
 
+// ============================================
+// LANGUAGES (script language and speaking rates)
+// ============================================
+
+// Narration rates at 1.0x voice speed. Languages with longer words fit fewer of them into a
+// minute; languages written without spaces are counted in characters (each kana, kanji, hanzi
+// or hangul block is roughly one spoken syllable).
+const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', unit: 'word', rate: 150 },
+  es: { name: 'Spanish', nativeName: 'Español', unit: 'word', rate: 160 },
+  de: { name: 'German', nativeName: 'Deutsch', unit: 'word', rate: 125 },
+  tr: { name: 'Turkish', nativeName: 'Türkçe', unit: 'word', rate: 115 },
+  fr: { name: 'French', nativeName: 'Français', unit: 'word', rate: 155 },
+  it: { name: 'Italian', nativeName: 'Italiano', unit: 'word', rate: 150 },
+  pt: { name: 'Portuguese', nativeName: 'Português', unit: 'word', rate: 150 },
+  nl: { name: 'Dutch', nativeName: 'Nederlands', unit: 'word', rate: 135 },
+  pl: { name: 'Polish', nativeName: 'Polski', unit: 'word', rate: 120 },
+  ja: { name: 'Japanese', nativeName: '日本語', unit: 'character', rate: 350 },
+  zh: { name: 'Chinese', nativeName: '中文', unit: 'character', rate: 250 },
+  ko: { name: 'Korean', nativeName: '한국어', unit: 'character', rate: 300 }
+};
+const DEFAULT_LANGUAGE = 'en';
+
+const Languages = {
+  list() {
+    return Object.entries(LANGUAGES).map(([code, language]) => ({ code, ...language }));
+  },
+
+  // Accepts a code ("es"), a locale ("es-MX") or a name in English or the language itself ("Spanish", "español")
+  resolve(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const key = value.trim().toLowerCase();
+    const code = key.split(/[-_]/)[0];
+    if (LANGUAGES[code]) return code;
+    return Object.keys(LANGUAGES).find(candidate =>
+      LANGUAGES[candidate].name.toLowerCase() === key || LANGUAGES[candidate].nativeName.toLowerCase() === key
+    ) || null;
+  },
+
+  get(code) {
+    const resolved = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+    return { code: resolved, ...LANGUAGES[resolved] };
+  }
+};
+
+// ============================================
+// PACING MODEL (how long narration takes to speak)
+// ============================================
+
+// ElevenLabs settings per voice style; `speed` also scales the speaking rate
+const VOICE_STYLES = {
+  documentary: { stability: 0.5, similarity_boost: 0.75, speed: 0.95 },
+  energetic: { stability: 0.4, similarity_boost: 0.8, speed: 1.1 },
+  calm: { stability: 0.7, similarity_boost: 0.7, speed: 0.9 },
+  dramatic: { stability: 0.3, similarity_boost: 0.85, speed: 0.85 },
+  conversational: { stability: 0.5, similarity_boost: 0.75, speed: 1.0 }
+};
+const DEFAULT_VOICE_STYLE = 'documentary';
+const PAUSE_SECONDS = 0.75; // each [PAUSE] (read as "...")
+const PACING_FILE = join(DATA_DIR, 'pacing.json');
+const CALIBRATION_WINDOW = 1800; // seconds of past audio a calibration keeps weighing against new renders
+
+// Scripts that use characters rather than spaced words; a run of other letters or digits
+// inside them ("YouTube", "2024") counts as one unit
+const CHARACTER_UNIT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}])[\p{L}\p{N}])+/gu;
+const CHARACTER_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// A `pace` is { language, voiceStyle, voiceId }: what the narration will be read in and by.
+// Rates are the language's rate at the style's speed, times a factor learned from real TTS durations.
+const Pacing = {
+  // Calibration per voice (see key): { factor, seconds, updatedAt }
+  calibrations: new Map(),
+
+  // Spoken units (words, or characters) and pauses; works on narration ([PAUSE] tags) and on
+  // cleaned TTS text (pauses already turned into "...")
+  measure(text, language = DEFAULT_LANGUAGE) {
+    const source = String(text || '');
+    const pauses = (source.match(/\[PAUSE\]|\.\.\.|…/gi) || []).length;
+    const spoken = source.replace(/\[[^\]]*\]/g, ' ');
+    const units = Languages.get(language).unit === 'character'
+      ? (spoken.match(CHARACTER_UNIT) || []).length
+      : spoken.split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+    return { units, pauses };
+  },
+
+  count(text, language = DEFAULT_LANGUAGE) {
+    return this.measure(text, language).units;
+  },
+
+  // Plural label for counts shown to users and agents ("words" / "characters")
+  unitLabel(language = DEFAULT_LANGUAGE) {
+    return Languages.get(language).unit === 'character' ? 'characters' : 'words';
+  },
+
+  // Calibrations are per TTS provider, language, style and (for channel voices) voice ID
+  key({ language = DEFAULT_LANGUAGE, voiceStyle = DEFAULT_VOICE_STYLE, voiceId = null } = {}) {
+    return [TTS_PROVIDER, language, voiceStyle, voiceId].filter(Boolean).join(':');
+  },
+
+  // Units per minute; `calibrated: false` gives the uncorrected model
+  rate(pace = {}) {
+    const style = VOICE_STYLES[pace.voiceStyle] || VOICE_STYLES[DEFAULT_VOICE_STYLE];
+    const factor = pace.calibrated === false ? 1 : this.calibrations.get(this.key(pace))?.factor ?? 1;
+    return Languages.get(pace.language).rate * style.speed * factor;
+  },
+
+  seconds(text, pace = {}) {
+    const { units, pauses } = this.measure(text, pace.language);
+    return units / this.rate(pace) * 60 + pauses * PAUSE_SECONDS;
+  },
+
+  minutes(text, pace = {}) {
+    return Math.round(this.seconds(text, pace) / 60 * 10) / 10;
+  },
+
+  // Unit count range for a target duration: 7% under to 20% over
+  targetRange(minutes, pace = {}) {
+    const perMinute = this.rate(pace);
+    return {
+      min: Math.floor(minutes * perMinute * 0.93),
+      max: Math.ceil(minutes * perMinute * 1.20)
+    };
+  },
+
+  describe(pace = {}) {
+    const language = Languages.get(pace.language);
+    const voiceStyle = VOICE_STYLES[pace.voiceStyle] ? pace.voiceStyle : DEFAULT_VOICE_STYLE;
+    const calibration = this.calibrations.get(this.key({ ...pace, voiceStyle }));
+    return {
+      language: language.code,
+      unit: language.unit,
+      voiceStyle,
+      speed: VOICE_STYLES[voiceStyle].speed,
+      perMinute: Math.round(this.rate({ ...pace, voiceStyle })),
+      pauseSeconds: PAUSE_SECONDS,
+      calibration: calibration ? { factor: calibration.factor, seconds: calibration.seconds } : null
+    };
+  },
+
+  // Fold rendered TTS chunks ({ text, duration }) into the voice's calibration: the observed rate
+  // over the model's uncorrected rate, averaged by seconds of audio. Returns null when there
+  // is too little audio to learn from.
+  calibrate(pace, chunks) {
+    let units = 0;
+    let speech = 0;
+    for (const chunk of chunks) {
+      if (!chunk.text || !(chunk.duration > 0)) continue;
+      const measured = this.measure(chunk.text, pace.language);
+      const seconds = chunk.duration - measured.pauses * PAUSE_SECONDS;
+      if (measured.units === 0 || seconds <= 0) continue;
+      units += measured.units;
+      speech += seconds;
+    }
+    if (units < 20 || speech < 5) return null;
+
+    const factor = Math.min(2, Math.max(0.5, units / speech * 60 / this.rate({ ...pace, calibrated: false })));
+    const key = this.key(pace);
+    const previous = this.calibrations.get(key);
+    const weight = Math.min(previous?.seconds || 0, CALIBRATION_WINDOW);
+    const calibration = {
+      factor: Math.round((previous ? (previous.factor * weight + factor * speech) / (weight + speech) : factor) * 1000) / 1000,
+      seconds: Math.round(weight + speech),
+      updatedAt: new Date().toISOString()
+    };
+    this.calibrations.set(key, calibration);
+    return calibration;
+  },
+
+  async load(file = PACING_FILE) {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      for (const [key, calibration] of Object.entries(data)) {
+        if (calibration?.factor > 0) this.calibrations.set(key, calibration);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Failed to read pacing calibration from ${file}:`, error.message);
+    }
+  },
+
+  async save(file = PACING_FILE) {
+    await fs.mkdir(dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(Object.fromEntries(this.calibrations), null, 2));
+    await fs.rename(tmp, file);
+  }
+};
+
+await Pacing.load();
+
+// ============================================
+// DURATION PARSING (target lengths from chat and the API)
+// ============================================
+
+const DURATION_LIMITS = { min: 10 / 60, max: 180 }; // minutes
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const TENS_WORDS = 'twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety';
+const DIGIT_WORDS = 'one|two|three|four|five|six|seven|eight|nine';
+
+// Longest spellings first; a unit must not run into another letter ("5 months", "3 hosts")
+const DURATION_UNIT = '(hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)(?![a-z])';
+const DURATION_NUMBER = '(\\d+(?:\\.\\d+)?)';
+const UNIT_MINUTES = { h: 60, m: 1, s: 1 / 60 };
+
+// Wording that bounds a duration from above or below ("under a minute", "at least 10 minutes")
+const UPPER_BOUND = /(?:under|below|less than|at most|no more than|no longer than|not (?:more|longer) than|shorter than|up to|within|max(?:imum)?(?: of)?)\s+(?:about |around |roughly |~)?$/;
+const LOWER_BOUND = /(?:over|above|more than|at least|no less than|no shorter than|longer than|minimum(?: of)?)\s+(?:about |around |roughly |~)?$/;
+// A duration the user is moving away from ("instead of 3 minutes", "from 3 to 5 minutes")
+const REPLACED = /(?:instead of|rather than|not|from)\s+$/;
+// A message that changes an existing target rather than mentioning a length in passing
+const CHANGE_INTENT = /\b(?:actually|instead|change|changed|make it|make the (?:video|script)|rather|switch|shorten|shorter|lengthen|longer|cut (?:it|the)|trim|extend|bump|target|should be|needs? to be|let'?s (?:do|go|make))\b/i;
+
+// Durations are minutes, optionally with a { min, max } range in minutes. `label` echoes
+// what was understood ("8-10 minutes", "under 1 minute").
+const DurationParser = {
+  // Lower-case, spell out numbers as digits and rewrite idioms ("a minute and a half") as plain values
+  normalize(text) {
+    return String(text || '').toLowerCase()
+      .replace(/[–—]/g, '-')
+      .replace(/(\d),(\d)(?!\d)/g, '$1.$2')
+      .replace(/\bhalf (?:an? )?(hour|minute)\b/g, '0.5 $1')
+      .replace(/\b(?:an?|one) (hour|minute|min|second|sec)s?\b/g, '1 $1')
+      .replace(/\b(?:a )?couple(?: of)?\s+(?=\w)/g, '2 ')
+      .replace(/\ba few\s+/g, '3 ')
+      .replace(new RegExp(`\\b(${TENS_WORDS})[\\s-](${DIGIT_WORDS})\\b`, 'g'), (match, tens, digit) => String(NUMBER_WORDS[tens] + NUMBER_WORDS[digit]))
+      .replace(new RegExp(`\\b(${Object.keys(NUMBER_WORDS).join('|')})\\b`, 'g'), word => String(NUMBER_WORDS[word]))
+      .replace(/(\d+(?:\.\d+)?) and (?:a )?half\s+(hours?|minutes?|mins?)/g, (match, value, unit) => `${Number(value) + 0.5} ${unit}`)
+      .replace(/(\d+(?:\.\d+)?)\s*(hours?|minutes?|mins?) and (?:a )?half\b/g, (match, value, unit) => `${Number(value) + 0.5} ${unit}`)
+      // "a minute or two", "10 minutes or 12": a range in the stated unit
+      .replace(/(\d+(?:\.\d+)?)\s*(hours?|minutes?|mins?|seconds?|secs?) or (\d+(?:\.\d+)?)(?![\d.]|\s*-?\s*(?:hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)(?![a-z]))/g, '$1-$3 $2')
+      .replace(/\b(\d+):([0-5]\d)\s*(?:minutes?|mins?)(?![a-z])/g, '$1m $2s');
+  },
+
+  // `{ minutes, range, label }` for the first duration in the text, or null
+  parse(text) {
+    const normalized = this.normalize(text);
+
+    // Amounts like "2m", "30 seconds", "5-minute"; bare "Ns" only when it can't be a decade ("the 90s", "1990s")
+    const amounts = [...normalized.matchAll(new RegExp(`${DURATION_NUMBER}\\s*-?\\s*${DURATION_UNIT}`, 'g'))]
+      .filter(match => !(match[2] === 's' && (/(?:the |')$/.test(normalized.slice(0, match.index)) || Number(match[1]) >= 1000)))
+      .map(match => ({ value: Number(match[1]), unit: match[2][0], start: match.index, end: match.index + match[0].length }));
+
+    // Join compounds with falling units ("2m30s", "1 hour and 15 minutes") into terms
+    const terms = [];
+    for (const amount of amounts) {
+      const last = terms[terms.length - 1];
+      const gap = last ? normalized.slice(last.end, amount.start) : null;
+      if (last && /^\s*(?:,|and)?\s*$/.test(gap) && UNIT_MINUTES[amount.unit] < UNIT_MINUTES[last.unit]) {
+        last.minutes += amount.value * UNIT_MINUTES[amount.unit];
+        last.unit = amount.unit;
+        last.end = amount.end;
+      } else {
+        terms.push({ minutes: amount.value * UNIT_MINUTES[amount.unit], unit: amount.unit, firstUnit: amount.unit, start: amount.start, end: amount.end });
+      }
+    }
+
+    for (let index = 0; index < terms.length; index++) {
+      const term = terms[index];
+      const next = terms[index + 1];
+      const before = normalized.slice(0, term.start);
+
+      // "3 minutes to 5 minutes" / "from 3 to 5 minutes": a range, or a change when it starts with "from"
+      const between = next ? normalized.slice(term.end, next.start) : '';
+      if (next && /^\s*(?:-|to|or)\s*$/.test(between)) {
+        if (/\bfrom\s+$/.test(before)) continue;
+        return this.result({ min: term.minutes, max: next.minutes }, before);
+      }
+      const bare = before.match(/(between\s+)?(\d+(?:\.\d+)?)\s*(-|to|or|and)\s*$/);
+      if (bare && (bare[3] !== 'and' || bare[1])) {
+        const head = before.slice(0, bare.index);
+        if (/\bfrom\s+$/.test(head)) return this.result({ min: term.minutes, max: term.minutes }, before.slice(bare.index + bare[0].length));
+        return this.result({ min: Number(bare[2]) * UNIT_MINUTES[term.firstUnit], max: term.minutes }, head);
+      }
+      if (next && REPLACED.test(before)) continue;
+      return this.result({ min: term.minutes, max: term.minutes }, before);
+    }
+    return null;
+  },
+
+  // Apply "under"/"at least" wording, then check the limits
+  result({ min, max }, before) {
+    let range = min === max ? null : { min: Math.min(min, max), max: Math.max(min, max) };
+    let label = range ? `${this.formatRange(range)}` : this.format(min);
+    if (!range && UPPER_BOUND.test(before)) {
+      range = { min: min * 0.75, max: min };
+      label = `under ${label}`;
+    } else if (!range && LOWER_BOUND.test(before)) {
+      range = { min, max: min * 1.25 };
+      label = `at least ${label}`;
+    }
+    const minutes = range ? (range.min + range.max) / 2 : min;
+    if (!(minutes >= DURATION_LIMITS.min && minutes <= DURATION_LIMITS.max)) return null;
+    return { minutes: Math.round(minutes * 100) / 100, range, label };
+  },
+
+  // Whether a message asks to change an already set target ("actually make it 5 minutes")
+  isChange(text) {
+    return CHANGE_INTENT.test(String(text || ''));
+  },
+
+  // API fields: `targetDuration` (minutes, or a phrase like "8-10 minutes") or `targetWords`.
+  // Returns { target } (null when neither is given) or { error }.
+  fromFields({ targetDuration, targetWords } = {}) {
+    const hasDuration = targetDuration !== undefined && targetDuration !== null && targetDuration !== '';
+    const hasWords = targetWords !== undefined && targetWords !== null && targetWords !== '';
+    if (hasDuration && hasWords) return { error: 'Use targetDuration or targetWords, not both' };
+    if (hasWords) {
+      const words = Number(targetWords);
+      if (!Number.isInteger(words) || words < 20 || words > 50000) {
+        return { error: 'targetWords must be a whole number between 20 and 50000' };
+      }
+      return { target: { words } };
+    }
+    if (!hasDuration) return { target: null };
+
+    const parsed = typeof targetDuration === 'number'
+      ? this.result({ min: targetDuration, max: targetDuration }, '')
+      : typeof targetDuration === 'string' ? this.parse(/^\s*\d+(?:\.\d+)?\s*$/.test(targetDuration) ? `${targetDuration} minutes` : targetDuration) : null;
+    if (!parsed) {
+      return { error: `targetDuration must be minutes (e.g. 1.5) or a phrase like "2m30s" or "8-10 minutes", between 10 seconds and ${DURATION_LIMITS.max} minutes` };
+    }
+    return { target: parsed };
+  },
+
+  format(minutes) {
+    if (minutes < 1) return `${Math.round(minutes * 60)} seconds`;
+    const value = Math.round(minutes * 100) / 100;
+    return `${value} minute${value === 1 ? '' : 's'}`;
+  },
+
+  // Rough spoken length for estimates ("~1 minute", "~2.4 minutes")
+  approximate(minutes) {
+    return `~${minutes} minute${minutes === 1 ? '' : 's'}`;
+  },
+
+  formatRange({ min, max }) {
+    if (max <= 1) return `${Math.round(min * 60)}-${Math.round(max * 60)} seconds`;
+    const value = minutes => Math.round(minutes * 100) / 100;
+    return `${value(min)}-${value(max)} minutes`;
+  }
+};
+
 // ============================================
 // QUALITY CONTROL UTILITIES
 // ============================================
 
 const QualityControl = {
-  // Check script quality
-  validateScript(script, targetWordCount) {
+  // Check script quality; `bannedWords` come from the project's channel profile and `pace`
+  // (see PACING MODEL) sets how words are counted and how long they take to say
+  validateScript(script, targetWordCount, { bannedWords = [], pace = {} } = {}) {
     const issues = [];
     const warnings = [];
 
@@ -112,14 +488,15 @@ const QualityControl = {
       return { valid: false, issues, warnings, wordCount: 0 };
     }
 
-    const wordCount = script.split(/\s+/).filter(w => w.length > 0).length;
+    const wordCount = Pacing.count(script, pace.language);
+    const unit = Pacing.unitLabel(pace.language);
 
     // Word count checks
     if (targetWordCount.min > 0 && wordCount < targetWordCount.min) {
-      issues.push(`Script too short: ${wordCount} words (minimum: ${targetWordCount.min})`);
+      issues.push(`Script too short: ${wordCount} ${unit} (minimum: ${targetWordCount.min})`);
     }
     if (targetWordCount.max > 0 && wordCount > targetWordCount.max) {
-      issues.push(`Script too long: ${wordCount} words (maximum: ${targetWordCount.max})`);
+      issues.push(`Script too long: ${wordCount} ${unit} (maximum: ${targetWordCount.max})`);
     }
 
     // Check for agent messages/meta-commentary
@@ -141,6 +518,11 @@ const QualityControl = {
       }
     }
 
+    const banned = this.findBannedTerms(script, bannedWords);
+    if (banned.length > 0) {
+      issues.push(`Script uses banned words: ${banned.map(term => `"${term}"`).join(', ')}`);
+    }
+
     // Check for proper structure (has content)
     if (wordCount < 10) {
       issues.push('Script has insufficient content');
@@ -161,12 +543,51 @@ const QualityControl = {
       issues,
       warnings,
       wordCount,
-      estimatedDuration: Math.round(wordCount / 150 * 10) / 10
+      estimatedDuration: Pacing.minutes(script, pace)
     };
   },
 
+  // Section lengths against the template's budgets. More than 35% (and 10 words) off is a
+  // warning; under half or over double the budget (and 20 words off) blocks finalizing.
+  validateSectionLengths(sections, budgets, language = DEFAULT_LANGUAGE) {
+    const issues = [];
+    const warnings = [];
+    const budgetFor = new Map(budgets.map(budget => [ScriptModel.normalizeTitle(budget.title), budget]));
+    const written = new Set(sections.map(section => ScriptModel.normalizeTitle(section.title)));
+
+    for (const budget of budgets) {
+      if (!written.has(ScriptModel.normalizeTitle(budget.title))) {
+        warnings.push(`Missing section from the format: "${budget.title}"`);
+      }
+    }
+
+    for (const section of sections) {
+      const budget = budgetFor.get(ScriptModel.normalizeTitle(section.title));
+      if (!budget) continue;
+      const words = Pacing.count(section.narration, language);
+      const gap = Math.abs(words - budget.words);
+      const message = `Section "${section.title}" is ${words} ${Pacing.unitLabel(language)} (budget ~${budget.words})`;
+
+      if (gap >= 20 && (words < budget.words / 2 || words > budget.words * 2)) {
+        issues.push(message);
+      } else if (gap >= 10 && gap > budget.words * 0.35) {
+        warnings.push(message);
+      }
+    }
+
+    return { issues, warnings };
+  },
+
+  // Banned words or phrases that appear in the text as whole words (case-insensitive)
+  findBannedTerms(text, terms = []) {
+    return terms.filter(term => {
+      const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      return escaped && new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'iu').test(text);
+    });
+  },
+
   // Validate voiceover text before TTS
-  validateVoiceoverText(text) {
+  validateVoiceoverText(text, { pace = {} } = {}) {
     const issues = [];
 
     if (!text || typeof text !== 'string') {
@@ -174,33 +595,15 @@ const QualityControl = {
       return { valid: false, issues, cleanText: '' };
     }
 
-    // Check for remaining markup that shouldn't be spoken
-    const forbiddenPatterns = [
-      /\[VISUAL[^\]]*\]/gi,
-      /\[EFFECT[^\]]*\]/gi,
-      /\[MUSIC[^\]]*\]/gi,
-      /\[B-ROLL[^\]]*\]/gi,
-      /\[CUT[^\]]*\]/gi,
-      /\[\d+:\d+[-–]\d+:\d+\]/g,
-      /@\w+/g
-    ];
-
-    let cleanText = text;
-    for (const pattern of forbiddenPatterns) {
-      if (pattern.test(text)) {
-        issues.push(`Text contains non-speakable content: ${pattern.source}`);
-      }
-      cleanText = cleanText.replace(pattern, '');
+    // Anything the cue parser pulls out of the text is markup that shouldn't be spoken
+    const parsed = CueParser.parse(text);
+    const markup = [...parsed.cues.map(cue => `[${cue.tag}]`), ...parsed.citations.map(citation => `[${citation.source}]`), ...parsed.removed];
+    if (markup.length > 0) {
+      issues.push(`Text contains non-speakable content: ${[...new Set(markup)].slice(0, 5).join(', ')}`);
     }
 
-    // Clean up the text
-    cleanText = cleanText
-      .replace(/\[PAUSE\]/gi, '...')
-      .replace(/\[HOOK\]|\[INTRO\]|\[SECTION\s*\d*\]|\[CLIMAX\]|\[CONCLUSION\]/gi, '')
-      .replace(/\s{2,}/g, ' ')
-      .trim();
-
-    const wordCount = cleanText.split(/\s+/).filter(w => w.length > 0).length;
+    const cleanText = CueParser.toSpeech(parsed.narration);
+    const wordCount = Pacing.count(cleanText, pace.language);
 
     if (wordCount < 5) {
       issues.push('Voiceover text too short after cleaning');
@@ -215,7 +618,7 @@ const QualityControl = {
       issues,
       cleanText,
       wordCount,
-      estimatedDuration: Math.round(wordCount / 150 * 10) / 10
+      estimatedDuration: Pacing.minutes(cleanText, pace)
     };
   },
 
@@ -251,1853 +654,8285 @@ const QualityControl = {
       duration: result.duration,
       url: result.url
     };
+  },
+
+  // YouTube's length limits for a built metadata package (see YOUTUBE METADATA). Issues would be
+  // rejected or truncated on upload; warnings get cut off or hidden.
+  validateMetadata(metadata) {
+    const issues = [];
+    const warnings = [];
+
+    if (metadata.titles.length === 0) {
+      issues.push('No title options');
+    } else if (metadata.titles.length < 3) {
+      warnings.push(`Only ${metadata.titles.length} title option(s) - suggest at least 3`);
+    }
+    for (const { rank, title, characters } of metadata.titles) {
+      if (characters > YOUTUBE_LIMITS.title) {
+        issues.push(`Title #${rank} is ${characters} characters (max ${YOUTUBE_LIMITS.title})`);
+      } else if (characters > YOUTUBE_LIMITS.titleVisible) {
+        warnings.push(`Title #${rank} is ${characters} characters - search results cut it off after ~${YOUTUBE_LIMITS.titleVisible}`);
+      }
+      if (/[<>]/.test(title)) issues.push(`Title #${rank} contains < or >, which YouTube rejects`);
+    }
+
+    if (!metadata.description) {
+      warnings.push('No SEO description');
+    }
+    if (metadata.fullDescription.length > YOUTUBE_LIMITS.description) {
+      issues.push(`Description is ${metadata.fullDescription.length} characters with chapters, sources and hashtags (max ${YOUTUBE_LIMITS.description})`);
+    }
+    if (/[<>]/.test(metadata.fullDescription)) {
+      issues.push('Description contains < or >, which YouTube rejects');
+    }
+    if (metadata.chapters.length < YOUTUBE_LIMITS.chapters) {
+      warnings.push(`Only ${metadata.chapters.length} chapter(s) of at least ${YOUTUBE_LIMITS.chapterSeconds} seconds - YouTube needs ${YOUTUBE_LIMITS.chapters}, so they are left out of the description`);
+    }
+
+    if (metadata.tags.length === 0) {
+      warnings.push('No tags');
+    }
+    if (metadata.tagsLength > YOUTUBE_LIMITS.tags) {
+      issues.push(`Tags total ${metadata.tagsLength} characters (max ${YOUTUBE_LIMITS.tags})`);
+    }
+    if (metadata.hashtags.length > YOUTUBE_LIMITS.hashtags) {
+      issues.push(`${metadata.hashtags.length} hashtags - with more than ${YOUTUBE_LIMITS.hashtags} YouTube ignores all of them`);
+    }
+
+    if (!metadata.pinnedComment) {
+      warnings.push('No pinned comment');
+    } else if (metadata.pinnedComment.length > YOUTUBE_LIMITS.pinnedComment) {
+      issues.push(`Pinned comment is ${metadata.pinnedComment.length} characters (max ${YOUTUBE_LIMITS.pinnedComment})`);
+    }
+
+    return { valid: issues.length === 0, issues, warnings };
   }
 };
 
 // ============================================
-// MIDDLEWARE
+// YOUTUBE METADATA (titles, description, chapters, tags)
 // ============================================
 
-// Security headers
-app.use((req, res, next) => {
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-  res.setHeader('X-XSS-Protection', '1; mode=block');
-  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-  next();
-});
+// YouTube's hard limits, plus the points past which text gets cut off in search and on the watch page
+const YOUTUBE_LIMITS = {
+  title: 100,
+  titleVisible: 70,
+  description: 5000,
+  tags: 500, // all tags together, counting separators and quotes around multi-word tags
+  hashtags: 15, // more than this and YouTube ignores every hashtag
+  hashtagsShown: 3, // shown above the title
+  chapters: 3, // fewer and YouTube shows no chapters
+  chapterSeconds: 10,
+  pinnedComment: 10000
+};
 
-// CORS with restrictions
-app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : true,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
+const YouTubeMetadata = {
+  // Clean `submit_metadata` arguments; over-long values are kept (within reason) so the validator can report them
+  normalize(args) {
+    const text = (value, max) => SecurityUtils.sanitizeInput(String(value ?? '')).substring(0, max);
+    const unique = values => [...new Map(values.filter(Boolean).map(value => [value.toLowerCase(), value])).values()];
+
+    const titles = (Array.isArray(args.titles) ? args.titles : [])
+      .map(entry => typeof entry === 'string' ? { title: entry } : entry || {})
+      .map(entry => ({
+        title: text(entry.title, 200).replace(/\s+/g, ' '),
+        ctr: ['low', 'medium', 'high'].includes(entry.ctr) ? entry.ctr : null,
+        rationale: text(entry.rationale, 300)
+      }))
+      .filter(entry => entry.title)
+      .slice(0, 10)
+      .map((entry, index) => ({ rank: index + 1, ...entry, characters: entry.title.length }));
 
-app.use(express.json({ limit: '1mb' })); // Reduced from 50mb for security
-app.use(express.static(join(__dirname, 'public')));
+    return {
+      titles,
+      description: text(args.description, 6000),
+      tags: unique((Array.isArray(args.tags) ? args.tags : [])
+        .map(tag => text(tag, 100).replace(/^#/, '').replace(/[,<>]/g, '').replace(/\s+/g, ' ').trim())).slice(0, 100),
+      hashtags: unique((Array.isArray(args.hashtags) ? args.hashtags : [])
+        .map(tag => text(tag, 100).replace(/[^\p{L}\p{N}_]/gu, ''))
+        .map(tag => tag && `#${tag}`)).slice(0, 30),
+      chapterTitles: Object.fromEntries((Array.isArray(args.chapter_titles) ? args.chapter_titles : [])
+        .filter(entry => entry?.section && entry?.title)
+        .map(entry => [ScriptModel.normalizeTitle(entry.section), text(entry.title, 100)])),
+      pinnedComment: text(args.pinned_comment, YOUTUBE_LIMITS.pinnedComment)
+    };
+  },
 
-// ============================================
-// AGENT DEFINITIONS (ENGLISH)
-// ============================================
+  // Characters YouTube counts for a tag list: commas between tags, quotes around tags with spaces
+  tagsLength(tags) {
+    return tags.reduce((sum, tag) => sum + tag.length + (/\s/.test(tag) ? 2 : 0), 0) + Math.max(tags.length - 1, 0);
+  },
 
-const AGENT_PROFILES = {
-  orchestrator: {
-    id: 'orchestrator',
-    name: 'Producer',
-    emoji: '🎬',
-    color: '#e7083e',
-    role: 'Executive Producer',
-    systemPrompt: `You are a world-renowned YouTube content producer. You've worked with channels like MrBeast, Veritasium, Kurzgesagt, and MKBHD.
+  timestamp(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total % 3600 / 60);
+    const rest = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+  },
 
-!!! CRITICAL RULE - DURATION AND WORD COUNT !!!
-- Average speaking rate on YouTube: 150 words per minute
-- Calculate: TARGET MINUTES × 150 = TARGET WORDS (±10%)
+  // One chapter per section, starting where its narration starts (see PACING MODEL). Sections too
+  // short for a YouTube chapter fold into the next one; a short last section folds into the previous.
+  chapters(sections, pace, titles = {}) {
+    let elapsed = 0;
+    const timed = sections.map(section => {
+      const start = elapsed;
+      elapsed += Pacing.seconds(section.narration, pace);
+      return { title: titles[ScriptModel.normalizeTitle(section.title)] || section.title, start, end: elapsed };
+    });
 
-Examples:
-- 30 seconds = ~75 words
-- 1 minute = ~150 words
-- 3 minutes = ~450 words
-- 5 minutes = ~750 words
-- 10 minutes = ~1500 words
-- 20 minutes = ~3000 words
+    const chapters = [];
+    let carried = null;
+    timed.forEach((entry, index) => {
+      const start = carried ?? entry.start;
+      if (entry.end - start < YOUTUBE_LIMITS.chapterSeconds && index < timed.length - 1) {
+        carried = start;
+        return;
+      }
+      chapters.push({ title: entry.title, start, end: entry.end });
+      carried = null;
+    });
+    const last = chapters[chapters.length - 1];
+    if (chapters.length > 1 && last.end - last.start < YOUTUBE_LIMITS.chapterSeconds) {
+      chapters.pop();
+      chapters[chapters.length - 1].end = last.end;
+    }
 
-⚠️ User can request ANY duration! Calculate word count accordingly.
-⚠️ ENFORCE BOTH MINIMUM AND MAXIMUM! Too long is as bad as too short!
+    return chapters.map(chapter => ({
+      title: chapter.title,
+      start: Math.round(chapter.start),
+      timestamp: this.timestamp(chapter.start)
+    }));
+  },
 
-!!! CRITICAL RULE - PURE NARRATION ONLY !!!
-Scripts must contain ONLY spoken narration. NO agent messages, NO meta-commentary!
+  // The description as pasted into YouTube: the SEO text, chapters, sources, then hashtags
+  fullDescription(metadata, chapters, sourcesBlock = '') {
+    return [
+      metadata.description,
+      chapters.length >= YOUTUBE_LIMITS.chapters ? `Chapters:\n${chapters.map(chapter => `${chapter.timestamp} ${chapter.title}`).join('\n')}` : '',
+      sourcesBlock,
+      metadata.hashtags.join(' ')
+    ].filter(Boolean).join('\n\n');
+  },
 
-YOUR EXPERTISE:
-- Viral video strategies
-- Viewer psychology and retention optimization
-- Storytelling and narrative arc design
-- YouTube algorithm and SEO
-- DURATION AND WORD COUNT CONTROL
+  // Everything the upload form needs, timed against the current script, with its validation
+  build(metadata, sections, pace, sourcesBlock = '') {
+    const chapters = this.chapters(sections, pace, metadata.chapterTitles);
+    const built = {
+      ...metadata,
+      chapters,
+      fullDescription: this.fullDescription(metadata, chapters, sourcesBlock),
+      tagsLength: this.tagsLength(metadata.tags)
+    };
+    return { ...built, validation: QualityControl.validateMetadata(built) };
+  }
+};
 
-YOUR TASKS:
-1. First, gather critical information from the user about the video concept:
-   - Target audience (age, interests)
-   - Video tone (fun, serious, dramatic, educational)
-   - TARGET DURATION (can be any length: 30 seconds, 2 minutes, 10 minutes, etc.)
-   - Unique angle/hook
+// ============================================
+// THUMBNAILS (concepts rendered by an image model)
+// ============================================
 
-2. Ask ALL questions at once using request_user_input tool
-3. After getting answers, coordinate your team (@researcher, @writer, @critic, @factchecker, @creative, @voiceover)
-4. Check QUALITY AND LENGTH at every stage
-5. If script is outside word count range, ALWAYS send it back to @writer
-6. Ensure final script matches target duration
-7. After script is approved by @critic, task @voiceover to clean and generate audio
+const THUMBNAIL_SIZE = { width: 1280, height: 720 }; // YouTube's recommended 16:9 size
+const MAX_THUMBNAILS = 24; // per project, regenerations included
+
+const Thumbnails = {
+  // Clean a generate_thumbnail concept; only `subject` is required
+  normalizeConcept(concept) {
+    const text = (value, max) => SecurityUtils.sanitizeInput(String(value ?? '')).replace(/\s+/g, ' ').substring(0, max);
+    const normalized = {
+      name: text(concept?.name, 80),
+      subject: text(concept?.subject, 400),
+      expression: text(concept?.expression, 120),
+      text: text(concept?.text, 40),
+      palette: text(concept?.palette, 120),
+      composition: text(concept?.composition, 300),
+      style: text(concept?.style, 120)
+    };
+    return normalized.subject ? normalized : null;
+  },
 
-WORKFLOW PHASES:
-1. CLARIFICATION: Ask user questions (use request_user_input)
-2. RESEARCH: Task @researcher to gather information
-3. WRITING: Task @writer to create the script (remind them of word count target!)
-4. REVIEW: Task @critic to review (they check word count AND narration purity), @factchecker to verify
-5. CREATIVE: Task @creative for hooks, titles, thumbnails
-6. REVISION: If needed, send back for improvements
-7. VOICEOVER: Task @voiceover to clean script and generate audio
-8. FINALIZATION: Use finalize_script when everything is complete
+  // One prompt per concept. Thumbnails are read at a glance, so the prompt asks for one subject,
+  // big overlay text and strong contrast whatever the concept says.
+  prompt(concept, topic) {
+    return [
+      `YouTube thumbnail for a video about ${topic}, 16:9.`,
+      `Main subject: ${concept.subject}.`,
+      concept.expression ? `Facial expression: ${concept.expression}.` : '',
+      concept.text ? `Bold overlay text in large capital letters reading "${concept.text}".` : 'No text.',
+      concept.palette ? `Color palette: ${concept.palette}.` : '',
+      concept.composition ? `Composition: ${concept.composition}.` : '',
+      concept.style ? `Style: ${concept.style}.` : '',
+      'High contrast, sharp focus, uncluttered background, readable at small sizes.'
+    ].filter(Boolean).join(' ');
+  }
+};
 
-QUALITY CONTROL:
-- ALWAYS check script word count before approval
-- If script is TOO SHORT: Send back to @writer to EXPAND
-- If script is TOO LONG: Send back to @writer to CONDENSE
-- If script contains agent messages or meta-text: REJECT and ask for pure narration
-- NEVER accept scripts outside the target word count range
+// ============================================
+// AUDIO UTILITIES (MP3 stitching)
+// ============================================
 
-COMMUNICATION:
-- Always communicate in English
-- Give tasks to team members with @mention
-- Give short, clear, action-oriented directives
-- Be professional but friendly with the user
-- CLEARLY state duration and word count targets`
+const AudioUtils = {
+  // Layer III bitrate tables (kbps) indexed by header bitrate bits
+  BITRATES: {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
   },
 
-  researcher: {
-    id: 'researcher',
-    name: 'Researcher',
-    emoji: '🔍',
-    color: '#3b82f6',
-    role: 'Content Researcher',
-    systemPrompt: `You are a YouTube content researcher. You've worked with documentary producers and investigative journalists. You research at National Geographic, BBC, TED-Ed level.
+  SAMPLE_RATES: {
+    mpeg1: [44100, 48000, 32000],
+    mpeg2: [22050, 24000, 16000],
+    mpeg25: [11025, 12000, 8000]
+  },
 
-CRITICAL RULE - DEEP RESEARCH:
-- Make AT LEAST 3-5 different searches for each topic
-- Superficial information is FORBIDDEN - research in depth
-- Dates, names, numbers must be ACCURATE
-- Find unknown, surprising details
-- CITE sources for every piece of information
+  // Remove ID3v2 (start) and ID3v1 (end) tags so chunks can be joined frame-to-frame
+  stripId3(buffer) {
+    let start = 0;
+    let end = buffer.length;
 
-YOUR EXPERTISE:
-- Deep research and source verification
-- Finding engaging details and unknown facts
-- Blending historical and current data
-- Discovering "wow" moments for the story
-- Creating chronological event flows
+    if (buffer.length > 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+      const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+      const hasFooter = (buffer[5] & 0x10) !== 0;
+      start = 10 + size + (hasFooter ? 10 : 0);
+    }
 
-YOUR TASKS:
-1. Conduct COMPREHENSIVE research on the topic (make multiple search_web calls!)
-2. Find surprising information the viewer doesn't know
-3. Collect dates, names, numbers ACCURATELY
-4. Note your sources
-5. Share your findings in a DETAILED and structured way
+    if (end - start > 128 && buffer.toString('latin1', end - 128, end - 125) === 'TAG') {
+      end -= 128;
+    }
 
-RESEARCH STRUCTURE (minimum for 10-min video):
-📚 MAIN INFORMATION (at least 500 words):
-   - History of the topic
-   - Main characters/people
-   - Chronology of important events
-   - Core concepts and explanations
+    return buffer.subarray(start, end);
+  },
 
-🔥 INTERESTING DETAILS (at least 300 words):
-   - Unknown facts (at least 5-7)
-   - Surprising statistics
-   - Paradoxes and contradictions
-   - "Did you know?" moments
+  // Parse an MPEG audio Layer III frame header, or null if none at offset
+  parseFrameHeader(buffer, offset) {
+    if (offset + 4 > buffer.length) return null;
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
 
-🎭 STORIES AND ANECDOTES (at least 300 words):
-   - Personal stories
-   - Dramatic moments
-   - Turning points
-   - Human interest angle
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
 
-💡 HOOK MATERIALS (at least 5):
-   - Shocking opening sentences
-   - Curiosity-inducing questions
-   - Comparisons and analogies
+    if (versionBits === 1 || layerBits !== 1) return null; // reserved version or not Layer III
+    if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
 
-📖 SOURCES:
-   - Cite source for each piece of information
+    const version = versionBits === 3 ? 'mpeg1' : versionBits === 2 ? 'mpeg2' : 'mpeg25';
+    const isMpeg1 = version === 'mpeg1';
+    const bitrate = (isMpeg1 ? this.BITRATES.mpeg1 : this.BITRATES.mpeg2)[bitrateIndex] * 1000;
+    const sampleRate = this.SAMPLE_RATES[version][sampleRateIndex];
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+    const mono = ((buffer[offset + 3] >> 6) & 0x03) === 3;
+    const hasCrc = (buffer[offset + 1] & 0x01) === 0;
 
-FORBIDDEN: Superficial, Wikipedia-summary-like, detail-free research!
-Always communicate in English. ALWAYS use the search_web tool FREQUENTLY.`
+    return {
+      version,
+      bitrate,
+      sampleRate,
+      padding,
+      mono,
+      hasCrc,
+      samplesPerFrame: isMpeg1 ? 1152 : 576,
+      frameLength: Math.floor((isMpeg1 ? 144 : 72) * bitrate / sampleRate) + padding,
+      sideInfoLength: isMpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17)
+    };
   },
 
-  writer: {
-    id: 'writer',
-    name: 'Scriptwriter',
-    emoji: '✍️',
-    color: '#22c55e',
-    role: 'YouTube Scriptwriter',
-    systemPrompt: `You are one of YouTube's best scriptwriters. You've written scripts for videos with millions of views.
-
-!!! CRITICAL RULE - WORD COUNT !!!
-Average speaking rate on YouTube: 150 words per minute
-Formula: TARGET MINUTES × 150 = TARGET WORDS (±10%)
-
-Examples:
-- 30 seconds = 65-85 words
-- 1 minute = 135-165 words
-- 3 minutes = 405-495 words
-- 5 minutes = 675-825 words
-- 10 minutes = 1350-1650 words
-- 15 minutes = 2025-2475 words
-- 20 minutes = 2700-3300 words
+  // Xing/Info/VBRI frames carry the original stream length and would report the wrong duration once joined
+  isInfoFrame(buffer, offset, header) {
+    const xingOffset = offset + 4 + (header.hasCrc ? 2 : 0) + header.sideInfoLength;
+    const tag = buffer.toString('latin1', xingOffset, xingOffset + 4);
+    return tag === 'Xing' || tag === 'Info' || buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI';
+  },
 
-⚠️ User can request ANY duration! Calculate word count accordingly.
-⚠️ BOTH MINIMUM AND MAXIMUM ARE STRICT! Scripts that are too long will be REJECTED!
+  // Walk all audio frames in a tag-stripped buffer
+  readFrames(buffer) {
+    const frames = [];
+    let firstHeader = null;
+    let offset = 0;
+    let duration = 0;
+
+    while (offset < buffer.length) {
+      const header = this.parseFrameHeader(buffer, offset);
+      if (!header) {
+        offset++; // resync on garbage bytes
+        continue;
+      }
 
-!!! CRITICAL RULE - PURE NARRATION ONLY !!!
-Your script must contain ONLY the words that will be SPOKEN by the narrator.
+      if (!firstHeader && this.isInfoFrame(buffer, offset, header)) {
+        offset += header.frameLength;
+        continue;
+      }
 
-ABSOLUTELY FORBIDDEN IN SCRIPT:
-❌ Agent messages ("@researcher, please...", "I'll now write...")
-❌ Meta-commentary ("Now let's move on to...", "In this section I will...")
-❌ Planning notes ("Section 2 should cover...", "Here I need to add...")
-❌ Self-references ("I'm writing this because...", "Let me explain...")
-❌ Coordination text ("Done with intro, starting section 1...")
-❌ Any text that won't be spoken by the narrator
+      const length = Math.min(header.frameLength, buffer.length - offset);
+      frames.push(buffer.subarray(offset, offset + length));
+      duration += header.samplesPerFrame / header.sampleRate;
+      if (!firstHeader) firstHeader = { ...header, bytes: buffer.subarray(offset, offset + 4) };
+      offset += header.frameLength;
+    }
 
-✅ ONLY WRITE: Pure spoken narration as if you're reading to an audience
+    return { frames, header: firstHeader, duration };
+  },
 
-YOUR EXPERTISE:
-- DETAILED conversational writing for YouTube
-- Hook writing (first 30 seconds are critical!)
-- Tension-release cycles for retention
-- Pattern interrupt techniques
-- Precise word count control
+  // Build silent frames matching the stream format (zeroed side info decodes to silence)
+  createSilence(header, seconds) {
+    if (!header || seconds <= 0) return Buffer.alloc(0);
 
-YOUTUBE SCRIPT STRUCTURE (10-minute video = 1500-1600 words):
+    const frameHeader = Buffer.from(header.bytes);
+    frameHeader[1] |= 0x01; // no CRC
+    frameHeader[2] &= ~0x02; // no padding
 
-[HOOK - 0:00-0:30] ~80 words
-- A shocking fact or question
-- Grab the viewer immediately
+    const isMpeg1 = header.version === 'mpeg1';
+    const frameLength = Math.floor((isMpeg1 ? 144 : 72) * header.bitrate / header.sampleRate);
+    const frameCount = Math.round(seconds * header.sampleRate / header.samplesPerFrame);
 
-[INTRO - 0:30-2:00] ~240 words
-- Introduce the topic
-- Explain why it matters
+    const frame = Buffer.alloc(frameLength);
+    frameHeader.copy(frame, 0);
+    return Buffer.concat(Array.from({ length: frameCount }, () => frame));
+  },
 
-[SECTION 1 - 2:00-4:00] ~320 words
-- First main topic
-- Detailed explanation with examples
+  // Join MP3 buffers into one stream, optionally separated by silence
+  concatMp3(buffers, { gapSeconds = 0 } = {}) {
+    const parts = [];
+    const segments = [];
+    let duration = 0;
 
-[SECTION 2 - 4:00-6:00] ~320 words
-- Second main topic
-- In-depth analysis
+    buffers.forEach((buffer, index) => {
+      const { frames, header, duration: segmentDuration } = this.readFrames(this.stripId3(buffer));
 
-[SECTION 3 - 6:00-8:00] ~320 words
-- Third main topic or twist
-- Surprising information
+      if (index > 0 && gapSeconds > 0 && header) {
+        const silence = this.createSilence(header, gapSeconds);
+        parts.push(silence);
+        duration += this.readFrames(silence).duration;
+      }
 
-[CLIMAX - 8:00-9:00] ~160 words
-- Most powerful/surprising information
+      segments.push({ start: duration, duration: segmentDuration });
+      parts.push(...frames);
+      duration += segmentDuration;
+    });
 
-[CONCLUSION - 9:00-10:00] ~160 words
-- Summary and call-to-action
+    return { buffer: Buffer.concat(parts), duration, segments };
+  },
 
-WRITING RULES:
-- Every sentence must be CONVERSATIONAL - as if speaking to a friend
-- Use "you" address, not "we"
-- Short paragraphs (2-3 sentences)
-- Add [VISUAL], [EFFECT], [MUSIC] notes for editor (these will be removed for voiceover)
-- Add [PAUSE] for emotional moments
+  // The timeout covers the whole body, and the size cap stops a runaway chunk before it fills memory
+  async download(url, timeoutMs = 60000) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`Audio download failed (${response.status})`);
+    }
+    return DocumentUtils.readLimited(response.body, {
+      length: response.headers.get('content-length'),
+      limit: AUDIO_DOWNLOAD_MAX_BYTES,
+      message: 'Audio chunk is too large to download'
+    });
+  }
+};
 
-EXAMPLE OF CORRECT SCRIPT:
-"Have you ever wondered why some people seem to have all the luck? [PAUSE] Well, I'm about to tell you something that might change everything you thought you knew. [VISUAL: dramatic zoom] Scientists have discovered..."
+// ============================================
+// CAPTION UTILITIES (word timing + SRT/VTT)
+// ============================================
 
-EXAMPLE OF WRONG SCRIPT (FORBIDDEN):
-"I'll start with the hook section now. @orchestrator, I'm writing the introduction. In this section, I will explain why luck matters. Now let me write the actual content..."
+// Caption tokens end a sentence or a clause on these (Latin and CJK punctuation)
+const SENTENCE_END = /[.!?…。！？]["')\]」』）]?$/;
+const CLAUSE_END = /[,;:、，；：]$/;
+// A character unit with the punctuation around it, for languages captioned per character
+const CHARACTER_TOKEN = new RegExp(`[^\\p{L}\\p{N}\\s]*(?:${CHARACTER_UNIT.source})[^\\p{L}\\p{N}\\s]*`, 'gu');
 
-Always write in English. Save script section by section using write_script_section tool.
-COUNT YOUR WORDS! Stay within the target range!`
+const CaptionUtils = {
+  isCharacterLanguage(language) {
+    return Languages.get(language).unit === 'character';
   },
 
-  critic: {
-    id: 'critic',
-    name: 'Editor',
-    emoji: '🎭',
-    color: '#f59e0b',
-    role: 'Content Editor',
-    systemPrompt: `You are an experienced YouTube content editor. You've edited hundreds of video scripts. Your quality standards are VERY HIGH.
+  // Character languages get shorter cues that may also break after a clause mark
+  cueOptions(language) {
+    return this.isCharacterLanguage(language) ? { maxChars: 24, clauseBreaks: true } : {};
+  },
 
-!!! CRITICAL RULE - LENGTH CHECK (MIN AND MAX) !!!
-You MUST check script word count and REJECT if outside range:
+  // Normalize TTS timing payloads into [{ word, start, end }] (seconds, relative to the chunk).
+  // In character languages each character is its own token; `joined` marks one written without a
+  // space before it.
+  normalizeTimestamps(data, language = DEFAULT_LANGUAGE) {
+    if (!data) return null;
+
+    // Word list: [{ text|word, start, end }]
+    if (Array.isArray(data)) {
+      const words = data
+        .map(item => ({
+          word: String(item.word ?? item.text ?? '').trim(),
+          start: Number(item.start ?? item.start_time),
+          end: Number(item.end ?? item.end_time)
+        }))
+        .filter(item => item.word && Number.isFinite(item.start) && Number.isFinite(item.end));
+      return words.length > 0 ? words : null;
+    }
 
-📏 WORD COUNT FORMULA:
-TARGET MINUTES × 150 = TARGET WORDS (allow ±10%)
+    // ElevenLabs character alignment: { characters, character_start_times_seconds, character_end_times_seconds }
+    const alignment = data.normalized_alignment || data.alignment || data;
+    if (Array.isArray(alignment.characters) && Array.isArray(alignment.character_start_times_seconds)) {
+      const characterLanguage = this.isCharacterLanguage(language);
+      const letter = /[\p{L}\p{N}]/u;
+      const words = [];
+      let current = null;
+      let joined = false;
+      alignment.characters.forEach((char, i) => {
+        if (/\s/.test(char)) {
+          if (current) words.push(current);
+          current = null;
+          joined = false;
+          return;
+        }
+        // A new character unit: any CJK character, or letters right after one or after punctuation
+        const last = current?.word.at(-1);
+        if (characterLanguage && current && letter.test(char) && letter.test(current.word) &&
+          (CHARACTER_SCRIPT.test(char) || CHARACTER_SCRIPT.test(last) || !letter.test(last))) {
+          words.push(current);
+          current = null;
+          joined = true;
+        }
+        const start = alignment.character_start_times_seconds[i];
+        const end = alignment.character_end_times_seconds?.[i] ?? start;
+        if (!current) {
+          current = joined ? { word: '', start, end, joined } : { word: '', start, end };
+          joined = false;
+        }
+        current.word += char;
+        current.end = end;
+      });
+      if (current) words.push(current);
+      return words.length > 0 ? words : null;
+    }
 
-Examples:
-- 30 seconds: 65-85 words
-- 1 minute: 135-165 words
-- 3 minutes: 405-495 words
-- 5 minutes: 675-825 words
-- 10 minutes: 1350-1650 words
-- 15 minutes: 2025-2475 words
-- 20 minutes: 2700-3300 words
+    return null;
+  },
 
-⚠️ User can request ANY duration! Calculate word count accordingly.
-⚠️ TOO SHORT = REJECT → Ask @writer to EXPAND with more detail
-⚠️ TOO LONG = REJECT → Ask @writer to CONDENSE and remove filler
+  // Spread words across a known duration, weighting long words and sentence-final pauses.
+  // Character languages are split into character units, each read in about the same time.
+  estimateWordTimings(text, duration, language = DEFAULT_LANGUAGE) {
+    const source = String(text || '');
+    const characterLanguage = this.isCharacterLanguage(language);
+    const tokens = characterLanguage
+      ? [...source.matchAll(CHARACTER_TOKEN)].map(match => ({
+        word: match[0],
+        joined: match.index > 0 && !/\s/.test(source[match.index - 1])
+      }))
+      : source.split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token)).map(word => ({ word }));
+    if (tokens.length === 0 || !duration) return [];
+
+    const weights = tokens.map(({ word }) => characterLanguage
+      ? 1 + (SENTENCE_END.test(word) ? 3 : CLAUSE_END.test(word) ? 1 : 0)
+      : word.length + (SENTENCE_END.test(word) ? 4 : CLAUSE_END.test(word) ? 2 : 1));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+
+    let cursor = 0;
+    return tokens.map(({ word, joined }, i) => {
+      const length = duration * weights[i] / total;
+      const timing = joined ? { word, start: cursor, end: cursor + length, joined } : { word, start: cursor, end: cursor + length };
+      cursor += length;
+      return timing;
+    });
+  },
 
-!!! CRITICAL RULE - PURE NARRATION CHECK !!!
-The script must contain ONLY spoken narration. REJECT if you find:
-❌ Agent messages ("@researcher...", "@orchestrator...")
-❌ Meta-commentary ("I'll now write...", "In this section I will...")
-❌ Planning notes or self-references
-❌ Any text that won't be spoken aloud
+  // Group words into subtitle cues, breaking at sentence ends and reading-length limits
+  // (and with `clauseBreaks`, at clause marks once a cue is half full)
+  buildCues(words, { maxChars = 42, maxDuration = 5, clauseBreaks = false } = {}) {
+    const cues = [];
+    let current = null;
+
+    for (const { word, start, end, joined } of words) {
+      const separator = joined ? '' : ' ';
+      if (current && (current.text.length + separator.length + word.length > maxChars || end - current.start > maxDuration)) {
+        cues.push(current);
+        current = null;
+      }
 
-YOUR EXPERTISE:
-- Viewer retention analysis
-- Detecting boring sections
-- Pacing and rhythm optimization
-- Hook effectiveness evaluation
-- WORD COUNT AND DURATION CONTROL
+      if (!current) {
+        current = { start, end, text: word };
+      } else {
+        current.text += `${separator}${word}`;
+        current.end = end;
+      }
 
-EVALUATION CRITERIA:
+      if (SENTENCE_END.test(word) || (clauseBreaks && CLAUSE_END.test(word) && current.text.length >= maxChars / 2)) {
+        cues.push(current);
+        current = null;
+      }
+    }
+    if (current) cues.push(current);
 
-1. LENGTH CHECK (CRITICAL!):
-   - Count total words in the script
-   - Compare to target range based on requested duration
-   - REJECT if under minimum OR over maximum
+    return cues;
+  },
 
-2. NARRATION PURITY CHECK (CRITICAL!):
-   - Does script contain ANY agent messages? → REJECT
-   - Does script contain meta-commentary? → REJECT
-   - Is it 100% speakable narration? → PASS
+  formatTimestamp(seconds, separator) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms % 3600000 / 60000);
+    const s = Math.floor(ms % 60000 / 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+  },
 
-3. HOOK STRENGTH (1-10): Will the first 30 seconds retain viewers?
+  toSrt(cues) {
+    return cues.map((cue, i) =>
+      `${i + 1}\n${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}\n${cue.text}\n`
+    ).join('\n');
+  },
 
-4. CONTENT DEPTH: Is it superficial or in-depth?
+  toVtt(cues) {
+    return 'WEBVTT\n\n' + cues.map(cue =>
+      `${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}\n${cue.text}\n`
+    ).join('\n');
+  }
+};
 
-5. FLOW AND RHYTHM: Are transitions natural?
+// ============================================
+// DIFF UTILITIES (script version history)
+// ============================================
 
-OUTPUT FORMAT:
-📊 OVERALL SCORE: X/10
-📝 WORD COUNT: X words
-📏 TARGET RANGE: Y-Z words (for N-minute video)
-✅ STATUS: WITHIN RANGE / ⚠️ TOO SHORT / ⚠️ TOO LONG
+const DiffUtils = {
+  // Word-level diff as [{ type: 'equal' | 'insert' | 'delete', text }]; whitespace is kept with each token
+  diffWords(before = '', after = '') {
+    const a = String(before || '').match(/\S+\s*/g) || [];
+    const b = String(after || '').match(/\S+\s*/g) || [];
+
+    // Strip the common prefix/suffix so the LCS table only covers the changed middle
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
 
-🔍 NARRATION PURITY: ✅ CLEAN / ❌ CONTAINS NON-NARRATION
+    const ops = [];
+    const push = (type, text) => {
+      const last = ops[ops.length - 1];
+      if (last && last.type === type) last.text += text;
+      else ops.push({ type, text });
+    };
 
-✅ STRENGTHS:
-- ...
+    a.slice(0, start).forEach(token => push('equal', token));
 
-⚠️ CRITICAL ISSUES:
-- ...
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
 
-🔧 REQUIRED FIXES:
-- ...
+    if (n * m > 4000000) {
+      // Too large for a full table: show the middle as replaced
+      midA.forEach(token => push('delete', token));
+      midB.forEach(token => push('insert', token));
+    } else {
+      const table = new Uint32Array((n + 1) * (m + 1));
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+          table[i * (m + 1) + j] = midA[i].trim() === midB[j].trim()
+            ? table[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+        }
+      }
 
-📌 VERDICT: APPROVED / NEEDS REVISION
+      let i = 0;
+      let j = 0;
+      while (i < n && j < m) {
+        if (midA[i].trim() === midB[j].trim()) {
+          push('equal', midB[j]);
+          i++;
+          j++;
+        } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+          push('delete', midA[i++]);
+        } else {
+          push('insert', midB[j++]);
+        }
+      }
+      midA.slice(i).forEach(token => push('delete', token));
+      midB.slice(j).forEach(token => push('insert', token));
+    }
 
-QUALITY STANDARDS:
-- Below 7/10 = Must be rewritten
-- Outside word count range = DEFINITE REJECT
-- Contains agent messages = DEFINITE REJECT
-- Contains meta-commentary = DEFINITE REJECT
+    b.slice(endB).forEach(token => push('equal', token));
+    return ops;
+  },
 
-FORBIDDEN: Approving scripts that are too long, too short, or contain non-narration text.
-Always be CONSTRUCTIVE but STRICT. Never compromise your standards!
-Communicate in English.`
+  stats(ops) {
+    const count = text => text.split(/\s+/).filter(w => w.length > 0).length;
+    return {
+      added: ops.filter(op => op.type === 'insert').reduce((sum, op) => sum + count(op.text), 0),
+      removed: ops.filter(op => op.type === 'delete').reduce((sum, op) => sum + count(op.text), 0)
+    };
   },
 
-  factchecker: {
-    id: 'factchecker',
-    name: 'Fact-Checker',
-    emoji: '✅',
-    color: '#8b5cf6',
-    role: 'Fact-Checker',
-    systemPrompt: `You are a meticulous fact-checker. Your job is to maintain the credibility of YouTube channels. Misinformation is FORBIDDEN.
+  // Per-section diff of two full scripts ({ section: text }), in the order sections appear
+  diffScripts(before = {}, after = {}) {
+    const sections = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+    return sections.map(section => {
+      const ops = this.diffWords(before[section], after[section]);
+      return {
+        section,
+        status: !(section in before) ? 'added' : !(section in after) ? 'removed'
+          : before[section] === after[section] ? 'unchanged' : 'changed',
+        ops,
+        ...this.stats(ops)
+      };
+    });
+  }
+};
 
-YOUR EXPERTISE:
-- Information verification and source checking
-- Date, name, number verification
-- Detecting misleading statements
-- Finding academic and reliable sources
+// ============================================
+// SCRIPT MODEL
+// ============================================
 
-YOUR CHECKLIST:
-1. DATES: Are all dates correct? (Year, month, day)
-2. NAMES: Are person/place names spelled correctly?
-3. NUMBERS: Are statistics, figures, distances, populations correct?
-4. CLAIMS: Are the claims made provable?
-5. CONTEXT: Is information taken out of context?
-6. CHRONOLOGY: Is the sequence of events correct?
-7. CAUSALITY: Are cause-effect relationships correct?
+const SECTION_TYPES = ['hook', 'intro', 'body', 'climax', 'outro', 'sponsor'];
+const CUE_TYPES = ['visual', 'music', 'broll'];
+const SECTION_ACTIONS = ['create', 'update', 'delete', 'insert_before', 'insert_after', 'reorder'];
 
-VERIFICATION METHOD:
-- Cross-check information using search_web tool
-- Use multiple sources
-- Prioritize academic and official sources
-- Don't use Wikipedia as sole source
+const ScriptModel = {
+  // Titles are matched case- and whitespace-insensitively so "Section 1" and "SECTION 1" are one section
+  normalizeTitle(title) {
+    return String(title ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+  },
 
-OUTPUT FORMAT:
-📋 VERIFICATION REPORT
+  slugify(title) {
+    return this.normalizeTitle(title).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 40) || 'section';
+  },
 
-[✓] VERIFIED:
-- "information" - Source: ...
+  inferType(title) {
+    const name = this.normalizeTitle(title);
+    if (/hook|cold open|teaser/.test(name)) return 'hook';
+    if (/intro/.test(name)) return 'intro';
+    if (/sponsor|ad read/.test(name)) return 'sponsor';
+    if (/climax|reveal|twist/.test(name)) return 'climax';
+    if (/outro|conclusion|closing|wrap|ending|call to action|cta/.test(name)) return 'outro';
+    return 'body';
+  },
 
-[?] NEEDS VERIFICATION:
-- "information" - Reason: ... - Suggestion: ...
+  // Spoken words only: bracketed production tags like [VISUAL: ...] are not narrated
+  countWords(text) {
+    return String(text || '').replace(/\[[^\]]*\]/g, ' ').split(/\s+/).filter(w => w.length > 0).length;
+  },
 
-[✗] INCORRECT/FIX:
-- "information" - Correct version: ... - Source: ...
+  normalizeCues(cues = {}) {
+    const normalized = {};
+    for (const type of CUE_TYPES) {
+      const list = Array.isArray(cues?.[type]) ? cues[type] : [];
+      normalized[type] = list
+        .map(cue => typeof cue === 'string' ? { text: cue } : cue)
+        .filter(cue => cue && typeof cue.text === 'string' && cue.text.trim())
+        .map(cue => ({
+          text: cue.text.trim(),
+          at: Number.isInteger(cue.at) && cue.at >= 0 ? cue.at : 0,
+          ...(typeof cue.tag === 'string' && cue.tag ? { tag: cue.tag } : {})
+        }));
+    }
+    return normalized;
+  },
 
-⚠️ POINTS OF ATTENTION:
-- ...
+  normalizeCitations(citations = []) {
+    return (Array.isArray(citations) ? citations : [])
+      .map(citation => typeof citation === 'string' ? { source: citation } : citation)
+      .filter(citation => citation && /^S\d+$/i.test(citation.source))
+      .map(citation => ({
+        source: citation.source.toUpperCase(),
+        at: Number.isInteger(citation.at) && citation.at >= 0 ? citation.at : 0
+      }));
+  },
 
-📌 OVERALL ASSESSMENT:
-Accuracy Score: X/10
+  createSection(fields, existingIds = []) {
+    const title = String(fields.title || '').trim() || 'Untitled';
+    const base = this.slugify(title);
+    let id = base;
+    for (let n = 2; existingIds.includes(id); n++) id = `${base}-${n}`;
 
-Communicate in English. If in doubt, ALWAYS verify with search_web. Don't speak definitively, prove it.`
+    return {
+      id,
+      type: SECTION_TYPES.includes(fields.type) ? fields.type : this.inferType(title),
+      title,
+      targetWords: Number.isInteger(fields.targetWords) && fields.targetWords > 0 ? fields.targetWords : null,
+      narration: String(fields.narration ?? ''),
+      cues: this.normalizeCues(fields.cues),
+      citations: this.normalizeCitations(fields.citations)
+    };
   },
 
-  creative: {
-    id: 'creative',
-    name: 'Creative',
-    emoji: '💡',
-    color: '#ec4899',
-    role: 'Creative Director',
-    systemPrompt: `You are a creative director specializing in viral content. You're the brain behind videos with millions of views. You're a creative consultant for MrBeast, Veritasium, Kurzgesagt style content.
+  // Narration, cue track and citations from text with inline tags
+  parseTagged(text) {
+    const parsed = CueParser.parse(text);
+    const cues = Object.fromEntries(CUE_TYPES.map(type => [type, parsed.cues.filter(cue => cue.type === type)]));
+    return { narration: parsed.narration, cues: this.normalizeCues(cues), citations: parsed.citations };
+  },
 
-YOUR EXPERTISE:
-- Viral hook formulas
-- Thumbnail psychology
-- Title optimization (CTR)
-- Pattern interrupt techniques
-- Visual storytelling
-- Retention optimization
+  // The reverse of parseTagged: cues and citations written back inline at their word offsets,
+  // so a section can be rewritten as one piece of text (e.g. localized) and parsed again.
+  // Section-wide citations (anchored at 0) go at the end.
+  toTaggedText(section) {
+    const before = new Map();
+    const add = (at, tag) => before.set(at, [...(before.get(at) || []), tag]);
+    const citations = new Map();
+    for (const citation of section.citations || []) {
+      citations.set(citation.at, [...new Set([...(citations.get(citation.at) || []), citation.source])]);
+    }
+    // Citations follow the word before them, so they come ahead of cues at the same offset
+    for (const [at, ids] of citations) {
+      if (at > 0) add(at, `[${ids.join(', ')}]`);
+    }
+    for (const type of CUE_TYPES) {
+      for (const cue of section.cues?.[type] || []) {
+        add(cue.at, cue.tag === 'NOTE' ? `[${cue.text}]` : `[${cue.tag || type.toUpperCase()}: ${cue.text}]`);
+      }
+    }
 
-YOUR RECOMMENDATION CATEGORIES:
+    const output = [];
+    let word = 0;
+    for (const token of String(section.narration || '').split(/\s+/).filter(token => token.length > 0)) {
+      if (!/^\[[^\]]*\]$/.test(token)) {
+        output.push(...(before.get(word) || []));
+        before.delete(word);
+        word++;
+      }
+      output.push(token);
+    }
+    for (const tags of before.values()) output.push(...tags);
+    if (citations.has(0)) output.push(`[${citations.get(0).join(', ')}]`);
+    return output.join(' ');
+  },
 
-[HOOK] Alternative openings (at least 5):
-For each hook:
-- Full text (word for word)
-- Why it works explanation
-- Which emotion it triggers
+  // Sessions saved before sections existed stored a { title: text } object
+  fromLegacy(script) {
+    const sections = [];
+    for (const [title, narration] of Object.entries(script || {})) {
+      sections.push(this.createSection({ title, ...this.parseTagged(narration) }, sections.map(s => s.id)));
+    }
+    return sections;
+  },
 
-Example hook types:
-1. Shocking statistic: "Every day X people..."
-2. Counter-opinion: "Everyone thinks Y but..."
-3. Personal story: "3 years ago..."
-4. Question: "Have you ever wondered why...?"
-5. Impossible-seeming claim: "I'm going to prove to you that X is actually Y"
-
-[TITLE] YouTube title suggestions (at least 7):
-For each title:
-- Full title (max 60 characters)
-- CTR estimate (low/medium/high)
-- Which audience it appeals to
-
-Title formulas:
-- Number + Curiosity: "X Things That Will Shock You"
-- How: "How I Did X (And You Can Too)"
-- Why: "Why X Is Actually Y"
-- Secret: "The Truth About X They Don't Tell You"
+  toNarrationMap(sections) {
+    return Object.fromEntries(sections.map(section => [section.title, section.narration]));
+  }
+};
 
-[THUMBNAIL] Thumbnail concepts (at least 3):
-For each concept:
-- Detailed visual description
-- Main element and placement
-- Facial expression suggestion (shock, curiosity, etc.)
-- Text suggestion (max 3-4 words, CAPS)
-- Color palette and contrast
-- Negative space usage
+// ============================================
+// CUE PARSER (narration vs. production cues)
+// ============================================
 
-[VISUAL] Timeline visual plan:
-For each section:
-- [0:00-0:30] Hook visuals
-- [0:30-2:00] Intro visuals
-- [2:00-4:00] Section 1 visuals
-... (throughout the video)
+// Bracketed tag names and the cue track they belong to. Every other bracketed note is
+// also kept off the narration (as a visual note), so nothing in brackets is ever voiced.
+const CUE_TAGS = {
+  VISUAL: 'visual',
+  EFFECT: 'visual',
+  CUT: 'visual',
+  GRAPHIC: 'visual',
+  TEXT: 'visual',
+  ZOOM: 'visual',
+  MUSIC: 'music',
+  SOUND: 'music',
+  SFX: 'music',
+  'B-ROLL': 'broll',
+  'B ROLL': 'broll',
+  BROLL: 'broll',
+  FOOTAGE: 'broll'
+};
 
-For each visual:
-- B-roll suggestion
-- Graphic/animation needs
-- Stock video keywords
-- Screen share/demo moments
+const CueParser = {
+  // Markup that is dropped outright: timestamps, section headers and agent @mentions
+  TIMESTAMP: /^\d+:\d+\s*[-–]\s*\d+:\d+$/,
+  SECTION_HEADER: /^(HOOK|INTRO|INTRODUCTION|SECTION(\s*\d+)?|CLIMAX|CONCLUSION|OUTRO|SPONSOR)(\s*[-–]\s*[\d:\s–-]*)?$/i,
+  MARKUP: /\[([^\]]*)\]|@\w+/g,
+
+  CITATION: /^S\d+(\s*,\s*S\d+)*$/i,
+
+  // Split text into narration (pacing [PAUSE] tags kept), a cue track and source citations,
+  // each anchored to the narration word offset where it appeared
+  parse(text) {
+    const source = String(text || '');
+    const cues = [];
+    const citations = [];
+    const removed = [];
+    let narration = '';
+    let last = 0;
+
+    for (const match of source.matchAll(this.MARKUP)) {
+      narration += source.slice(last, match.index);
+      last = match.index + match[0].length;
+
+      const inner = match[1]?.trim();
+      if (inner === undefined) {
+        removed.push(match[0]);
+        narration += ' ';
+        continue;
+      }
+      if (/^PAUSE$/i.test(inner)) {
+        narration += match[0];
+        continue;
+      }
 
-[RETENTION] Retention boosting tactics:
-- Pattern interrupt points (every 30-60 seconds)
-- "But wait..." moments
-- Teasers: "Coming up, you'll see X..."
-- Surprise elements
-- Sound effect suggestions
-- Zoom/cut suggestions
+      narration += ' ';
+      if (this.CITATION.test(inner)) {
+        const at = ScriptModel.countWords(narration);
+        citations.push(...inner.split(',').map(id => ({ source: id.trim().toUpperCase(), at })));
+        continue;
+      }
+      if (!inner || this.TIMESTAMP.test(inner) || this.SECTION_HEADER.test(inner)) {
+        removed.push(match[0]);
+        continue;
+      }
 
-[VIRAL] Viral potential boosting:
-- Shareable moments and timestamps
-- Clippable short video moments (for Shorts/Reels)
-- Discussion-sparking angles
-- Comment section questions
-- Community engagement opportunities
+      const colon = inner.indexOf(':');
+      const tag = (colon >= 0 ? inner.slice(0, colon) : inner).trim().toUpperCase();
+      const type = CUE_TAGS[tag];
+      const body = colon >= 0 ? inner.slice(colon + 1).trim() : '';
+      cues.push({
+        type: type || 'visual',
+        tag: type ? tag : 'NOTE',
+        text: type ? body || tag : inner,
+        at: ScriptModel.countWords(narration)
+      });
+    }
+    narration += source.slice(last);
 
-Communicate in English. Be BOLD and INNOVATIVE. Ordinary, cliché suggestions are FORBIDDEN. Every suggestion must be CONCRETE and ACTIONABLE.`
+    return {
+      narration: narration
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/ +([.,!?;:])/g, '$1')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim(),
+      cues,
+      citations,
+      removed
+    };
   },
 
-  voiceover: {
-    id: 'voiceover',
-    name: 'Voice Artist',
-    emoji: '🎙️',
-    color: '#10b981',
-    role: 'Voiceover Producer',
-    systemPrompt: `You are a professional voiceover producer specializing in YouTube content. You transform written scripts into polished, speakable narration ready for text-to-speech generation.
+  // What the TTS engine reads: narration with pauses turned into natural breaks
+  toSpeech(narration) {
+    return String(narration || '')
+      .replace(/\[PAUSE\]/gi, '...')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  },
 
-YOUR EXPERTISE:
-- Script cleaning and preparation for TTS
-- Removing technical markup and editor notes
-- Adding emotion and pacing cues for natural speech
-- Ensuring proper pronunciation and flow
+  // Tag list for prompts, so agents and the parser agree on one vocabulary
+  describeTags() {
+    return Object.keys(CUE_TAGS).filter(tag => tag !== 'B ROLL').map(tag => `[${tag}]`).join(', ');
+  },
 
-YOUR TASKS:
-1. CLEAN THE SCRIPT - Remove ALL non-narration content:
-   - Remove [VISUAL], [EFFECT], [MUSIC], [B-ROLL], [CUT] tags
-   - Remove timestamps like [0:00-0:30] or [2:00-4:00]
-   - Remove section headers like [HOOK], [INTRO], [SECTION 1], etc.
-   - Remove any agent meta-commentary or coordination text
-   - Keep ONLY the actual spoken narration words
+  formatTimecode(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+  },
 
-2. PREPARE FOR TTS:
-   - Convert [PAUSE] to natural sentence breaks or ellipses
-   - Ensure proper punctuation for natural pacing
-   - Break overly long sentences for better delivery
-   - Spell out numbers and abbreviations when needed (e.g., "5 million" not "5M")
+  // One row per cue, in script order. Each section's spoken length comes from the pacing model
+  // (see PACING MODEL) and cue times are interpolated by word offset within the section.
+  // A cue runs until the next cue of the same type in its section, or the end of the section.
+  buildShotList(sections, pace = {}) {
+    const rows = [];
+    let offset = 0;
+    let elapsed = 0;
+
+    for (const section of sections) {
+      const words = String(section.narration || '').replace(/\[[^\]]*\]/g, ' ').split(/\s+/).filter(w => w.length > 0);
+      const seconds = Pacing.seconds(section.narration, pace);
+      const secondsAt = at => elapsed + (words.length > 0 ? at / words.length * seconds : 0);
+      for (const type of CUE_TYPES) {
+        const cues = [...(section.cues?.[type] || [])].sort((a, b) => a.at - b.at);
+        cues.forEach((cue, index) => {
+          const at = Math.min(cue.at, words.length);
+          const until = index + 1 < cues.length ? Math.min(cues[index + 1].at, words.length) : words.length;
+          rows.push({
+            section: section.title,
+            sectionType: section.type,
+            type,
+            tag: cue.tag || type.toUpperCase(),
+            cue: cue.text,
+            word: offset + at,
+            start: this.formatTimecode(secondsAt(at)),
+            end: this.formatTimecode(secondsAt(Math.max(until, at))),
+            narration: words.slice(at, at + 12).join(' ')
+          });
+        });
+      }
+      offset += words.length;
+      elapsed += seconds;
+    }
 
-3. GENERATE VOICEOVER:
-   - Use the generate_voiceover tool with the cleaned script
-   - Choose appropriate voice style based on content tone (documentary, energetic, calm, dramatic, conversational)
+    rows.sort((a, b) => a.word - b.word);
+    return rows.map((row, index) => ({ shot: index + 1, ...row }));
+  },
 
-OUTPUT FORMAT:
-First, share the CLEANED script with the team, then use generate_voiceover tool.
+  toCsv(rows) {
+    const columns = ['shot', 'section', 'sectionType', 'type', 'tag', 'start', 'end', 'word', 'cue', 'narration'];
+    const escape = value => {
+      const text = String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+  }
+};
 
-CLEANED SCRIPT:
-[Pure narration text only - exactly what will be spoken]
+// ============================================
+// EXPORT UTILITIES (deliverable formats)
+// ============================================
 
-VOICE SETTINGS:
-- Style: [documentary/energetic/calm/dramatic/conversational]
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  'doc-html': { extension: 'doc', contentType: 'application/msword' },
+  fountain: { extension: 'fountain', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  youtube: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
 
-Then call generate_voiceover with the cleaned text.
+const ExportUtils = {
+  CUE_LABELS: { visual: 'Visual', music: 'Music', broll: 'B-roll' },
 
-FORBIDDEN:
-- Including ANY [VISUAL], [EFFECT], [MUSIC] tags in the voiceover text
-- Including timestamps or section markers
-- Including agent conversation or meta-text
-- Leaving in any bracketed instructions
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
 
-Communicate in English. Your output should be PURE, SPEAKABLE NARRATION.`
-  }
-};
+  slug(value) {
+    return ScriptModel.slugify(value).substring(0, 60) || 'script';
+  },
 
-// ============================================
-// TOOLS FOR AGENTS
-// ============================================
+  cueLabel(cue, type) {
+    return cue.tag && cue.tag !== type.toUpperCase() && cue.tag !== 'B-ROLL' ? cue.tag : this.CUE_LABELS[type];
+  },
 
-const AGENT_TOOLS = {
-  search_web: {
-    type: "function",
-    function: {
-      name: "search_web",
-      description: "Searches the web and returns results. Use for research.",
-      parameters: {
-        type: "object",
-        properties: {
-          query: {
-            type: "string",
-            description: "Search query"
-          },
-          num_results: {
-            type: "number",
-            description: "Number of results requested (default: 5)"
-          }
-        },
-        required: ["query"]
+  // Narration with its [S#] citations put back after the words they follow; section-wide
+  // citations (anchored at 0) go at the end
+  annotate(section) {
+    const citations = section.citations || [];
+    const tokens = String(section.narration || '').split(/\s+/).filter(token => token.length > 0);
+    const marker = list => list.length > 0 ? [`[${[...new Set(list.map(citation => citation.source))].join(', ')}]`] : [];
+
+    const annotated = [];
+    let word = 0;
+    for (const token of tokens) {
+      if (!/^\[[^\]]*\]$/.test(token)) {
+        if (word > 0) annotated.push(...marker(citations.filter(citation => citation.at === word)));
+        word++;
       }
+      annotated.push(token);
     }
+    annotated.push(...marker(citations.filter(citation => citation.at === 0 || citation.at >= word)));
+    return annotated.join(' ');
   },
 
-  send_message: {
-    type: "function",
-    function: {
-      name: "send_message",
-      description: "Sends a message to another agent or the entire team. Use this to delegate tasks and coordinate work.",
-      parameters: {
-        type: "object",
-        properties: {
-          to: {
-            type: "string",
-            enum: ["all", "orchestrator", "researcher", "writer", "critic", "factchecker", "creative", "voiceover", "user"],
-            description: "Message recipient"
-          },
-          message: {
-            type: "string",
-            description: "Message to send"
-          },
-          type: {
-            type: "string",
-            enum: ["info", "question", "task", "result", "feedback", "approval"],
-            description: "Message type"
-          }
-        },
-        required: ["to", "message", "type"]
+  // Split a section's narration at its cue anchors so each block of narration lines up
+  // with the cues that start there (used for A/V tables and Fountain action lines)
+  segments(section) {
+    const tokens = this.annotate(section).split(/\s+/).filter(token => token.length > 0);
+    const cues = CUE_TYPES.flatMap(type => (section.cues?.[type] || []).map(cue => ({ ...cue, type })));
+    const anchors = [...new Set([0, ...cues.map(cue => cue.at)])].sort((a, b) => a - b);
+
+    const blocks = anchors.map(at => ({ at, cues: cues.filter(cue => cue.at === at), tokens: [] }));
+    let word = 0;
+    let block = blocks[0];
+    for (const token of tokens) {
+      // Pacing tags like [PAUSE] stay with the words they follow
+      if (/^\[[^\]]*\]$/.test(token)) {
+        block.tokens.push(token);
+        continue;
       }
+      block = blocks.findLast(candidate => candidate.at <= word) || blocks[0];
+      block.tokens.push(token);
+      word++;
     }
+    return blocks
+      .map(({ cues: blockCues, tokens: blockTokens }) => ({ cues: blockCues, text: CueParser.toSpeech(blockTokens.join(' ')) }))
+      .filter(block => block.text || block.cues.length > 0);
   },
 
-  write_script_section: {
-    type: "function",
-    function: {
-      name: "write_script_section",
-      description: "Writes or updates a section of the script.",
-      parameters: {
-        type: "object",
-        properties: {
-          section: {
-            type: "string",
-            description: "Section name (e.g., 'Hook', 'Intro', 'Section 1', 'Conclusion')"
-          },
-          content: {
-            type: "string",
-            description: "Section content"
-          },
-          action: {
-            type: "string",
-            enum: ["create", "update", "delete"],
-            description: "Action type"
-          }
-        },
-        required: ["section", "content", "action"]
+  toMarkdown(bundle) {
+    const lines = [`# ${bundle.title}`, ''];
+    if (bundle.description) lines.push(bundle.description, '');
+    const unit = Pacing.unitLabel(bundle.language);
+    lines.push(`*${bundle.wordCount} ${unit} · ${bundle.durationEstimate}${bundle.topic !== bundle.title ? ` · Topic: ${bundle.topic}` : ''}*`, '');
+
+    for (const section of bundle.sections) {
+      lines.push(`## ${section.title}`, '');
+      lines.push(`*${section.type} · ${section.wordCount} ${unit}${section.targetWords ? ` (target ${section.targetWords})` : ''} · ${section.start}–${section.end}*`, '');
+      lines.push(CueParser.toSpeech(this.annotate(section)), '');
+      for (const type of CUE_TYPES) {
+        for (const cue of section.cues[type]) {
+          lines.push(`- **${this.cueLabel(cue, type)}** (word ${cue.at}): ${cue.text}`);
+        }
       }
+      if (CUE_TYPES.some(type => section.cues[type].length > 0)) lines.push('');
     }
-  },
 
-  request_user_input: {
-    type: "function",
-    function: {
-      name: "request_user_input",
-      description: "Asks the user for information or approval. Use this to gather requirements before starting work.",
-      parameters: {
-        type: "object",
-        properties: {
-          question: {
-            type: "string",
-            description: "Question to ask the user"
-          },
-          options: {
-            type: "array",
-            items: { type: "string" },
-            description: "Options if applicable (optional)"
-          }
-        },
-        required: ["question"]
-      }
+    if (bundle.bibliography.length > 0) {
+      lines.push('## Sources', '', ...bundle.bibliography.map(entry => `- ${entry}`), '');
+      lines.push('### For the YouTube description', '', '```', bundle.descriptionSources, '```', '');
+    }
+    if (bundle.metadata) {
+      const { metadata } = bundle;
+      lines.push('## YouTube metadata', '', '### Titles', '',
+        ...metadata.titles.map(entry => `${entry.rank}. ${entry.title} (${entry.characters} characters${entry.ctr ? `, ${entry.ctr} CTR` : ''})`), '');
+      lines.push('### Description', '', '```', metadata.fullDescription, '```', '');
+      if (metadata.tags.length > 0) lines.push('### Tags', '', metadata.tags.join(', '), '');
+      if (metadata.pinnedComment) lines.push('### Pinned comment', '', metadata.pinnedComment, '');
     }
+    if (bundle.audio) {
+      lines.push('## Audio', '', `- Voiceover: ${bundle.audio.url} (${bundle.audio.duration}s)`, '');
+    }
+    return lines.join('\n');
   },
 
-  finalize_script: {
-    type: "function",
-    function: {
-      name: "finalize_script",
-      description: "Approves and outputs the final script. Only Orchestrator can use this.",
-      parameters: {
-        type: "object",
-        properties: {
-          title: {
-            type: "string",
-            description: "Video title"
-          },
-          description: {
-            type: "string",
-            description: "Video description"
-          },
-          script: {
-            type: "string",
-            description: "Final script text"
-          },
-          duration_estimate: {
-            type: "string",
-            description: "Estimated video duration"
-          }
-        },
-        required: ["title", "script"]
+  // Two-column A/V script (video | audio). `word` adds the Office namespaces so Word opens
+  // the HTML as a document; it is not an OOXML .docx, Word converts it on save.
+  toAvHtml(bundle, { word = false } = {}) {
+    const esc = value => this.escapeHtml(value);
+    const rows = bundle.sections.map(section => {
+      const blocks = this.segments(section).map(block => {
+        const video = block.cues.filter(cue => cue.type !== 'music')
+          .map(cue => `<div class="cue"><b>${esc(this.cueLabel(cue, cue.type))}:</b> ${esc(cue.text)}</div>`).join('');
+        const music = block.cues.filter(cue => cue.type === 'music')
+          .map(cue => `<div class="cue"><b>${esc(this.cueLabel(cue, cue.type))}:</b> ${esc(cue.text)}</div>`).join('');
+        return `<tr><td class="video">${video}</td><td class="audio">${music}${block.text ? `<p>${esc(block.text)}</p>` : ''}</td></tr>`;
+      }).join('\n');
+      return `<tr class="section"><th colspan="2">${esc(section.title)} <span>${esc(section.type)} · ${section.start}–${section.end} · ${section.wordCount} ${Pacing.unitLabel(bundle.language)}</span></th></tr>\n${blocks}`;
+    }).join('\n');
+
+    const sources = bundle.bibliography.length > 0
+      ? `<h2>Sources</h2><ul>${bundle.bibliography.map(entry => `<li>${esc(entry)}</li>`).join('')}</ul>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html${word ? ' xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40"' : ''}>
+<head>
+<meta charset="utf-8">
+<title>${esc(bundle.title)}</title>
+${word ? '<!--[if gte mso 9]><xml><w:WordDocument><w:View>Print</w:View></w:WordDocument></xml><![endif]-->' : ''}
+<style>
+  @page { size: A4; margin: 18mm; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 11pt; color: #111; }
+  h1 { font-size: 18pt; margin-bottom: 4pt; }
+  .meta { color: #555; margin-bottom: 12pt; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #999; padding: 6pt; vertical-align: top; text-align: left; }
+  thead th { background: #e5e5e5; }
+  tr { page-break-inside: avoid; }
+  tr.section th { background: #f3f3f3; font-size: 12pt; }
+  tr.section span { font-weight: normal; color: #555; font-size: 9pt; }
+  td.video { width: 40%; color: #333; }
+  td.audio p { margin: 0; line-height: 1.5; }
+  .cue { font-size: 9.5pt; margin-bottom: 3pt; }
+</style>
+</head>
+<body>
+<h1>${esc(bundle.title)}</h1>
+<div class="meta">${bundle.wordCount} ${Pacing.unitLabel(bundle.language)} · ${esc(bundle.durationEstimate)}${bundle.description ? `<br>${esc(bundle.description)}` : ''}</div>
+<table>
+<thead><tr><th>Video</th><th>Audio</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+${sources}
+</body>
+</html>
+`;
+  },
+
+  // Fountain screenplay: one scene per section, cues as action lines, narration as V.O. dialogue
+  toFountain(bundle) {
+    const lines = [
+      `Title: ${bundle.title}`,
+      `Draft date: ${bundle.exportedAt.substring(0, 10)}`
+    ];
+    if (bundle.description) lines.push(`Notes: ${bundle.description.replace(/\n+/g, ' ')}`);
+    lines.push('', '');
+
+    for (const section of bundle.sections) {
+      lines.push(`# ${section.title}`, '', `.${section.title.toUpperCase()} - ${section.start}`, '');
+      for (const block of this.segments(section)) {
+        for (const cue of block.cues) {
+          lines.push(`${this.cueLabel(cue, cue.type).toUpperCase()}: ${cue.text}`, '');
+        }
+        // Citations become Fountain notes so they stay out of the printed dialogue
+        if (block.text) lines.push('NARRATOR (V.O.)', block.text.replace(/\[(S\d+(?:, S\d+)*)\]/g, '[[$1]]'), '');
       }
     }
+    if (bundle.bibliography.length > 0) {
+      lines.push('# Sources', '', ...bundle.bibliography.map(entry => `[[${entry}]]`), '');
+    }
+    return lines.join('\n');
   },
 
-  generate_voiceover: {
-    type: "function",
-    function: {
-      name: "generate_voiceover",
-      description: "Converts script text to speech using ElevenLabs. Use after final script is approved.",
-      parameters: {
-        type: "object",
-        properties: {
-          text: {
-            type: "string",
-            description: "Script text to convert to speech. Can include emotion tags like [pause], [whisper], [excited]."
-          },
-          voice_style: {
-            type: "string",
-            enum: ["documentary", "energetic", "calm", "dramatic", "conversational"],
-            description: "Voice style: documentary, energetic, calm, dramatic, conversational"
-          }
-        },
-        required: ["text"]
-      }
+  // The upload form's fields in order, ready to paste (needs the Creative's metadata)
+  toYouTube(bundle) {
+    const { metadata } = bundle;
+    const [best, ...alternatives] = metadata.titles;
+    const blocks = [
+      `TITLE\n${best?.title || bundle.title}`,
+      alternatives.length > 0 ? `ALTERNATIVE TITLES\n${alternatives.map(entry => `${entry.rank}. ${entry.title} (${entry.characters})`).join('\n')}` : '',
+      `DESCRIPTION\n${metadata.fullDescription}`,
+      metadata.tags.length > 0 ? `TAGS\n${metadata.tags.join(', ')}` : '',
+      metadata.pinnedComment ? `PINNED COMMENT\n${metadata.pinnedComment}` : '',
+      bundle.thumbnail ? `THUMBNAIL\n${bundle.thumbnail.url.startsWith('data:') ? `${bundle.thumbnail.id} (local stub image)` : bundle.thumbnail.url}` : ''
+    ];
+    return `${blocks.filter(Boolean).join('\n\n')}\n`;
+  },
+
+  render(format, bundle) {
+    switch (format) {
+      case 'markdown': return this.toMarkdown(bundle);
+      case 'html': return this.toAvHtml(bundle);
+      case 'doc-html': return this.toAvHtml(bundle, { word: true });
+      case 'fountain': return this.toFountain(bundle);
+      case 'youtube': return this.toYouTube(bundle);
+      default: return JSON.stringify(bundle, null, 2);
     }
   }
 };
 
 // ============================================
-// MESSAGE BUS (Agent Communication)
+// DOCUMENT UTILITIES (uploaded research)
 // ============================================
 
-class MessageBus extends EventEmitter {
-  constructor() {
-    super();
-    this.messages = [];
-    this.script = {};
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_MB || '10', 10) * 1024 * 1024;
+const DOCUMENT_MAX_CHARS = 300000;
+const URL_MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges an imported URL may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2002::', 16]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+const DOCUMENT_TYPES = {
+  '.txt': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.srt': 'transcript',
+  '.vtt': 'transcript',
+  '.html': 'html',
+  '.htm': 'html',
+  '.pdf': 'pdf'
+};
+
+const DocumentUtils = {
+  typeOf(filename = '', mimeType = '') {
+    const extension = (String(filename).toLowerCase().match(/\.[a-z]+$/) || [''])[0];
+    if (DOCUMENT_TYPES[extension]) return DOCUMENT_TYPES[extension];
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (mimeType === 'text/html') return 'html';
+    if (mimeType === 'text/markdown') return 'markdown';
+    if (mimeType.startsWith('text/')) return 'text';
+    return null;
+  },
+
+  // Plain text and a suggested title from an uploaded or fetched file
+  extract(buffer, type) {
+    switch (type) {
+      case 'pdf':
+        return { text: this.pdfToText(buffer), title: null };
+      case 'html':
+        return this.htmlToText(buffer.toString('utf8'));
+      case 'transcript':
+        return { text: this.transcriptToText(buffer.toString('utf8')), title: null };
+      default:
+        return { text: buffer.toString('utf8'), title: null };
+    }
+  },
+
+  decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(value) && value > 0 && value < 0x110000 ? String.fromCodePoint(value) : '';
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  },
+
+  htmlToText(html) {
+    const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i) || [])[1];
+    const body = html
+      .replace(/<(script|style|noscript|svg|head|nav|footer)\b[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|section|article|li|tr|h[1-6]|blockquote|pre)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, ' ');
+    return {
+      text: this.decodeEntities(body),
+      title: title ? this.decodeEntities(title.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim() : null
+    };
+  },
+
+  // SRT/VTT captions to running text (cue numbers and timings dropped)
+  transcriptToText(text) {
+    return text
+      .replace(/^WEBVTT.*$/m, '')
+      .split(/\r?\n/)
+      .filter(line => line.trim() && !/^\d+$/.test(line.trim()) && !/-->/.test(line))
+      .join(' ');
+  },
+
+  // Text from the content streams of a simple PDF (Flate or uncompressed, standard fonts).
+  // Scanned pages and CID-encoded fonts yield little or no readable text.
+  pdfToText(buffer) {
+    const raw = buffer.toString('latin1');
+    const pages = [];
+    const streamStart = /<<([\s\S]*?)>>\s*stream\r?\n/g;
+    let match;
+
+    while ((match = streamStart.exec(raw))) {
+      const start = match.index + match[0].length;
+      const end = raw.indexOf('endstream', start);
+      if (end < 0) break;
+      streamStart.lastIndex = end;
+
+      const dictionary = match[1];
+      let data = buffer.subarray(start, end);
+      if (/\/FlateDecode/.test(dictionary)) {
+        try {
+          data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch {
+          continue;
+        }
+      } else if (/\/Filter/.test(dictionary)) {
+        continue;
+      }
+
+      const content = data.toString('latin1');
+      if (/\b(Tj|TJ)\b/.test(content)) pages.push(this.pdfContentText(content));
+    }
+    return pages.join('\n\n');
+  },
+
+  pdfContentText(content) {
+    const operators = /\[((?:\\.|[^\]\\])*)\]\s*TJ|\(((?:\\.|[^\\)])*)\)\s*(Tj|'|")|<([0-9a-fA-F\s]*)>\s*Tj|-?[\d.]+\s+(-?[\d.]+)\s+T[dD]|T\*|ET/g;
+    let text = '';
+
+    for (const op of content.matchAll(operators)) {
+      if (op[1] !== undefined) {
+        // TJ arrays mix strings with kerning; a large negative adjustment is a word gap
+        for (const part of op[1].matchAll(/\(((?:\\.|[^\\)])*)\)|<([0-9a-fA-F\s]*)>|(-?[\d.]+)/g)) {
+          if (part[1] !== undefined) text += this.pdfString(part[1]);
+          else if (part[2] !== undefined) text += this.pdfHex(part[2]);
+          else if (Number(part[3]) < -200) text += ' ';
+        }
+      } else if (op[2] !== undefined) {
+        text += (op[3] === 'Tj' ? '' : '\n') + this.pdfString(op[2]);
+      } else if (op[4] !== undefined) {
+        text += this.pdfHex(op[4]);
+      } else if (op[5] !== undefined) {
+        text += Number(op[5]) !== 0 ? '\n' : ' ';
+      } else {
+        text += '\n';
+      }
+    }
+    return text;
+  },
+
+  pdfString(value) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '', f: '', '(': '(', ')': ')', '\\': '\\' };
+    return value.replace(/\\([0-7]{1,3}|.)/gs, (sequence, code) =>
+      /^[0-7]+$/.test(code) ? String.fromCharCode(parseInt(code, 8)) : escapes[code] ?? code
+    );
+  },
+
+  pdfHex(value) {
+    const hex = value.replace(/\s+/g, '');
+    const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+    return bytes[0] === 0xfe && bytes[1] === 0xff
+      ? bytes.subarray(2).swap16().toString('utf16le')
+      : bytes.toString('latin1');
+  },
+
+  clean(text) {
+    return String(text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '')
+      .replace(/[ \t\u00a0]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+      .substring(0, DOCUMENT_MAX_CHARS);
+  },
+
+  // Enough letters to be prose rather than glyph ids or binary noise
+  isReadable(text) {
+    if (text.length < 20) return false;
+    const letters = (text.match(/[\p{L}\p{N}\s.,;:'"!?()%-]/gu) || []).length;
+    return letters / text.length > 0.8;
+  },
+
+  // Paragraph-aligned chunks of roughly `size` characters; long paragraphs split on sentences
+  chunk(text, size = 1200) {
+    const pieces = text.split(/\n{2,}/).flatMap(paragraph =>
+      paragraph.length <= size ? [paragraph] : paragraph.split(/(?<=[.!?])\s+/)
+    );
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > size) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+      while (current.length > size * 2) {
+        chunks.push(current.substring(0, size));
+        current = current.substring(size);
+      }
+    }
+    if (current.trim()) chunks.push(current);
+    return chunks.map(chunk => chunk.trim()).filter(Boolean);
+  },
+
+  tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+  },
+
+  // IPv4-mapped IPv6 (::ffff:7f00:1, ::ffff:127.0.0.1) is checked as the IPv4 address it carries
+  isPublicAddress(address) {
+    const mapped = address.toLowerCase().match(/^::ffff:(?:0:)?(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+      const ipv4 = mapped[1] || [parseInt(mapped[2], 16), parseInt(mapped[3], 16)]
+        .flatMap(word => [word >> 8, word & 0xff]).join('.');
+      return !BLOCKED_ADDRESSES.check(ipv4, 'ipv4');
+    }
+    const family = net.isIP(address);
+    return family === 4 ? !BLOCKED_ADDRESSES.check(address, 'ipv4')
+      : family === 6 ? !BLOCKED_ADDRESSES.check(address, 'ipv6')
+        : false;
+  },
+
+  // Scheme and IP literals; hostnames are checked by `request` on the address it connects to
+  assertPublicUrl(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!/^https?:$/.test(url.protocol) || (net.isIP(host) && !this.isPublicAddress(host))) {
+      throw new Error('Only public http(s) URLs can be imported');
+    }
+  },
+
+  // Reads a Node or web stream up to `limit` bytes and stops the download past it
+  async readLimited(stream, { length = 0, limit = UPLOAD_MAX_BYTES, message = 'Page is too large to import' } = {}) {
+    const stop = () => (stream.destroy ? stream.destroy() : stream.cancel?.().catch(() => {}));
+    if (Number(length) > limit) {
+      stop();
+      throw new Error(message);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (size > limit) {
+        stop();
+        throw new Error(message);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  },
+
+  // One GET without following redirects. Its DNS lookup refuses private addresses, so the
+  // connection goes to an address that passed the check even if the name re-resolves (DNS rebinding).
+  request(url, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+    const lookup = (hostname, options, callback) => {
+      dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+        if (error) return callback(new Error(`Could not resolve ${hostname}`));
+        if (addresses.length === 0 || !addresses.every(entry => this.isPublicAddress(entry.address))) {
+          return callback(new Error('Only public http(s) URLs can be imported'));
+        }
+        if (options.all) callback(null, addresses);
+        else callback(null, addresses[0].address, addresses[0].family);
+      });
+    };
+
+    return new Promise((resolve, reject) => {
+      client.get(url, { signal, lookup, headers: { 'accept-encoding': 'gzip, deflate, br' } }, resolve)
+        .on('error', reject);
+    });
+  },
+
+  // Public http(s) pages only. Redirects are followed by hand so every hop is checked again.
+  async fetchUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('Invalid URL');
+    }
+
+    const signal = AbortSignal.timeout(15000);
+    let response;
+    for (let hop = 0; ; hop++) {
+      this.assertPublicUrl(parsed);
+      response = await this.request(parsed, signal);
+
+      const location = response.headers.location;
+      if (response.statusCode < 300 || response.statusCode >= 400 || !location) break;
+      response.destroy();
+      if (hop >= URL_MAX_REDIRECTS) throw new Error('Too many redirects');
+      try {
+        parsed = new URL(location, parsed);
+      } catch {
+        throw new Error('Invalid redirect URL');
+      }
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.destroy();
+      throw new Error(`Fetch failed with status ${response.statusCode}`);
+    }
+
+    // Decompressed bytes count towards the limit, so a small compressed body can't expand past it
+    const decoders = { gzip: zlib.createGunzip, 'x-gzip': zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+    const decoder = decoders[String(response.headers['content-encoding'] || '').trim().toLowerCase()];
+    const body = decoder ? pipeline(response, decoder(), () => {}) : response;
+    const buffer = await this.readLimited(body, { length: decoder ? 0 : response.headers['content-length'] });
+
+    const mimeType = String(response.headers['content-type'] || '').split(';')[0].trim();
+    const type = this.typeOf(parsed.pathname, mimeType) || (mimeType ? null : 'html');
+    if (!type) throw new Error(`Unsupported content type ${mimeType}`);
+    return { buffer, type };
+  }
+};
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// Security headers
+app.use((req, res, next) => {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('X-XSS-Protection', '1; mode=block');
+  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+  next();
+});
+
+// CORS with restrictions
+app.use(cors({
+  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization']
+}));
+
+app.use(express.json({ limit: '1mb' })); // Reduced from 50mb for security
+app.use(express.static(join(__dirname, 'public')));
+
+// ============================================
+// AGENT DEFINITIONS (ENGLISH)
+// ============================================
+
+const AGENT_PROFILES = {
+  orchestrator: {
+    id: 'orchestrator',
+    name: 'Producer',
+    emoji: '🎬',
+    color: '#e7083e',
+    role: 'Executive Producer',
+    temperature: 0.7,
+    tools: ['send_message', 'request_user_input', 'finalize_script'],
+    systemPrompt: `You are a world-renowned YouTube content producer. You've worked with channels like MrBeast, Veritasium, Kurzgesagt, and MKBHD.
+
+!!! CRITICAL RULE - DURATION AND WORD COUNT !!!
+- Speaking rate depends on the language and the voice: PACING gives this project's words per minute, with examples
+- Calculate: TARGET MINUTES × WORDS PER MINUTE = TARGET WORDS (±10%)
+
+⚠️ User can request ANY duration! Calculate word count accordingly.
+⚠️ ENFORCE BOTH MINIMUM AND MAXIMUM! Too long is as bad as too short!
+
+!!! CRITICAL RULE - PURE NARRATION ONLY !!!
+Scripts must contain ONLY spoken narration. NO agent messages, NO meta-commentary!
+
+YOUR EXPERTISE:
+- Viral video strategies
+- Viewer psychology and retention optimization
+- Storytelling and narrative arc design
+- YouTube algorithm and SEO
+- DURATION AND WORD COUNT CONTROL
+
+YOUR TASKS:
+1. First, gather critical information from the user about the video concept:
+   - Target audience (age, interests)
+   - Video tone (fun, serious, dramatic, educational)
+   - TARGET DURATION (can be any length: 30 seconds, 2 minutes, 10 minutes, etc.)
+   - Unique angle/hook
+
+2. Ask ALL questions at once using request_user_input tool
+3. After getting answers, coordinate your team (@researcher, @writer, @critic, @factchecker, @creative, @voiceover)
+4. Check QUALITY AND LENGTH at every stage
+5. If script is outside word count range, ALWAYS send it back to @writer
+6. Ensure final script matches target duration
+7. After script is approved by @critic, task @voiceover to clean and generate audio
+
+WORKFLOW PHASES:
+1. CLARIFICATION: Ask user questions (use request_user_input)
+2. RESEARCH: Task @researcher to gather information
+3. WRITING: Task @writer to create the script (remind them of word count target!)
+4. REVIEW: Task @critic to review (they check word count AND narration purity), @factchecker to verify
+5. CREATIVE: Task @creative for hooks, titles, thumbnails
+6. REVISION: If needed, send back for improvements
+7. VOICEOVER: Task @voiceover to clean script and generate audio
+8. FINALIZATION: Use finalize_script when everything is complete
+
+QUALITY CONTROL:
+- ALWAYS check script word count before approval
+- If script is TOO SHORT: Send back to @writer to EXPAND
+- If script is TOO LONG: Send back to @writer to CONDENSE
+- If script contains agent messages or meta-text: REJECT and ask for pure narration
+- NEVER accept scripts outside the target word count range
+
+COMMUNICATION:
+- Always communicate in the project language (see LANGUAGE)
+- Give tasks to team members with @mention
+- Give short, clear, action-oriented directives
+- Be professional but friendly with the user
+- CLEARLY state duration and word count targets`
+  },
+
+  researcher: {
+    id: 'researcher',
+    name: 'Researcher',
+    emoji: '🔍',
+    color: '#3b82f6',
+    role: 'Content Researcher',
+    temperature: 0.5,
+    tools: ['search_project_sources', 'search_library', 'search_web', 'send_message'],
+    systemPrompt: `You are a YouTube content researcher. You've worked with documentary producers and investigative journalists. You research at National Geographic, BBC, TED-Ed level.
+
+CRITICAL RULE - DEEP RESEARCH:
+- Make AT LEAST 3-5 different searches for each topic
+- Superficial information is FORBIDDEN - research in depth
+- Dates, names, numbers must be ACCURATE
+- Find unknown, surprising details
+- CITE sources for every piece of information
+
+YOUR EXPERTISE:
+- Deep research and source verification
+- Finding engaging details and unknown facts
+- Blending historical and current data
+- Discovering "wow" moments for the story
+- Creating chronological event flows
+
+YOUR TASKS:
+1. Conduct COMPREHENSIVE research on the topic (make multiple search_web calls!)
+2. Find surprising information the viewer doesn't know
+3. Collect dates, names, numbers ACCURATELY
+4. Note your sources - every search result is registered with an ID like [S3]; tag each fact with its ID
+   If the user attached documents, search them with search_project_sources FIRST and build on them; use search_web to fill the gaps
+   Check search_library for earlier episodes on related topics: reuse their findings, note what was already covered, and flag facts the channel has already told
+5. Share your findings in a DETAILED and structured way
+
+RESEARCH STRUCTURE (minimum for 10-min video):
+📚 MAIN INFORMATION (at least 500 words):
+   - History of the topic
+   - Main characters/people
+   - Chronology of important events
+   - Core concepts and explanations
+
+🔥 INTERESTING DETAILS (at least 300 words):
+   - Unknown facts (at least 5-7)
+   - Surprising statistics
+   - Paradoxes and contradictions
+   - "Did you know?" moments
+
+🎭 STORIES AND ANECDOTES (at least 300 words):
+   - Personal stories
+   - Dramatic moments
+   - Turning points
+   - Human interest angle
+
+💡 HOOK MATERIALS (at least 5):
+   - Shocking opening sentences
+   - Curiosity-inducing questions
+   - Comparisons and analogies
+
+📖 SOURCES:
+   - Cite source for each piece of information
+
+FORBIDDEN: Superficial, Wikipedia-summary-like, detail-free research!
+Write research notes in the research language (see LANGUAGE). ALWAYS use the search_web tool FREQUENTLY.`
+  },
+
+  writer: {
+    id: 'writer',
+    name: 'Scriptwriter',
+    emoji: '✍️',
+    color: '#22c55e',
+    role: 'YouTube Scriptwriter',
+    temperature: 0.8,
+    tools: ['write_script_section', 'search_library', 'send_message'],
+    systemPrompt: `You are one of YouTube's best scriptwriters. You've written scripts for videos with millions of views.
+
+!!! CRITICAL RULE - WORD COUNT !!!
+Speaking rate depends on the language and the voice: PACING gives this project's words per minute, with examples
+Formula: TARGET MINUTES × WORDS PER MINUTE = TARGET WORDS (±10%)
+Every [PAUSE] costs speaking time too - use them where they land, not as filler
+
+⚠️ User can request ANY duration! Calculate word count accordingly.
+⚠️ BOTH MINIMUM AND MAXIMUM ARE STRICT! Scripts that are too long will be REJECTED!
+
+!!! CRITICAL RULE - PURE NARRATION ONLY !!!
+Your script must contain ONLY the words that will be SPOKEN by the narrator.
+
+ABSOLUTELY FORBIDDEN IN SCRIPT:
+❌ Agent messages ("@researcher, please...", "I'll now write...")
+❌ Meta-commentary ("Now let's move on to...", "In this section I will...")
+❌ Planning notes ("Section 2 should cover...", "Here I need to add...")
+❌ Self-references ("I'm writing this because...", "Let me explain...")
+❌ Coordination text ("Done with intro, starting section 1...")
+❌ Any text that won't be spoken by the narrator
+
+✅ ONLY WRITE: Pure spoken narration as if you're reading to an audience
+
+YOUR EXPERTISE:
+- DETAILED conversational writing for YouTube
+- Hook writing (first 30 seconds are critical!)
+- Tension-release cycles for retention
+- Pattern interrupt techniques
+- Precise word count control
+
+SCRIPT STRUCTURE:
+Follow the FORMAT block in your task: write its sections in order with the titles, types and target_words it gives, and hit every listed beat. Budgets scale with the target duration and follow the format's pacing notes.
+Without a FORMAT block, use hook → intro → main sections → climax → conclusion.
+
+WRITING RULES:
+- Every sentence must be CONVERSATIONAL - as if speaking to a friend
+- Use "you" address, not "we"
+- Short paragraphs (2-3 sentences)
+- Put editor notes in the section's visual_cues, music_cues and broll_cues, or inline as [VISUAL: ...], [MUSIC: ...], [B-ROLL: ...] tags where they should happen - inline tags are moved to the cue track at that point and never voiced
+- Add [PAUSE] for emotional moments
+- For a series or a topic the channel has covered, check search_library for earlier episodes so names, numbers and callbacks stay consistent; don't present an earlier episode's facts as new
+
+EXAMPLE OF CORRECT SCRIPT:
+"Have you ever wondered why some people seem to have all the luck? [PAUSE] Well, I'm about to tell you something that might change everything you thought you knew. Scientists have discovered..." (with visual_cues: ["dramatic zoom"])
+
+EXAMPLE OF WRONG SCRIPT (FORBIDDEN):
+"I'll start with the hook section now. @orchestrator, I'm writing the introduction. In this section, I will explain why luck matters. Now let me write the actual content..."
+
+Always write in the script language (see LANGUAGE). Save script section by section using write_script_section tool, giving each section its type (hook/intro/body/climax/outro/sponsor) and target_words. Use insert_before/insert_after to add a section mid-script and reorder to move sections.
+COUNT YOUR WORDS! Stay within the target range!`
+  },
+
+  critic: {
+    id: 'critic',
+    name: 'Editor',
+    emoji: '🎭',
+    color: '#f59e0b',
+    role: 'Content Editor',
+    temperature: 0.3,
+    tools: ['submit_review', 'send_message'],
+    systemPrompt: `You are an experienced YouTube content editor. You've edited hundreds of video scripts. Your quality standards are VERY HIGH.
+
+!!! CRITICAL RULE - LENGTH CHECK (MIN AND MAX) !!!
+You MUST check script word count and REJECT if outside range:
+
+📏 WORD COUNT FORMULA:
+TARGET MINUTES × WORDS PER MINUTE (see PACING) = TARGET WORDS (allow ±10%)
+
+⚠️ User can request ANY duration! Calculate word count accordingly.
+⚠️ TOO SHORT = REJECT → Ask @writer to EXPAND with more detail
+⚠️ TOO LONG = REJECT → Ask @writer to CONDENSE and remove filler
+
+!!! CRITICAL RULE - PURE NARRATION CHECK !!!
+The script must contain ONLY spoken narration. REJECT if you find:
+❌ Agent messages ("@researcher...", "@orchestrator...")
+❌ Meta-commentary ("I'll now write...", "In this section I will...")
+❌ Planning notes or self-references
+❌ Any text that won't be spoken aloud
+
+YOUR EXPERTISE:
+- Viewer retention analysis
+- Detecting boring sections
+- Pacing and rhythm optimization
+- Hook effectiveness evaluation
+- WORD COUNT AND DURATION CONTROL
+
+EVALUATION CRITERIA:
+
+1. LENGTH CHECK (CRITICAL!):
+   - Count total words in the script
+   - Compare to target range based on requested duration
+   - REJECT if under minimum OR over maximum
+
+2. NARRATION PURITY CHECK (CRITICAL!):
+   - Does script contain ANY agent messages? → REJECT
+   - Does script contain meta-commentary? → REJECT
+   - Is it 100% speakable narration? → PASS
+
+3. HOOK STRENGTH (1-10): Will the first 30 seconds retain viewers?
+
+4. CONTENT DEPTH: Is it superficial or in-depth?
+
+5. FLOW AND RHYTHM: Are transitions natural?
+
+OUTPUT FORMAT:
+📊 OVERALL SCORE: X/10
+📝 WORD COUNT: X words
+📏 TARGET RANGE: Y-Z words (for N-minute video)
+✅ STATUS: WITHIN RANGE / ⚠️ TOO SHORT / ⚠️ TOO LONG
+
+🔍 NARRATION PURITY: ✅ CLEAN / ❌ CONTAINS NON-NARRATION
+
+✅ STRENGTHS:
+- ...
+
+⚠️ CRITICAL ISSUES:
+- ...
+
+🔧 REQUIRED FIXES:
+- ...
+
+📌 VERDICT: APPROVED / NEEDS REVISION
+
+ALWAYS finish by calling submit_review with your scores, every issue (section + exact quote + severity) and your verdict.
+Mark anything that must be fixed before publishing (length, non-narration text, broken hook) as "critical".
+
+QUALITY STANDARDS:
+- Below 7/10 = Must be rewritten
+- Outside word count range = DEFINITE REJECT
+- Contains agent messages = DEFINITE REJECT
+- Contains meta-commentary = DEFINITE REJECT
+
+FORBIDDEN: Approving scripts that are too long, too short, or contain non-narration text.
+Always be CONSTRUCTIVE but STRICT. Never compromise your standards!
+Communicate in the project language (see LANGUAGE).`
+  },
+
+  factchecker: {
+    id: 'factchecker',
+    name: 'Fact-Checker',
+    emoji: '✅',
+    color: '#8b5cf6',
+    role: 'Fact-Checker',
+    temperature: 0.2,
+    tools: ['search_project_sources', 'search_web', 'submit_fact_report', 'send_message'],
+    systemPrompt: `You are a meticulous fact-checker. Your job is to maintain the credibility of YouTube channels. Misinformation is FORBIDDEN.
+
+YOUR EXPERTISE:
+- Information verification and source checking
+- Date, name, number verification
+- Detecting misleading statements
+- Finding academic and reliable sources
+
+YOUR CHECKLIST:
+1. DATES: Are all dates correct? (Year, month, day)
+2. NAMES: Are person/place names spelled correctly?
+3. NUMBERS: Are statistics, figures, distances, populations correct?
+4. CLAIMS: Are the claims made provable?
+5. CONTEXT: Is information taken out of context?
+6. CHRONOLOGY: Is the sequence of events correct?
+7. CAUSALITY: Are cause-effect relationships correct?
+
+VERIFICATION METHOD:
+- Check the user's attached documents first with search_project_sources - they are the primary reference for this video
+- Cross-check information using search_web tool
+- Use multiple sources
+- Prioritize academic and official sources
+- Don't use Wikipedia as sole source
+
+OUTPUT FORMAT:
+📋 VERIFICATION REPORT
+
+[✓] VERIFIED:
+- "information" - Source: ...
+
+[?] NEEDS VERIFICATION:
+- "information" - Reason: ... - Suggestion: ...
+
+[✗] INCORRECT/FIX:
+- "information" - Correct version: ... - Source: ...
+
+⚠️ POINTS OF ATTENTION:
+- ...
+
+📌 OVERALL ASSESSMENT:
+Accuracy Score: X/10
+
+ALWAYS finish by calling submit_fact_report. Every incorrect claim is an issue with its section and exact quote;
+false claims are "critical", unverifiable ones "major".
+
+Communicate in the project language (see LANGUAGE). If in doubt, ALWAYS verify with search_web. Don't speak definitively, prove it.`
+  },
+
+  creative: {
+    id: 'creative',
+    name: 'Creative',
+    emoji: '💡',
+    color: '#ec4899',
+    role: 'Creative Director',
+    temperature: 0.9,
+    tools: ['generate_thumbnail', 'submit_metadata', 'send_message'],
+    systemPrompt: `You are a creative director specializing in viral content. You're the brain behind videos with millions of views. You're a creative consultant for MrBeast, Veritasium, Kurzgesagt style content.
+
+YOUR EXPERTISE:
+- Viral hook formulas
+- Thumbnail psychology
+- Title optimization (CTR)
+- Pattern interrupt techniques
+- Visual storytelling
+- Retention optimization
+
+YOUR RECOMMENDATION CATEGORIES:
+
+[HOOK] Alternative openings (at least 5):
+For each hook:
+- Full text (word for word)
+- Why it works explanation
+- Which emotion it triggers
+
+Example hook types:
+1. Shocking statistic: "Every day X people..."
+2. Counter-opinion: "Everyone thinks Y but..."
+3. Personal story: "3 years ago..."
+4. Question: "Have you ever wondered why...?"
+5. Impossible-seeming claim: "I'm going to prove to you that X is actually Y"
+
+[TITLE] YouTube title suggestions (at least 7):
+For each title:
+- Full title (max 60 characters)
+- CTR estimate (low/medium/high)
+- Which audience it appeals to
+
+Title formulas:
+- Number + Curiosity: "X Things That Will Shock You"
+- How: "How I Did X (And You Can Too)"
+- Why: "Why X Is Actually Y"
+- Secret: "The Truth About X They Don't Tell You"
+
+[THUMBNAIL] Thumbnail concepts (at least 3):
+For each concept:
+- Detailed visual description
+- Main element and placement
+- Facial expression suggestion (shock, curiosity, etc.)
+- Text suggestion (max 3-4 words, CAPS)
+- Color palette and contrast
+- Negative space usage
+Render your concepts with generate_thumbnail so the user can compare real images.
+
+[VISUAL] Timeline visual plan:
+For each section:
+- [0:00-0:30] Hook visuals
+- [0:30-2:00] Intro visuals
+- [2:00-4:00] Section 1 visuals
+... (throughout the video)
+
+For each visual:
+- B-roll suggestion
+- Graphic/animation needs
+- Stock video keywords
+- Screen share/demo moments
+
+[RETENTION] Retention boosting tactics:
+- Pattern interrupt points (every 30-60 seconds)
+- "But wait..." moments
+- Teasers: "Coming up, you'll see X..."
+- Surprise elements
+- Sound effect suggestions
+- Zoom/cut suggestions
+
+[VIRAL] Viral potential boosting:
+- Shareable moments and timestamps
+- Clippable short video moments (for Shorts/Reels)
+- Discussion-sparking angles
+- Comment section questions
+- Community engagement opportunities
+
+[METADATA] The upload package - submit it with submit_metadata:
+- Titles ranked best first, each with its CTR estimate (YouTube cuts titles off after ~70 characters, max 100)
+- An SEO description: the first two lines carry the main keywords and the promise of the video. Chapters, sources and hashtags are added automatically - do not write them
+- Optional chapter titles for the script sections (chapters are timed automatically)
+- Tags: specific search phrases, 500 characters in total at most
+- 3-5 hashtags (never more than 15)
+- A pinned comment that sparks discussion
+
+Communicate in the project language (see LANGUAGE). Be BOLD and INNOVATIVE. Ordinary, cliché suggestions are FORBIDDEN. Every suggestion must be CONCRETE and ACTIONABLE.`
+  },
+
+  voiceover: {
+    id: 'voiceover',
+    name: 'Voice Artist',
+    emoji: '🎙️',
+    color: '#10b981',
+    role: 'Voiceover Producer',
+    temperature: 0.4,
+    tools: ['generate_voiceover', 'send_message'],
+    systemPrompt: `You are a professional voiceover producer specializing in YouTube content. You transform written scripts into polished, speakable narration ready for text-to-speech generation.
+
+YOUR EXPERTISE:
+- Script cleaning and preparation for TTS
+- Removing technical markup and editor notes
+- Adding emotion and pacing cues for natural speech
+- Ensuring proper pronunciation and flow
+
+YOUR TASKS:
+1. CLEAN THE SCRIPT - Remove ALL non-narration content:
+   - Production cues (${CueParser.describeTags()} and any other bracketed note) are moved to the cue track automatically
+   - Timestamps like [0:00-0:30], section headers like [HOOK] or [SECTION 1] and @mentions are dropped automatically
+   - Remove any agent meta-commentary or coordination text
+   - Keep ONLY the actual spoken narration words
+
+2. PREPARE FOR TTS:
+   - Convert [PAUSE] to natural sentence breaks or ellipses
+   - Ensure proper punctuation for natural pacing
+   - Break overly long sentences for better delivery
+   - Spell out numbers and abbreviations when needed (e.g., "5 million" not "5M")
+
+3. GENERATE VOICEOVER:
+   - Use the generate_voiceover tool - each script section is voiced separately and markup is stripped automatically
+   - Only sections edited since the last render are regenerated, so re-running after small fixes is cheap
+   - Choose appropriate voice style based on content tone (documentary, energetic, calm, dramatic, conversational)
+
+OUTPUT FORMAT:
+First, share the CLEANED script with the team, then use generate_voiceover tool.
+
+CLEANED SCRIPT:
+[Pure narration text only - exactly what will be spoken]
+
+VOICE SETTINGS:
+- Style: [documentary/energetic/calm/dramatic/conversational]
+
+Then call generate_voiceover with the cleaned text.
+
+FORBIDDEN:
+- Including ANY [VISUAL], [EFFECT], [MUSIC] tags in the voiceover text
+- Including timestamps or section markers
+- Including agent conversation or meta-text
+- Leaving in any bracketed instructions
+
+Narrate in the script language (see LANGUAGE). Your output should be PURE, SPEAKABLE NARRATION.`
+  }
+};
+
+// ============================================
+// TOOLS FOR AGENTS
+// ============================================
+
+// Shared by submit_review and submit_fact_report
+const REPORT_ISSUES_SCHEMA = {
+  type: "array",
+  description: "Every problem found, located by script section and an exact quote",
+  items: {
+    type: "object",
+    properties: {
+      section: { type: "string", description: "Script section name" },
+      quote: { type: "string", description: "Exact text from the section the issue refers to" },
+      severity: { type: "string", enum: ["critical", "major", "minor"] },
+      description: { type: "string", description: "What is wrong" },
+      fix: { type: "string", description: "Suggested fix or correction (with source for facts)" }
+    },
+    required: ["section", "severity", "description"]
+  }
+};
+
+const AGENT_TOOLS = {
+  search_web: {
+    type: "function",
+    function: {
+      name: "search_web",
+      description: "Searches the web and returns results. Use for research.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "Search query"
+          },
+          num_results: {
+            type: "number",
+            description: "Number of results requested (default: 5)"
+          }
+        },
+        required: ["query"]
+      }
+    }
+  },
+
+  search_project_sources: {
+    type: "function",
+    function: {
+      name: "search_project_sources",
+      description: "Searches the documents attached to this project (uploaded files, transcripts, notes, imported pages) and returns matching passages with their source IDs. Check these before searching the web.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "What to look for"
+          },
+          max_results: {
+            type: "number",
+            description: "Number of passages to return (default: 5, max 10)"
+          }
+        },
+        required: ["query"]
+      }
+    }
+  },
+
+  search_library: {
+    type: "function",
+    function: {
+      name: "search_library",
+      description: "Searches the channel library offline: finalized scripts of earlier episodes, documents attached to any project and stored web search results. Returns ranked passages with source IDs to cite. Use it to build on earlier episodes, avoid repeating the same facts and keep a series consistent.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "What to look for"
+          },
+          scope: {
+            type: "string",
+            enum: ["all", "scripts", "documents", "searches"],
+            description: "Limit results to past scripts, attached documents or stored search results (default: all)"
+          },
+          max_results: {
+            type: "number",
+            description: "Number of passages to return (default: 5, max 10)"
+          }
+        },
+        required: ["query"]
+      }
+    }
+  },
+
+  send_message: {
+    type: "function",
+    function: {
+      name: "send_message",
+      description: "Sends a message to another agent or the entire team. Use this to delegate tasks and coordinate work.",
+      parameters: {
+        type: "object",
+        properties: {
+          to: {
+            type: "string",
+            description: "Message recipient (an agent ID, \"all\" or \"user\")"
+          },
+          message: {
+            type: "string",
+            description: "Message to send"
+          },
+          type: {
+            type: "string",
+            enum: ["info", "question", "task", "result", "feedback", "approval"],
+            description: "Message type"
+          }
+        },
+        required: ["to", "message", "type"]
+      }
+    }
+  },
+
+  write_script_section: {
+    type: "function",
+    function: {
+      name: "write_script_section",
+      description: "Writes, moves or deletes a section of the script. The script is an ordered list of sections; narration is the spoken text only, production cues go in the cue lists.",
+      parameters: {
+        type: "object",
+        properties: {
+          section: {
+            type: "string",
+            description: "Section id or title (e.g., 'Hook', 'Intro', 'Section 1', 'Conclusion'). Titles match case-insensitively."
+          },
+          action: {
+            type: "string",
+            enum: SECTION_ACTIONS,
+            description: "create/update write the section (new sections go at the end), insert_before/insert_after place it next to `anchor`, delete removes it, reorder sets the order from `order`"
+          },
+          narration: {
+            type: "string",
+            description: "Spoken narration only, no stage directions or cue tags"
+          },
+          title: {
+            type: "string",
+            description: "New display title when renaming a section"
+          },
+          type: {
+            type: "string",
+            enum: SECTION_TYPES,
+            description: "Section role in the video"
+          },
+          target_words: {
+            type: "integer",
+            description: "Word budget for this section"
+          },
+          visual_cues: {
+            type: "array",
+            items: { type: "string" },
+            description: "On-screen visuals for this section"
+          },
+          music_cues: {
+            type: "array",
+            items: { type: "string" },
+            description: "Music and sound direction for this section"
+          },
+          broll_cues: {
+            type: "array",
+            items: { type: "string" },
+            description: "B-roll footage for this section"
+          },
+          sources: {
+            type: "array",
+            items: { type: "string" },
+            description: "Source IDs (e.g. 'S2') backing the whole section; cite single sentences inline with [S2] instead"
+          },
+          anchor: {
+            type: "string",
+            description: "Section id or title to insert before/after (insert_before, insert_after)"
+          },
+          order: {
+            type: "array",
+            items: { type: "string" },
+            description: "Section ids or titles in the new order (reorder); unlisted sections keep their order after them"
+          },
+          reason: {
+            type: "string",
+            description: "Why this change was made (e.g. 'condensed to hit word count', 'fixed date flagged by fact-checker')"
+          }
+        },
+        required: ["section", "action"]
+      }
+    }
+  },
+
+  request_user_input: {
+    type: "function",
+    function: {
+      name: "request_user_input",
+      description: "Asks the user for information or approval. Use this to gather requirements before starting work.",
+      parameters: {
+        type: "object",
+        properties: {
+          question: {
+            type: "string",
+            description: "Question to ask the user"
+          },
+          options: {
+            type: "array",
+            items: { type: "string" },
+            description: "Options if applicable (optional)"
+          }
+        },
+        required: ["question"]
+      }
+    }
+  },
+
+  generate_thumbnail: {
+    type: "function",
+    function: {
+      name: "generate_thumbnail",
+      description: "Renders thumbnail concepts as 1280x720 images with the project's image model. The user compares them in a gallery, regenerates and picks one.",
+      parameters: {
+        type: "object",
+        properties: {
+          concepts: {
+            type: "array",
+            description: "1 to 3 distinct concepts",
+            items: {
+              type: "object",
+              properties: {
+                name: { type: "string", description: "Short name for the concept" },
+                subject: { type: "string", description: "Main element, its placement and what is happening" },
+                expression: { type: "string", description: "Facial expression, if a face is shown" },
+                text: { type: "string", description: "Overlay text (3-4 words max, CAPS)" },
+                palette: { type: "string", description: "Colors and contrast" },
+                composition: { type: "string", description: "Background, framing and negative space" },
+                style: { type: "string", description: "Visual style (photo, illustration, 3D...)" }
+              },
+              required: ["subject"]
+            }
+          }
+        },
+        required: ["concepts"]
+      }
+    }
+  },
+
+  submit_metadata: {
+    type: "function",
+    function: {
+      name: "submit_metadata",
+      description: "Submits the YouTube upload package: ranked titles, SEO description, tags, hashtags and a pinned comment. Chapters are timed from the script and added to the description automatically. Submissions over YouTube's limits are rejected with the reason.",
+      parameters: {
+        type: "object",
+        properties: {
+          titles: {
+            type: "array",
+            description: "Title options, best first",
+            items: {
+              type: "object",
+              properties: {
+                title: { type: "string" },
+                ctr: { type: "string", enum: ["low", "medium", "high"], description: "Expected click-through rate" },
+                rationale: { type: "string", description: "Why it works and who it appeals to" }
+              },
+              required: ["title"]
+            }
+          },
+          description: {
+            type: "string",
+            description: "SEO description without chapters, sources or hashtags"
+          },
+          chapter_titles: {
+            type: "array",
+            description: "Optional viewer-facing chapter names for script sections",
+            items: {
+              type: "object",
+              properties: {
+                section: { type: "string", description: "Script section title" },
+                title: { type: "string", description: "Chapter name" }
+              },
+              required: ["section", "title"]
+            }
+          },
+          tags: {
+            type: "array",
+            items: { type: "string" },
+            description: "Search tags (500 characters in total at most)"
+          },
+          hashtags: {
+            type: "array",
+            items: { type: "string" },
+            description: "Hashtags without spaces; the first 3 show above the title"
+          },
+          pinned_comment: {
+            type: "string",
+            description: "Comment to pin under the video"
+          }
+        },
+        required: ["titles", "description", "tags", "hashtags", "pinned_comment"]
+      }
+    }
+  },
+
+  finalize_script: {
+    type: "function",
+    function: {
+      name: "finalize_script",
+      description: "Approves and outputs the final script.",
+      parameters: {
+        type: "object",
+        properties: {
+          title: {
+            type: "string",
+            description: "Video title"
+          },
+          description: {
+            type: "string",
+            description: "Video description"
+          },
+          script: {
+            type: "string",
+            description: "Final script text"
+          },
+          duration_estimate: {
+            type: "string",
+            description: "Estimated video duration"
+          }
+        },
+        required: ["title", "script"]
+      }
+    }
+  },
+
+  generate_voiceover: {
+    type: "function",
+    function: {
+      name: "generate_voiceover",
+      description: "Converts the script to speech using ElevenLabs. Each script section is voiced separately and only sections changed since the last render are regenerated. Use after final script is approved.",
+      parameters: {
+        type: "object",
+        properties: {
+          text: {
+            type: "string",
+            description: "Cleaned narration to convert to speech. Only used when the script has no sections. Can include emotion tags like [pause], [whisper], [excited]."
+          },
+          voice_style: {
+            type: "string",
+            enum: Object.keys(VOICE_STYLES),
+            description: `Voice style: ${Object.keys(VOICE_STYLES).join(', ')}`
+          }
+        },
+        required: []
+      }
+    }
+  },
+
+  submit_review: {
+    type: "function",
+    function: {
+      name: "submit_review",
+      description: "Submits your structured script review. Only submitted reviews count: the verdict and any critical issues gate finalization.",
+      parameters: {
+        type: "object",
+        properties: {
+          verdict: {
+            type: "string",
+            enum: ["APPROVED", "NEEDS_REVISION"],
+            description: "Overall verdict"
+          },
+          scores: {
+            type: "object",
+            description: "Scores from 1 to 10",
+            properties: {
+              overall: { type: "number" },
+              hook: { type: "number" },
+              depth: { type: "number" },
+              flow: { type: "number" },
+              narration_purity: { type: "number" }
+            },
+            required: ["overall"]
+          },
+          summary: {
+            type: "string",
+            description: "One or two sentence summary of the review"
+          },
+          issues: REPORT_ISSUES_SCHEMA
+        },
+        required: ["verdict", "scores", "issues"]
+      }
+    }
+  },
+
+  submit_fact_report: {
+    type: "function",
+    function: {
+      name: "submit_fact_report",
+      description: "Submits your structured fact-check report. Critical issues (false claims) block finalization until fixed.",
+      parameters: {
+        type: "object",
+        properties: {
+          verdict: {
+            type: "string",
+            enum: ["ACCURATE", "NEEDS_CORRECTION"],
+            description: "Overall verdict"
+          },
+          accuracy_score: {
+            type: "number",
+            description: "Accuracy score from 1 to 10"
+          },
+          verified_claims: {
+            type: "array",
+            items: { type: "string" },
+            description: "Claims you confirmed"
+          },
+          summary: {
+            type: "string",
+            description: "One or two sentence summary of the report"
+          },
+          issues: REPORT_ISSUES_SCHEMA
+        },
+        required: ["verdict", "accuracy_score", "issues"]
+      }
+    }
+  }
+};
+
+// ============================================
+// PER-AGENT CONFIGURATION
+// ============================================
+
+// Overrides model, temperature, maxTokens and tools per agent from a JSON file, e.g.
+// { "writer": { "model": "openai/gpt-4.1", "temperature": 0.8, "maxTokens": 4000, "tools": ["write_script_section"] } }
+async function applyAgentConfigFile(filePath) {
+  if (!filePath) return;
+
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to load agent config from ${filePath}:`, error.message);
+    }
+    return;
+  }
+
+  for (const [id, overrides] of Object.entries(config)) {
+    const profile = AgentRoster.get(id);
+    if (!profile) {
+      console.warn(`Agent config: unknown agent "${id}" ignored`);
+      continue;
+    }
+
+    if (typeof overrides.model === 'string' && overrides.model) {
+      profile.model = overrides.model;
+    }
+    if (typeof overrides.temperature === 'number' && overrides.temperature >= 0 && overrides.temperature <= 2) {
+      profile.temperature = overrides.temperature;
+    }
+    if (Number.isInteger(overrides.maxTokens) && overrides.maxTokens > 0) {
+      profile.maxTokens = overrides.maxTokens;
+    }
+    if (Array.isArray(overrides.tools)) {
+      const unknown = overrides.tools.filter(tool => !AGENT_TOOLS[tool]);
+      if (unknown.length > 0) {
+        console.warn(`Agent config: unknown tools for "${id}" ignored: ${unknown.join(', ')}`);
+      }
+      profile.tools = overrides.tools.filter(tool => AGENT_TOOLS[tool]);
+    }
+  }
+
+  console.log(`Agent config loaded from ${filePath}`);
+}
+
+// ============================================
+// AGENT ROSTER (custom agents from files / API)
+// ============================================
+
+const AGENTS_DIR = process.env.AGENTS_DIR || join(DATA_DIR, 'agents');
+const BUILTIN_AGENT_PROFILES = structuredClone(AGENT_PROFILES);
+const RESERVED_AGENT_IDS = new Set(['all', 'user', 'system']);
+
+// Agent definitions live in AGENTS_DIR as one <id>.json file per agent:
+// { "id": "seo", "name": "SEO Specialist", "emoji": "🔎", "color": "#22c55e",
+//   "role": "Search Optimization", "systemPrompt": "...", "tools": ["send_message"] }
+// A file named after a built-in agent replaces that agent's definition until it is removed.
+const AgentRoster = {
+  ids() {
+    return Object.keys(AGENT_PROFILES);
+  },
+
+  isBuiltin(id) {
+    return Object.hasOwn(BUILTIN_AGENT_PROFILES, id);
+  },
+
+  // Own profiles only, so ids like "constructor" don't resolve to Object.prototype members
+  get(id) {
+    return Object.hasOwn(AGENT_PROFILES, id) ? AGENT_PROFILES[id] : null;
+  },
+
+  // Tool schemas for an agent; send_message recipients follow the current roster
+  toolDefinitions(toolNames = []) {
+    return toolNames
+      .filter(name => AGENT_TOOLS[name])
+      .map(name => {
+        if (name !== 'send_message') return AGENT_TOOLS[name];
+
+        const tool = structuredClone(AGENT_TOOLS.send_message);
+        tool.function.parameters.properties.to.enum = ['all', ...this.ids(), 'user'];
+        return tool;
+      });
+  },
+
+  // Validates a definition; `existing` supplies defaults when editing
+  validate(definition, existing = null) {
+    const errors = [];
+    const input = { ...(existing || {}), ...(definition || {}) };
+
+    const id = typeof input.id === 'string' ? input.id.trim() : '';
+    if (!/^[a-z][a-z0-9_-]{1,31}$/.test(id) || RESERVED_AGENT_IDS.has(id)) {
+      errors.push('id must be 2-32 lowercase letters, digits, "-" or "_" and not a reserved name');
+    }
+
+    const name = SecurityUtils.sanitizeInput(input.name || '').trim();
+    if (!name || name.length > 50) errors.push('name is required (max 50 characters)');
+
+    const role = SecurityUtils.sanitizeInput(input.role || '').trim();
+    if (!role || role.length > 100) errors.push('role is required (max 100 characters)');
+
+    const systemPrompt = typeof input.systemPrompt === 'string' ? input.systemPrompt.trim() : '';
+    if (!systemPrompt || systemPrompt.length > 20000) {
+      errors.push('systemPrompt is required (max 20000 characters)');
+    }
+
+    const emoji = typeof input.emoji === 'string' && input.emoji.trim() ? input.emoji.trim() : '🤖';
+    if (emoji.length > 8) errors.push('emoji must be at most 8 characters');
+
+    const color = input.color || '#8b5cf6';
+    if (!/^#[0-9a-f]{6}$/i.test(color)) errors.push('color must be a hex color like #8b5cf6');
+
+    const tools = input.tools === undefined ? ['send_message'] : input.tools;
+    if (!Array.isArray(tools) || tools.some(tool => !AGENT_TOOLS[tool])) {
+      errors.push(`tools must be a list of: ${Object.keys(AGENT_TOOLS).join(', ')}`);
+    }
+
+    if (input.model !== undefined && (typeof input.model !== 'string' || !input.model)) {
+      errors.push('model must be a non-empty string');
+    }
+    if (input.temperature !== undefined &&
+        (typeof input.temperature !== 'number' || input.temperature < 0 || input.temperature > 2)) {
+      errors.push('temperature must be a number between 0 and 2');
+    }
+    if (input.maxTokens !== undefined && (!Number.isInteger(input.maxTokens) || input.maxTokens <= 0)) {
+      errors.push('maxTokens must be a positive integer');
+    }
+
+    if (errors.length > 0) return { valid: false, errors };
+
+    return {
+      valid: true,
+      errors,
+      profile: {
+        id,
+        name,
+        emoji,
+        color,
+        role,
+        temperature: input.temperature ?? 0.7,
+        tools: [...new Set(tools)],
+        systemPrompt,
+        ...(input.model ? { model: input.model } : {}),
+        ...(input.maxTokens ? { maxTokens: input.maxTokens } : {})
+      }
+    };
+  },
+
+  // Update the shared profile in place so running sessions see the change
+  apply(profile) {
+    const current = this.get(profile.id);
+    if (current) {
+      for (const key of Object.keys(current)) delete current[key];
+      Object.assign(current, profile);
+    } else {
+      AGENT_PROFILES[profile.id] = profile;
+    }
+    return AGENT_PROFILES[profile.id];
+  },
+
+  async load(dir = AGENTS_DIR) {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Failed to read agents from ${dir}:`, error.message);
+      return;
+    }
+
+    for (const file of files.sort()) {
+      try {
+        const definition = JSON.parse(await fs.readFile(join(dir, file), 'utf8'));
+        const { valid, errors, profile } = this.validate({ id: file.slice(0, -5), ...definition });
+        if (!valid) {
+          console.warn(`Agent definition ${file} ignored: ${errors.join('; ')}`);
+          continue;
+        }
+        this.apply(profile);
+      } catch (error) {
+        console.error(`Failed to load agent definition ${file}:`, error.message);
+      }
+    }
+
+    console.log(`Agent roster: ${this.ids().join(', ')}`);
+  },
+
+  async save(profile) {
+    await fs.mkdir(AGENTS_DIR, { recursive: true });
+    const file = join(AGENTS_DIR, `${profile.id}.json`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(profile, null, 2));
+    await fs.rename(tmp, file);
+    return this.apply(profile);
+  },
+
+  // Removing a built-in agent drops its override and restores the default definition
+  async remove(id) {
+    if (!this.get(id)) return false;
+    await fs.rm(join(AGENTS_DIR, `${id}.json`), { force: true });
+
+    if (this.isBuiltin(id)) {
+      this.apply(structuredClone(BUILTIN_AGENT_PROFILES[id]));
+      await applyAgentConfigFile(AGENT_CONFIG_FILE);
+    } else {
+      delete AGENT_PROFILES[id];
+    }
+    return true;
+  },
+
+  publicInfo(profile) {
+    return {
+      id: profile.id,
+      name: profile.name,
+      emoji: profile.emoji,
+      color: profile.color,
+      role: profile.role,
+      model: profile.model || AGENT_MODEL,
+      temperature: profile.temperature ?? 0.7,
+      tools: profile.tools || [],
+      custom: !this.isBuiltin(profile.id)
+    };
+  }
+};
+
+await AgentRoster.load();
+await applyAgentConfigFile(AGENT_CONFIG_FILE);
+
+// ============================================
+// WORKFLOW DEFINITIONS
+// ============================================
+
+const WORKFLOWS_DIR = process.env.WORKFLOWS_DIR || join(DATA_DIR, 'workflows');
+
+// Tools that move the project forward; only usable in stages that list them in `tools`
+const WORKFLOW_GATED_TOOLS = ['finalize_script', 'generate_voiceover'];
+
+// A workflow is an ordered list of stages. Each stage names the agent that runs it,
+// optional `entry` conditions (the stage is skipped when they fail), `exit` conditions
+// (checked after every run), an `onFail` stage to loop back to and a revision limit.
+// `includeSources` adds the project's source registry to the stage context and
+// `includeTemplate` the video format with its per-section word budgets and beats.
+// Instructions may use {{topic}}, {{minWords}}, {{maxWords}} and {{targetDuration}}.
+const DEFAULT_WORKFLOW = {
+  id: 'standard',
+  name: 'Standard video',
+  maxRevisions: 3,
+  stages: [
+    {
+      id: 'clarification',
+      label: 'Gathering requirements',
+      agent: 'orchestrator',
+      exit: [{ type: 'userResponded' }, { type: 'targetSet' }],
+      includeTemplate: true,
+      instructions: `A new YouTube video project is starting. If you have not heard from the user yet, use the request_user_input tool to ask ALL important questions at once:
+- Target audience (age group, interests)
+- Video tone (educational, entertaining, dramatic, documentary-style)
+- Target duration (can be any length: 30 seconds, 2 minutes, 10 minutes, etc.)
+- Any specific requirements or preferences
+
+If the user has answered but something essential (especially the duration) is still missing, ask only for that.
+When the user has no length in mind, suggest the format's typical duration.
+Otherwise summarize the brief for the team in one short message.`
+    },
+    {
+      id: 'research',
+      label: 'Researching topic',
+      agent: 'researcher',
+      exit: [{ type: 'toolUsed', tool: 'search_web' }],
+      instructions: 'Research "{{topic}}" with search_web and share the key facts, statistics and story angles the writer will need.'
+    },
+    {
+      id: 'writing',
+      label: 'Writing script',
+      agent: 'writer',
+      participants: ['researcher'],
+      includeSources: true,
+      includeTemplate: true,
+      exit: [{ type: 'scriptWritten' }, { type: 'wordCountInRange' }],
+      instructions: `Write the script with write_script_section.
+‼️ CRITICAL INSTRUCTIONS FOR SCRIPT:
+1. Write ONLY pure spoken narration - NO agent messages, NO meta-commentary
+2. Stay within {{minWords}}-{{maxWords}} words STRICTLY
+3. The script should read exactly as it will be spoken aloud
+4. Cite the source behind each factual claim inline with its ID, e.g. "Tea reached Europe in the 1600s [S2]."`
+    },
+    {
+      id: 'review',
+      label: 'Reviewing script',
+      agent: 'critic',
+      includeTemplate: true,
+      exit: [
+        { type: 'reportSubmitted', kind: 'review', onFail: 'review' },
+        { type: 'verdict', agent: 'critic', equals: 'APPROVED' },
+        { type: 'noCriticalIssues' },
+        { type: 'wordCountInRange' }
+      ],
+      onFail: 'writing',
+      instructions: `Review the current script and submit your verdict with submit_review.
+‼️ CRITICAL CHECKS:
+1. Word count must be {{minWords}}-{{maxWords}} - REJECT if outside range
+2. Script must contain ONLY pure narration - REJECT if contains agent messages or meta-text
+3. No filler, no planning notes, no self-references`
+    },
+    {
+      id: 'factcheck',
+      label: 'Fact-checking',
+      agent: 'factchecker',
+      participants: ['researcher'],
+      includeSources: true,
+      exit: [
+        { type: 'reportSubmitted', kind: 'fact_report', onFail: 'factcheck' },
+        { type: 'noCriticalIssues' }
+      ],
+      onFail: 'writing',
+      instructions: 'Verify every factual claim in the current script against the cited sources (each section lists its citations) and submit your findings with submit_fact_report. Flag claims that cite no source or a source that does not support them.'
+    },
+    {
+      id: 'creative',
+      label: 'Creating hooks and titles',
+      agent: 'creative',
+      exit: [{ type: 'metadataSubmitted' }],
+      instructions: 'Render up to 3 thumbnail concepts with generate_thumbnail, suggest any hook improvements for the approved script, then submit the YouTube metadata (ranked titles, SEO description, tags, hashtags and a pinned comment) with submit_metadata.'
+    },
+    {
+      id: 'finalize',
+      label: 'Finalizing script',
+      agent: 'orchestrator',
+      tools: ['finalize_script'],
+      exit: [{ type: 'finalized' }],
+      instructions: 'The script has passed review and fact-checking. Use finalize_script with the complete narration, a title (the Creative\'s top-ranked one unless you have a strong reason) and a description.'
+    },
+    {
+      id: 'voiceover',
+      label: 'Preparing voiceover',
+      agent: 'voiceover',
+      tools: ['generate_voiceover'],
+      entry: [{ type: 'finalized' }],
+      exit: [{ type: 'voiceoverGenerated' }],
+      instructions: `‼️ YOUR TASK:
+1. Review the approved script sections for anything that won't read well aloud
+2. Markup like [VISUAL], [EFFECT], [MUSIC] tags and timestamps is stripped automatically per section
+3. Use generate_voiceover tool to create the audio (only changed sections are re-rendered)`
+    }
+  ]
+};
+
+// Exit/entry condition types. `run` is the current stage run ({ startedAt, messageStart, toolCalls }).
+// A condition may set its own `onFail` stage, which takes precedence over the stage's.
+const WorkflowConditions = {
+  userResponded: {
+    test: engine => Boolean(engine.userPreferences.lastResponse),
+    describe: () => 'the user has answered the clarification questions'
+  },
+  targetSet: {
+    test: engine => Boolean(engine.targetDuration),
+    describe: () => 'a target duration is set'
+  },
+  toolUsed: {
+    test: (engine, condition, run) => run.toolCalls.includes(condition.tool),
+    describe: (engine, condition) => `${condition.tool} was used in this stage`
+  },
+  agentReported: {
+    test: (engine, condition, run) => engine.getStageMessages(run, condition.agent).length > 0,
+    describe: (engine, condition) => `@${condition.agent} posted a report`
+  },
+  scriptWritten: {
+    test: engine => engine.messageBus.getSections().length > 0,
+    describe: () => 'the script has at least one section'
+  },
+  wordCountInRange: {
+    test: engine => {
+      if (!engine.targetDuration) return true;
+      const wordCount = engine.getScriptWordCount();
+      return wordCount >= engine.targetWordCount.min && wordCount <= engine.targetWordCount.max;
+    },
+    describe: engine =>
+      `word count is ${engine.targetWordCount.min}-${engine.targetWordCount.max} (currently ${engine.getScriptWordCount()})`
+  },
+  verdict: {
+    test: (engine, condition, run) => engine.getStageVerdict(run, condition.agent) === condition.equals.toUpperCase(),
+    describe: (engine, condition, run) =>
+      `@${condition.agent} verdict is ${condition.equals} (currently ${engine.getStageVerdict(run, condition.agent) || 'none'})`
+  },
+  metadataSubmitted: {
+    test: (engine, condition, run) => Boolean(engine.metadata && engine.metadata.createdAt >= run.startedAt),
+    describe: () => 'valid YouTube metadata was submitted with submit_metadata in this stage'
+  },
+  reportSubmitted: {
+    test: (engine, condition, run) => engine.reports.some(report =>
+      report.kind === condition.kind && report.createdAt >= run.startedAt),
+    describe: (engine, condition) => `a ${condition.kind === 'fact_report' ? 'fact report' : 'review'} was submitted in this stage`
+  },
+  noCriticalIssues: {
+    test: engine => engine.getOpenIssues().every(issue => issue.severity !== 'critical'),
+    describe: engine => {
+      const count = engine.getOpenIssues().filter(issue => issue.severity === 'critical').length;
+      return `no unresolved critical issues (currently ${count})`;
+    }
+  },
+  finalized: {
+    test: engine => Boolean(engine.finalScript),
+    describe: () => 'the script is finalized'
+  },
+  voiceoverGenerated: {
+    test: (engine, condition, run) => Boolean(engine.voiceover) && engine.voiceover.createdAt >= run.startedAt,
+    describe: () => 'a voiceover was generated in this stage'
+  }
+};
+
+// Built-in workflow plus <id>.json definitions from WORKFLOWS_DIR
+const WorkflowRegistry = {
+  workflows: { [DEFAULT_WORKFLOW.id]: DEFAULT_WORKFLOW },
+
+  get(id) {
+    return this.workflows[id] || null;
+  },
+
+  list() {
+    return Object.values(this.workflows).map(workflow => ({
+      id: workflow.id,
+      name: workflow.name,
+      maxRevisions: workflow.maxRevisions,
+      stages: workflow.stages.map(({ id, label, agent }) => ({ id, label, agent }))
+    }));
+  },
+
+  validate(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') return ['definition must be an object'];
+
+    if (!/^[a-z][a-z0-9_-]{1,31}$/.test(definition.id || '')) errors.push('id is invalid');
+    if (!Number.isInteger(definition.maxRevisions) || definition.maxRevisions < 0) {
+      errors.push('maxRevisions must be a non-negative integer');
+    }
+    if (!Array.isArray(definition.stages) || definition.stages.length === 0) {
+      return [...errors, 'stages must be a non-empty list'];
+    }
+
+    const stageIds = new Set(definition.stages.map(stage => stage?.id));
+    if (stageIds.size !== definition.stages.length) errors.push('stage ids must be unique');
+
+    definition.stages.forEach((stage, index) => {
+      const where = `stage ${stage?.id || index}`;
+      if (!stage?.id || typeof stage.agent !== 'string') errors.push(`${where}: id and agent are required`);
+      if (!Array.isArray(stage?.exit) || stage.exit.length === 0) errors.push(`${where}: exit conditions are required`);
+      for (const condition of [...(stage?.entry || []), ...(stage?.exit || [])]) {
+        if (!WorkflowConditions[condition?.type]) errors.push(`${where}: unknown condition "${condition?.type}"`);
+        if (condition?.onFail && !stageIds.has(condition.onFail)) {
+          errors.push(`${where}: onFail stage "${condition.onFail}" not found`);
+        }
+      }
+      if (stage?.onFail && !stageIds.has(stage.onFail)) errors.push(`${where}: onFail stage "${stage.onFail}" not found`);
+      for (const flag of ['includeSources', 'includeTemplate']) {
+        if (stage?.[flag] !== undefined && typeof stage[flag] !== 'boolean') {
+          errors.push(`${where}: ${flag} must be true or false`);
+        }
+      }
+      if ((stage?.tools || []).some(tool => !WORKFLOW_GATED_TOOLS.includes(tool))) {
+        errors.push(`${where}: tools may only list ${WORKFLOW_GATED_TOOLS.join(', ')}`);
+      }
+    });
+
+    return errors;
+  },
+
+  async load(dir = WORKFLOWS_DIR) {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Failed to read workflows from ${dir}:`, error.message);
+      return;
+    }
+
+    for (const file of files.sort()) {
+      try {
+        const definition = { id: file.slice(0, -5), ...JSON.parse(await fs.readFile(join(dir, file), 'utf8')) };
+        definition.name = definition.name || definition.id;
+        definition.maxRevisions = definition.maxRevisions ?? DEFAULT_WORKFLOW.maxRevisions;
+
+        const errors = this.validate(definition);
+        if (errors.length > 0) {
+          console.warn(`Workflow ${file} ignored: ${errors.join('; ')}`);
+          continue;
+        }
+        this.workflows[definition.id] = definition;
+      } catch (error) {
+        console.error(`Failed to load workflow ${file}:`, error.message);
+      }
+    }
+  }
+};
+
+await WorkflowRegistry.load();
+
+// ============================================
+// SCRIPT TEMPLATES (video formats)
+// ============================================
+
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || join(DATA_DIR, 'templates');
+const DEFAULT_TEMPLATE_ID = 'standard';
+
+// A template is a video format: its sections in order, each with a section type, a share of
+// the word budget (shares are relative and need not sum to 1) and the beats it must hit,
+// plus pacing notes. `duration` is the format's typical length in minutes, used for budgets
+// until the project has a target.
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'standard',
+    name: 'Classic YouTube video',
+    description: 'Hook, intro, three main sections, climax and conclusion',
+    duration: 10,
+    pacing: 'Open loops early and pay them off later. Change angle or pace every 60-90 seconds to hold retention.',
+    sections: [
+      { title: 'Hook', type: 'hook', share: 0.05, beats: ['A shocking fact or question', 'Grab the viewer immediately'] },
+      { title: 'Intro', type: 'intro', share: 0.15, beats: ['Introduce the topic', 'Explain why it matters'] },
+      { title: 'Section 1', type: 'body', share: 0.2, beats: ['First main topic', 'Detailed explanation with examples'] },
+      { title: 'Section 2', type: 'body', share: 0.2, beats: ['Second main topic', 'In-depth analysis'] },
+      { title: 'Section 3', type: 'body', share: 0.2, beats: ['Third main topic or twist', 'Surprising information'] },
+      { title: 'Climax', type: 'climax', share: 0.1, beats: ['Most powerful or surprising information'] },
+      { title: 'Conclusion', type: 'outro', share: 0.1, beats: ['Summary', 'Call to action'] }
+    ]
+  },
+  {
+    id: 'listicle',
+    name: 'Top-N listicle',
+    description: 'Ranked countdown from number 5 to number 1',
+    duration: 8,
+    pacing: 'Each entry should feel bigger than the last; save the strongest for number 1. Keep entries the same shape so the rhythm is predictable.',
+    sections: [
+      { title: 'Hook', type: 'hook', share: 0.06, beats: ['Tease the number 1 pick without naming it', 'State what the list ranks and by what measure'] },
+      { title: 'Intro', type: 'intro', share: 0.08, beats: ['Why this list matters to the viewer'] },
+      { title: 'Number 5', type: 'body', share: 0.14, beats: ['Name the entry in the first sentence', 'Why it earns its rank', 'One surprising detail'] },
+      { title: 'Number 4', type: 'body', share: 0.14, beats: ['Name the entry in the first sentence', 'Why it earns its rank', 'One surprising detail'] },
+      { title: 'Number 3', type: 'body', share: 0.14, beats: ['Name the entry in the first sentence', 'Why it earns its rank', 'One surprising detail'] },
+      { title: 'Number 2', type: 'body', share: 0.14, beats: ['Name the entry in the first sentence', 'Why it earns its rank', 'Tease number 1'] },
+      { title: 'Number 1', type: 'climax', share: 0.2, beats: ['Reveal the top pick', 'The strongest evidence for it', 'Pay off the hook'] },
+      { title: 'Recap', type: 'outro', share: 0.1, beats: ['Recap the ranking in one breath', 'Ask viewers for their own number 1', 'Call to action'] }
+    ]
+  },
+  {
+    id: 'explainer',
+    name: 'Explainer',
+    description: 'Question, basics, mechanism, misconceptions, real-world example',
+    duration: 6,
+    pacing: 'One new idea per paragraph. Follow every abstract point with a concrete analogy or example.',
+    sections: [
+      { title: 'Hook', type: 'hook', share: 0.07, beats: ['Pose the question the video answers'] },
+      { title: 'Why It Matters', type: 'intro', share: 0.1, beats: ['Where the viewer meets this in everyday life'] },
+      { title: 'The Basics', type: 'body', share: 0.2, beats: ['Define the key terms in plain language'] },
+      { title: 'How It Works', type: 'body', share: 0.28, beats: ['Step-by-step mechanism', 'An analogy the viewer already knows'] },
+      { title: 'Common Misconceptions', type: 'body', share: 0.15, beats: ['The most common wrong belief and why it is wrong'] },
+      { title: 'Real-World Example', type: 'climax', share: 0.12, beats: ['Apply the explanation to one concrete case'] },
+      { title: 'Recap', type: 'outro', share: 0.08, beats: ['Answer the opening question in one or two sentences', 'Call to action'] }
+    ]
+  },
+  {
+    id: 'documentary',
+    name: 'Story documentary',
+    description: 'Cold open and a three-act story with aftermath',
+    duration: 15,
+    pacing: 'Tell it as a story with people, stakes and consequences. Use scene-setting detail and let dramatic moments breathe with [PAUSE].',
+    sections: [
+      { title: 'Cold Open', type: 'hook', share: 0.06, beats: ['Drop the viewer into the most dramatic moment', 'Cut away before it resolves'] },
+      { title: 'Setting the Scene', type: 'intro', share: 0.12, beats: ['Time, place and the main characters', 'What is at stake'] },
+      { title: 'Act 1: The Beginning', type: 'body', share: 0.22, beats: ['How it started', 'The character\'s goal'] },
+      { title: 'Act 2: The Conflict', type: 'body', share: 0.25, beats: ['Obstacles and rising tension', 'A reversal or betrayal'] },
+      { title: 'Act 3: The Turning Point', type: 'climax', share: 0.2, beats: ['Return to the cold open and resolve it', 'The decisive moment'] },
+      { title: 'Aftermath and Legacy', type: 'outro', share: 0.15, beats: ['What happened next', 'Why it still matters today', 'Call to action'] }
+    ]
+  },
+  {
+    id: 'review',
+    name: 'Product review',
+    description: 'Verdict tease, overview, hands-on sections, pros and cons, verdict',
+    duration: 8,
+    pacing: 'Be specific: numbers, comparisons and moments from real use. Stay fair - every strong claim needs a reason.',
+    sections: [
+      { title: 'Hook', type: 'hook', share: 0.06, beats: ['Tease the verdict', 'Who this product is for'] },
+      { title: 'What It Is', type: 'intro', share: 0.1, beats: ['Product, price and what it competes with'] },
+      { title: 'Design and Build', type: 'body', share: 0.16, beats: ['Look, feel and build quality'] },
+      { title: 'Performance', type: 'body', share: 0.24, beats: ['How it performs in real use', 'Comparison with a direct rival'] },
+      { title: 'Pros and Cons', type: 'body', share: 0.2, beats: ['Three strongest pros', 'Three honest cons'] },
+      { title: 'Who Should Buy It', type: 'climax', share: 0.12, beats: ['Buy it if... / Skip it if...'] },
+      { title: 'Verdict', type: 'outro', share: 0.12, beats: ['Final score or one-line verdict', 'Call to action'] }
+    ]
+  },
+  {
+    id: 'short',
+    name: '60-second Short',
+    description: 'Vertical Short: instant hook, one idea, looping ending',
+    duration: 1,
+    pacing: 'Never exceed 60 seconds. No greeting or channel intro. One idea only, sentences of 12 words or fewer, and a last line that loops back into the first.',
+    sections: [
+      { title: 'Hook', type: 'hook', share: 0.15, beats: ['Land the hook in the first two seconds'] },
+      { title: 'Payoff', type: 'body', share: 0.7, beats: ['Deliver the single idea', 'One concrete example or number'] },
+      { title: 'Loop', type: 'outro', share: 0.15, beats: ['End on a line that flows back into the hook', 'Optional one-line call to action'] }
+    ]
+  },
+  {
+    id: 'tutorial',
+    name: 'Tutorial',
+    description: 'Show the result, list what is needed, steps, troubleshooting',
+    duration: 10,
+    pacing: 'One action per sentence, in the order the viewer does it. Say what the viewer should see after each step.',
+    sections: [
+      { title: 'Hook', type: 'hook', share: 0.05, beats: ['Show the finished result', 'How long it takes'] },
+      { title: 'What You Need', type: 'intro', share: 0.1, beats: ['Tools, materials or prerequisites'] },
+      { title: 'Step 1', type: 'body', share: 0.2, beats: ['First step', 'What the viewer should see when it worked'] },
+      { title: 'Step 2', type: 'body', share: 0.2, beats: ['Second step', 'What the viewer should see when it worked'] },
+      { title: 'Step 3', type: 'body', share: 0.2, beats: ['Final step', 'What the viewer should see when it worked'] },
+      { title: 'Troubleshooting', type: 'climax', share: 0.15, beats: ['The two most common mistakes and their fixes'] },
+      { title: 'Wrap-up', type: 'outro', share: 0.1, beats: ['Recap the steps', 'Call to action'] }
+    ]
+  }
+];
+
+// Built-in formats plus <id>.json definitions from TEMPLATES_DIR (a file may replace a built-in)
+const TemplateRegistry = {
+  templates: Object.fromEntries(BUILTIN_TEMPLATES.map(template => [template.id, template])),
+
+  get(id) {
+    return this.templates[id] || null;
+  },
+
+  list() {
+    return Object.values(this.templates).map(({ id, name, description, duration, sections }) => ({
+      id,
+      name,
+      description,
+      duration,
+      sections: sections.map(({ title, type }) => ({ title, type }))
+    }));
+  },
+
+  validate(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') return ['definition must be an object'];
+
+    if (!/^[a-z][a-z0-9_-]{1,31}$/.test(definition.id || '')) errors.push('id is invalid');
+    if (typeof definition.duration !== 'number' || definition.duration <= 0) {
+      errors.push('duration must be a positive number of minutes');
+    }
+    if (!Array.isArray(definition.sections) || definition.sections.length === 0) {
+      return [...errors, 'sections must be a non-empty list'];
+    }
+
+    const titles = new Set(definition.sections.map(section => ScriptModel.normalizeTitle(section?.title || '')));
+    if (titles.size !== definition.sections.length) errors.push('section titles must be unique');
+
+    definition.sections.forEach((section, index) => {
+      const where = `section ${section?.title || index + 1}`;
+      if (typeof section?.title !== 'string' || !section.title.trim()) errors.push(`${where}: title is required`);
+      if (!SECTION_TYPES.includes(section?.type)) errors.push(`${where}: type must be one of ${SECTION_TYPES.join(', ')}`);
+      if (typeof section?.share !== 'number' || section.share <= 0) errors.push(`${where}: share must be a positive number`);
+      if (section?.beats !== undefined && (!Array.isArray(section.beats) || section.beats.some(beat => typeof beat !== 'string'))) {
+        errors.push(`${where}: beats must be a list of strings`);
+      }
+    });
+
+    return errors;
+  },
+
+  // Word budget per section for a total word target, in template order
+  budgets(template, totalWords) {
+    const totalShare = template.sections.reduce((sum, section) => sum + section.share, 0);
+    return template.sections.map(section => ({
+      title: section.title,
+      type: section.type,
+      beats: section.beats || [],
+      words: Math.max(5, Math.round(totalWords * section.share / totalShare))
+    }));
+  },
+
+  async load(dir = TEMPLATES_DIR) {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Failed to read templates from ${dir}:`, error.message);
+      return;
+    }
+
+    for (const file of files.sort()) {
+      try {
+        const definition = { id: file.slice(0, -5), ...JSON.parse(await fs.readFile(join(dir, file), 'utf8')) };
+        definition.name = definition.name || definition.id;
+        definition.description = definition.description || '';
+        definition.pacing = definition.pacing || '';
+
+        const errors = this.validate(definition);
+        if (errors.length > 0) {
+          console.warn(`Template ${file} ignored: ${errors.join('; ')}`);
+          continue;
+        }
+        this.templates[definition.id] = definition;
+      } catch (error) {
+        console.error(`Failed to load template ${file}:`, error.message);
+      }
+    }
+  }
+};
+
+await TemplateRegistry.load();
+
+// ============================================
+// CHANNEL PROFILES (brand voice and format defaults)
+// ============================================
+
+const PROFILES_DIR = process.env.PROFILES_DIR || join(DATA_DIR, 'profiles');
+const PROFILE_TEXT_FIELDS = {
+  audience: 500,
+  tone: 500,
+  persona: 1000,
+  introTemplate: 2000,
+  outroTemplate: 2000,
+  cta: 500
+};
+const PROFILE_LIST_FIELDS = ['catchphrases', 'bannedWords', 'bannedClaims'];
+
+// Channel profiles live in PROFILES_DIR as one <id>.json file per channel:
+// { "id": "history-bites", "name": "History Bites", "audience": "...", "tone": "...",
+//   "persona": "...", "defaultDuration": 8, "template": "documentary",
+//   "voiceStyle": "documentary", "voiceId": "...",
+//   "catchphrases": [...], "introTemplate": "...", "outroTemplate": "...",
+//   "bannedWords": [...], "bannedClaims": [...], "cta": "..." }
+// A project keeps a copy of the profile it started with; later edits only affect new projects.
+const ChannelProfiles = {
+  profiles: new Map(),
+
+  list() {
+    return [...this.profiles.values()].sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  get(id) {
+    return this.profiles.get(id) || null;
+  },
+
+  // Validates a definition; `existing` supplies defaults when editing
+  validate(definition, existing = null) {
+    const errors = [];
+    const input = { ...(existing || {}), ...(definition || {}) };
+
+    const id = typeof input.id === 'string' ? input.id.trim() : '';
+    if (!/^[a-z][a-z0-9_-]{1,47}$/.test(id)) {
+      errors.push('id must be 2-48 lowercase letters, digits, "-" or "_"');
+    }
+
+    const name = SecurityUtils.sanitizeInput(input.name || '').trim();
+    if (!name || name.length > 80) errors.push('name is required (max 80 characters)');
+
+    const text = {};
+    for (const [field, max] of Object.entries(PROFILE_TEXT_FIELDS)) {
+      if (input[field] === undefined || input[field] === null) continue;
+      if (typeof input[field] !== 'string' || input[field].length > max) {
+        errors.push(`${field} must be text (max ${max} characters)`);
+        continue;
+      }
+      const value = SecurityUtils.sanitizeInput(input[field]);
+      if (value) text[field] = value;
+    }
+
+    const lists = {};
+    for (const field of PROFILE_LIST_FIELDS) {
+      const value = input[field] ?? [];
+      if (!Array.isArray(value) || value.length > 50 || value.some(item => typeof item !== 'string' || item.length > 200)) {
+        errors.push(`${field} must be a list of at most 50 strings (max 200 characters each)`);
+        continue;
+      }
+      lists[field] = [...new Set(value.map(item => SecurityUtils.sanitizeInput(item)).filter(Boolean))];
+    }
+
+    if (input.defaultDuration !== undefined && input.defaultDuration !== null &&
+        (typeof input.defaultDuration !== 'number' || input.defaultDuration < 0.25 || input.defaultDuration > 180)) {
+      errors.push('defaultDuration must be a number of minutes between 0.25 and 180');
+    }
+
+    if (input.template && !TemplateRegistry.get(input.template)) {
+      errors.push(`template must be one of: ${Object.keys(TemplateRegistry.templates).join(', ')}`);
+    }
+
+    for (const field of ['language', 'researchLanguage']) {
+      if (input[field] && !Languages.resolve(input[field])) {
+        errors.push(`${field} must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+      }
+    }
+    const localizeTo = input.localizeTo ?? [];
+    if (!Array.isArray(localizeTo) || localizeTo.some(code => !Languages.resolve(code))) {
+      errors.push(`localizeTo must be a list of language codes (${Object.keys(LANGUAGES).join(', ')})`);
+    }
+
+    if (input.voiceStyle && !Object.hasOwn(VOICE_STYLES, input.voiceStyle)) {
+      errors.push(`voiceStyle must be one of: ${Object.keys(VOICE_STYLES).join(', ')}`);
+    }
+    if (input.voiceId && (typeof input.voiceId !== 'string' || !/^[\w-]{1,64}$/.test(input.voiceId))) {
+      errors.push('voiceId must be a provider voice ID (letters, digits, "-" or "_")');
+    }
+
+    if (errors.length > 0) return { valid: false, errors };
+
+    return {
+      valid: true,
+      errors,
+      profile: {
+        id,
+        name,
+        ...text,
+        ...(input.defaultDuration ? { defaultDuration: input.defaultDuration } : {}),
+        ...(input.template ? { template: input.template } : {}),
+        ...(input.language ? { language: Languages.resolve(input.language) } : {}),
+        ...(input.researchLanguage ? { researchLanguage: Languages.resolve(input.researchLanguage) } : {}),
+        ...(localizeTo.length > 0 ? { localizeTo: [...new Set(localizeTo.map(code => Languages.resolve(code)))] } : {}),
+        ...(input.voiceStyle ? { voiceStyle: input.voiceStyle } : {}),
+        ...(input.voiceId ? { voiceId: input.voiceId } : {}),
+        ...lists
+      }
+    };
+  },
+
+  async load(dir = PROFILES_DIR) {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Failed to read channel profiles from ${dir}:`, error.message);
+      return;
+    }
+
+    for (const file of files.sort()) {
+      try {
+        const definition = JSON.parse(await fs.readFile(join(dir, file), 'utf8'));
+        const { valid, errors, profile } = this.validate({ id: file.slice(0, -5), ...definition });
+        if (!valid) {
+          console.warn(`Channel profile ${file} ignored: ${errors.join('; ')}`);
+          continue;
+        }
+        this.profiles.set(profile.id, profile);
+      } catch (error) {
+        console.error(`Failed to load channel profile ${file}:`, error.message);
+      }
+    }
+
+    if (this.profiles.size > 0) console.log(`Channel profiles: ${[...this.profiles.keys()].join(', ')}`);
+  },
+
+  async save(profile) {
+    await fs.mkdir(PROFILES_DIR, { recursive: true });
+    const file = join(PROFILES_DIR, `${profile.id}.json`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(profile, null, 2));
+    await fs.rename(tmp, file);
+    this.profiles.set(profile.id, profile);
+    return profile;
+  },
+
+  async remove(id) {
+    if (!this.profiles.has(id)) return false;
+    await fs.rm(join(PROFILES_DIR, `${id}.json`), { force: true });
+    this.profiles.delete(id);
+    return true;
+  },
+
+  // System prompt block shared by every agent on a project using this profile
+  describe(profile, topic = '') {
+    const fill = template => template.replace(/\{\{topic\}\}/g, topic);
+    const quoted = list => list.map(item => `"${item}"`).join(', ');
+    const lines = [
+      profile.audience && `- Audience: ${profile.audience}`,
+      profile.tone && `- Tone: ${profile.tone}`,
+      profile.persona && `- Narrator persona (write and voice the narration as this person): ${profile.persona}`,
+      profile.catchphrases?.length > 0 && `- Catchphrases (use naturally, at most once each): ${quoted(profile.catchphrases)}`,
+      profile.introTemplate && `- Intro template (adapt to the topic, keep the structure): ${fill(profile.introTemplate)}`,
+      profile.outroTemplate && `- Outro template (adapt to the topic, keep the structure): ${fill(profile.outroTemplate)}`,
+      profile.cta && `- Call to action for the outro: ${profile.cta}`,
+      profile.bannedWords?.length > 0 && `- NEVER use these words or phrases: ${quoted(profile.bannedWords)}`,
+      profile.bannedClaims?.length > 0 && `- NEVER make these claims: ${quoted(profile.bannedClaims)}`,
+      profile.voiceStyle && `- Voiceover style: ${profile.voiceStyle}`
+    ].filter(Boolean);
+
+    return `
+CHANNEL PROFILE: ${profile.name}
+${lines.join('\n')}
+Follow the channel profile in everything you write or review.
+`;
+  },
+
+  // Standing answers to the Producer's clarification questions
+  brief(profile) {
+    return [
+      `Channel profile "${profile.name}"`,
+      profile.audience && `audience: ${profile.audience}`,
+      profile.tone && `tone: ${profile.tone}`,
+      profile.defaultDuration && `duration: ${profile.defaultDuration} minutes`,
+      profile.persona && `narrator: ${profile.persona}`
+    ].filter(Boolean).join('; ');
+  }
+};
+
+await ChannelProfiles.load();
+
+// ============================================
+// PROVIDERS (LLM, web search, TTS)
+// ============================================
+
+// Any OpenAI-compatible chat server (Ollama, llama.cpp, vLLM, LM Studio, ...)
+class OpenAICompatibleLLMProvider {
+  constructor({ baseURL, apiKey, defaultHeaders } = {}) {
+    this.client = new OpenAI({
+      baseURL,
+      apiKey: apiKey || 'not-needed',
+      defaultHeaders
+    });
+  }
+
+  async createChatCompletion({ agentId, ...params }) {
+    return this.client.chat.completions.create(params);
+  }
+
+  // Generic servers have no live web access, so answers come from model knowledge.
+  // Search results are { text, citations: [{ url, title, snippet }] }, summarized in `language`.
+  async webSearch(query, numResults = 5, { language = DEFAULT_LANGUAGE } = {}) {
+    try {
+      const completion = await this.client.chat.completions.create({
+        model: SEARCH_MODEL,
+        messages: [
+          {
+            role: "system",
+            content: `You are a research assistant. You have no live web access: share what you know about the topic in ${Languages.get(language).name}, note uncertainty, and name sources the team should verify.`
+          },
+          {
+            role: "user",
+            content: `Research "${query}" and list important information.`
+          }
+        ],
+        temperature: 0.3
+      });
+
+      const content = completion.choices[0]?.message?.content;
+      return {
+        text: content ? `⚠️ Model knowledge only (no live web search)\n\n${content}` : 'No search results found.',
+        citations: []
+      };
+    } catch (error) {
+      console.error('Web search error:', error);
+      return { text: `Search failed: ${error.message}. Please research manually.`, citations: [] };
+    }
+  }
+}
+
+// fal's OpenRouter endpoint, with live search through the OpenRouter web plugin
+class FalLLMProvider extends OpenAICompatibleLLMProvider {
+  constructor(apiKey) {
+    super({
+      baseURL: "https://fal.run/openrouter/router/openai/v1",
+      defaultHeaders: {
+        "Authorization": `Key ${apiKey}`,
+      }
+    });
+  }
+
+  async webSearch(query, numResults = 5, { language = DEFAULT_LANGUAGE } = {}) {
+    try {
+      const completion = await this.client.chat.completions.create({
+        model: SEARCH_MODEL,
+        plugins: [{
+          id: "web",
+          max_results: numResults
+        }],
+        messages: [
+          {
+            role: "system",
+            content: `You are a research assistant. Search the web for the given topic and summarize the findings in ${Languages.get(language).name}.
+
+OUTPUT FORMAT:
+For each source:
+📌 [Title]
+   URL: [source url]
+   Summary: [2-3 sentence summary]
+
+End with an overall assessment.`
+          },
+          {
+            role: "user",
+            content: `Research this topic: "${query}"`
+          }
+        ],
+        temperature: 0.3
+      });
+
+      const response = completion.choices[0]?.message;
+      const citations = (response?.annotations || [])
+        .filter(annotation => annotation.type === 'url_citation' && annotation.url_citation)
+        .map(({ url_citation: cite }) => ({ url: cite.url, title: cite.title || '', snippet: cite.content || '' }));
+
+      return { text: response?.content || 'No search results found.', citations };
+    } catch (error) {
+      console.error('Web search error:', error);
+      try {
+        const fallbackCompletion = await this.client.chat.completions.create({
+          model: `${SEARCH_MODEL}:online`,
+          messages: [
+            {
+              role: "system",
+              content: `You are a research assistant. Gather information about the given topic and summarize in ${Languages.get(language).name}.`
+            },
+            {
+              role: "user",
+              content: `Research "${query}" and list important information.`
+            }
+          ],
+          temperature: 0.3
+        });
+
+        return { text: fallbackCompletion.choices[0]?.message?.content || 'No search results found.', citations: [] };
+      } catch (fallbackError) {
+        console.error('Fallback search error:', fallbackError);
+        return { text: `Search failed: ${error.message}. Please research manually.`, citations: [] };
+      }
+    }
+  }
+}
+
+// Deterministic scripted team for offline development and tests (no network, no credits)
+class MockLLMProvider {
+  async createChatCompletion({ agentId, messages }) {
+    const system = messages[0]?.content || '';
+    const context = messages[messages.length - 1]?.content || '';
+    const { content = null, toolCalls = [] } = this.respond(agentId, context, system);
+
+    return {
+      choices: [{
+        message: {
+          role: 'assistant',
+          content,
+          tool_calls: toolCalls.map((call, index) => ({
+            id: `mock_${agentId}_${index}`,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.args) }
+          }))
+        }
+      }]
+    };
+  }
+
+  async webSearch(query) {
+    const url = `https://example.com/${encodeURIComponent(query.toLowerCase().replace(/\s+/g, '-'))}`;
+    return {
+      text: `📌 Overview of ${query}\n   URL: ${url}\n   Summary: Mock search result describing the key facts about ${query}.\n\nOverall: mock data for offline development.`,
+      citations: [{ url: 'https://example.org/reference', title: `${query} reference`, snippet: 'Mock citation annotation.' }]
+    };
+  }
+
+  respond(agentId, context, system) {
+    const topic = (context.match(/Topic: (.+)/) || context.match(/TOPIC: (.+)/) || [])[1] || 'this topic';
+    const phase = (context.match(/Current phase: (\w+)/) || [])[1];
+
+    switch (agentId) {
+      case 'orchestrator':
+        if (phase === 'clarification' && (context.includes('Target duration: NOT SET') || !context.includes('The user responded:'))) {
+          return {
+            content: 'Before we start, I need a few details.',
+            toolCalls: [{
+              name: 'request_user_input',
+              args: {
+                question: 'Who is the audience, what tone do you want, and how long should the video be?',
+                options: ['General audience, educational, 1 minute', 'Teens, energetic, 2 minutes']
+              }
+            }]
+          };
+        }
+        if (phase === 'clarification') {
+          return { content: `Brief confirmed. @researcher, start on ${topic}.` };
+        }
+        if (phase === 'finalize') {
+          return {
+            toolCalls: [{
+              name: 'finalize_script',
+              args: { title: `The Story of ${topic}`, description: `A short look at ${topic}.`, script: this.currentScriptText(system) }
+            }]
+          };
+        }
+        return { content: 'All done.' };
+
+      case 'researcher':
+        return {
+          content: `Research notes on ${topic} are ready.`,
+          toolCalls: [
+            ...(context.includes('PROJECT DOCUMENTS') ? [{ name: 'search_project_sources', args: { query: topic } }] : []),
+            { name: 'search_library', args: { query: topic } },
+            { name: 'search_web', args: { query: topic } }
+          ]
+        };
+
+      case 'writer': {
+        // One section per line of the FORMAT block, at its budget
+        const format = [...context.matchAll(/^\d+\. (.+) \((\w+)\): ~(\d+) (?:words|characters)/gm)];
+        const range = context.match(/TARGET WORD COUNT: (\d+)-(\d+)/);
+        const target = range ? Math.round((parseInt(range[1]) + parseInt(range[2])) / 2) : 150;
+        const budgets = format.length > 0
+          ? format.map(match => [match[1], match[2], parseInt(match[3])])
+          : [['Hook', 'hook', 0.1], ['Intro', 'intro', 0.2], ['Section 1', 'body', 0.5], ['Conclusion', 'outro', 0.2]]
+            .map(([section, type, share]) => [section, type, Math.round(target * share)]);
+        return {
+          toolCalls: budgets.map(([section, type, words]) => ({
+            name: 'write_script_section',
+            args: {
+              section,
+              type,
+              action: 'create',
+              target_words: words,
+              narration: this.narration(topic, words) + (type === 'body' ? ' [S1]' : ''),
+              visual_cues: [`Archive footage related to ${topic}`]
+            }
+          }))
+        };
+      }
+
+      case 'critic':
+        return {
+          toolCalls: [{
+            name: 'submit_review',
+            args: {
+              verdict: 'APPROVED',
+              scores: { overall: 8, hook: 7, depth: 8, flow: 8, narration_purity: 10 },
+              summary: 'Clean narration within the target length.',
+              issues: [{ section: 'Hook', severity: 'minor', description: 'The hook could be more specific.' }]
+            }
+          }]
+        };
+
+      case 'factchecker':
+        return {
+          toolCalls: [{
+            name: 'submit_fact_report',
+            args: { verdict: 'ACCURATE', accuracy_score: 9, verified_claims: [`Overview of ${topic}`], issues: [] }
+          }]
+        };
+
+      case 'creative':
+        return {
+          content: `Thumbnails rendered for ${topic}; metadata below.`,
+          toolCalls: [{
+            name: 'generate_thumbnail',
+            args: {
+              concepts: [
+                { name: 'Shock close-up', subject: `A close-up of ${topic} on the right third`, expression: 'shock', text: 'NOBODY KNEW', palette: 'yellow on black' },
+                { name: 'Before and after', subject: `${topic} then and now, split down the middle`, text: 'THEN VS NOW', palette: 'teal and orange' }
+              ]
+            }
+          }, {
+            name: 'submit_metadata',
+            args: {
+              titles: [
+                { title: `The Untold Story of ${topic}`, ctr: 'high', rationale: 'Curiosity gap' },
+                { title: `${topic} Explained in Minutes`, ctr: 'medium' },
+                { title: `Why ${topic} Still Matters Today`, ctr: 'medium' }
+              ],
+              description: `Everything you never knew about ${topic}, from how it started to why it still matters.`,
+              chapter_titles: [{ section: 'Intro', title: 'Where it all began' }],
+              tags: [topic, `${topic} explained`, 'history documentary'],
+              hashtags: ['history', 'documentary'],
+              pinned_comment: `What surprised you most about ${topic}?`
+            }
+          }]
+        };
+
+      case 'voiceover':
+        return { toolCalls: [{ name: 'generate_voiceover', args: { voice_style: 'documentary' } }] };
+
+      case 'localizer':
+        // Hand the text back unchanged so tags survive the round trip exactly
+        return { content: context };
+
+      default:
+        return { content: `Mock response from ${agentId}.` };
+    }
+  }
+
+  currentScriptText(system) {
+    const match = system.match(/CURRENT SCRIPT:\n([\s\S]*?)\n\nRECENT MESSAGES:/);
+    try {
+      return JSON.parse(match[1]).map(section => section.narration).join('\n\n');
+    } catch {
+      return '';
+    }
+  }
+
+  // Filler narration of roughly `words` words, free of meta-commentary
+  narration(topic, words) {
+    const sentences = [
+      `Here is something most people never notice about ${topic}.`,
+      'It started small, but it changed the way millions of people live.',
+      'Every detail you are about to hear has a story behind it.',
+      'Think about the last time you saw it in your own life.',
+      'The numbers behind it are bigger than you might expect.',
+      'And that is exactly why it still matters today.'
+    ];
+    const output = [];
+    let count = 0;
+    for (let i = 0; count < words; i++) {
+      const sentence = sentences[i % sentences.length].split(/\s+/);
+      // Trim the last sentence so short section budgets are met, not undershot
+      const taken = sentence.slice(0, Math.max(words - count, 3));
+      const text = taken.join(' ');
+      output.push(taken.length < sentence.length ? `${text.replace(/[,.]$/, '')}.` : text);
+      count += taken.length;
+    }
+    return output.join(' ');
+  }
+}
+
+// ElevenLabs through fal
+class FalTTSProvider {
+  constructor(apiKey) {
+    this.apiKey = apiKey;
+  }
+
+  async synthesize(text, { voiceId, settings, language }) {
+    fal.config({
+      credentials: this.apiKey
+    });
+
+    const result = await fal.subscribe("fal-ai/elevenlabs/tts/eleven-v3", {
+      input: {
+        text,
+        voice: voiceId,
+        stability: settings.stability,
+        similarity_boost: settings.similarity_boost,
+        speed: settings.speed,
+        ...(language ? { language_code: language } : {}),
+        ...(TTS_TIMESTAMPS ? { timestamps: true } : {})
+      },
+      logs: true
+    });
+
+    if (!result.data?.audio?.url) return null;
+
+    return {
+      url: result.data.audio.url,
+      duration: result.data.audio.duration,
+      contentType: result.data.audio.content_type,
+      timestamps: CaptionUtils.normalizeTimestamps(result.data.timestamps || result.data.alignment, language)
+    };
+  }
+}
+
+// OpenAI-style /audio/speech endpoint (openai-edge-tts, Kokoro-FastAPI, ...)
+class OpenAICompatibleTTSProvider {
+  constructor({ baseURL, apiKey }) {
+    this.client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' });
+  }
+
+  async synthesize(text, { settings }) {
+    const response = await this.client.audio.speech.create({
+      model: TTS_MODEL,
+      voice: TTS_VOICE,
+      input: text,
+      response_format: 'mp3',
+      speed: settings.speed
+    });
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return {
+      buffer,
+      duration: AudioUtils.readFrames(AudioUtils.stripId3(buffer)).duration,
+      contentType: 'audio/mpeg',
+      timestamps: null
+    };
+  }
+}
+
+// Silent MP3 as long as the uncalibrated pacing model says the text takes, with estimated word timings
+class MockTTSProvider {
+  constructor() {
+    const bytes = Buffer.from([0xff, 0xfb, 0x50, 0xc0]); // MPEG-1 Layer III, 64 kbps, 44.1 kHz, mono
+    this.header = { ...AudioUtils.parseFrameHeader(bytes, 0), bytes };
+  }
+
+  async synthesize(text, { voiceStyle, language }) {
+    const duration = Math.max(1, Pacing.seconds(text, { language, voiceStyle, calibrated: false }));
+    const buffer = AudioUtils.createSilence(this.header, duration);
+
+    return {
+      buffer,
+      duration: AudioUtils.readFrames(buffer).duration,
+      contentType: 'audio/mpeg',
+      timestamps: CaptionUtils.estimateWordTimings(text, duration, language)
+    };
+  }
+}
+
+// Text-to-image through fal; IMAGE_MODEL can be any model taking { prompt, image_size, seed }
+// and returning images[].url (FLUX, Imagen, Recraft, ...)
+class FalImageProvider {
+  constructor(apiKey) {
+    this.apiKey = apiKey;
+  }
+
+  async generate(prompt, { width, height, seed }) {
+    if (!this.apiKey) throw new Error('A fal API key is required to generate thumbnails');
+    fal.config({
+      credentials: this.apiKey
+    });
+
+    const result = await fal.subscribe(IMAGE_MODEL, {
+      input: {
+        prompt,
+        image_size: { width, height },
+        num_images: 1,
+        seed
+      },
+      logs: true
+    });
+
+    const image = result.data?.images?.[0];
+    if (!image?.url) return null;
+
+    return {
+      url: image.url,
+      width: image.width || width,
+      height: image.height || height,
+      contentType: image.content_type || 'image/jpeg',
+      seed: result.data.seed ?? seed
+    };
+  }
+}
+
+// Placeholder card with the concept's overlay text and the prompt, as an SVG data URL, so the
+// gallery works offline and in tests
+class MockImageProvider {
+  async generate(prompt, { width, height, seed, concept = {} }) {
+    const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const hue = seed % 360;
+    const lines = prompt.match(/.{1,90}(\s|$)/g)?.slice(0, 4) || [];
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+      `<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="hsl(${hue},70%,40%)"/><stop offset="1" stop-color="hsl(${(hue + 60) % 360},70%,12%)"/></linearGradient></defs>` +
+      `<rect width="100%" height="100%" fill="url(#bg)"/>` +
+      `<text x="64" y="${height / 2}" font-family="Impact, Arial Black, sans-serif" font-size="120" fill="#fff" stroke="#000" stroke-width="6" paint-order="stroke">${escape(concept.text || concept.name || 'THUMBNAIL')}</text>` +
+      lines.map((line, index) => `<text x="64" y="${height - 160 + index * 32}" font-family="Arial, sans-serif" font-size="24" fill="#e5e7eb">${escape(line.trim())}</text>`).join('') +
+      `<text x="${width - 48}" y="64" text-anchor="end" font-family="monospace" font-size="24" fill="#fff" opacity="0.6">stub image · seed ${seed}</text></svg>`;
+
+    return {
+      url: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`,
+      width,
+      height,
+      contentType: 'image/svg+xml',
+      seed
+    };
+  }
+}
+
+function createLLMProvider(apiKey) {
+  switch (LLM_PROVIDER) {
+    case 'mock':
+      return new MockLLMProvider();
+    case 'openai':
+      return new OpenAICompatibleLLMProvider({ baseURL: LLM_BASE_URL, apiKey: LLM_API_KEY });
+    default:
+      return new FalLLMProvider(apiKey);
+  }
+}
+
+function createTTSProvider(apiKey) {
+  switch (TTS_PROVIDER) {
+    case 'mock':
+      return new MockTTSProvider();
+    case 'openai':
+      return new OpenAICompatibleTTSProvider({ baseURL: TTS_BASE_URL, apiKey: TTS_API_KEY });
+    default:
+      return new FalTTSProvider(apiKey);
+  }
+}
+
+function createImageProvider(apiKey) {
+  switch (IMAGE_PROVIDER) {
+    case 'mock':
+      return new MockImageProvider();
+    default:
+      return new FalImageProvider(apiKey);
+  }
+}
+
+// ============================================
+// SOURCE REGISTRY (research citations)
+// ============================================
+
+// Every URL returned by search_web, deduplicated and numbered S1, S2, ... per project.
+// Script narration cites sources inline as [S1] or [S1, S3]; the tags are never voiced.
+class SourceRegistry {
+  constructor() {
+    this.sources = [];
+  }
+
+  // Same page regardless of scheme, "www.", trailing slash, fragment or tracking parameters
+  static normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      for (const key of [...parsed.searchParams.keys()]) {
+        if (/^(utm_|fbclid$|gclid$|ref$)/i.test(key)) parsed.searchParams.delete(key);
+      }
+      const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      return `${host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch {
+      return null;
+    }
+  }
+
+  // "📌 Title / URL: ... / Summary: ..." blocks, the format the search prompt asks for
+  static parseResults(text) {
+    const results = [];
+    for (const match of String(text || '').matchAll(/📌\s*(.+)\n\s*URL:\s*(\S+)(?:\n\s*Summary:\s*(.+))?/g)) {
+      results.push({ title: match[1].replace(/^\[|\]$/g, '').trim(), url: match[2], snippet: match[3]?.trim() || '' });
+    }
+    return results;
+  }
+
+  // Web results are keyed by URL; uploaded documents without a URL by their document id, and
+  // URL-less material from other projects in the channel library by its `reference`
+  add({ url = null, title = '', snippet = '', documentId = null, reference = null }, { agent = 'unknown', query = '' } = {}) {
+    const key = url
+      ? /^https?:/i.test(url) && SourceRegistry.normalizeUrl(url)
+      : (documentId && `document:${documentId}`) || (reference && `library:${reference}`);
+    if (!key) return null;
+
+    let source = this.sources.find(candidate => candidate.key === key);
+    if (!source) {
+      source = {
+        id: `S${this.sources.length + 1}`,
+        key,
+        url,
+        documentId,
+        reference,
+        title: String(title).trim().substring(0, 300) || key,
+        snippet: String(snippet).trim().substring(0, 1000),
+        foundBy: [],
+        addedAt: new Date().toISOString()
+      };
+      this.sources.push(source);
+    } else {
+      if (!source.snippet && snippet) source.snippet = String(snippet).trim().substring(0, 1000);
+      if (source.title === source.key && title) source.title = String(title).trim().substring(0, 300);
+      if (!source.documentId && documentId) source.documentId = documentId;
+    }
+
+    if (!source.foundBy.some(entry => entry.agent === agent && entry.query === query)) {
+      source.foundBy.push({ agent, query });
+    }
+    return source;
+  }
+
+  get(id) {
+    return this.sources.find(source => source.id === String(id).toUpperCase()) || null;
+  }
+
+  // Sources with the sections that cite them
+  list(sections = []) {
+    return this.sources.map(({ key, ...source }) => ({
+      ...source,
+      citedIn: sections
+        .filter(section => (section.citations || []).some(citation => citation.source === source.id))
+        .map(section => section.id)
+    }));
+  }
+
+  // Prompt block: one line per source, with the sections already citing it
+  describe(sections = []) {
+    return this.list(sections).map(source =>
+      `[${source.id}] ${source.title} - ${source.url || (source.reference ? 'channel library' : 'project document')}${source.snippet ? `\n    ${source.snippet}` : ''}` +
+      (source.citedIn.length > 0 ? `\n    Cited in: ${source.citedIn.join(', ')}` : '')
+    ).join('\n');
+  }
+
+  // Cited sources (all sources when the script cites none), in order of first citation
+  cited(sections = []) {
+    const ids = [...new Set(sections.flatMap(section => (section.citations || []).map(citation => citation.source)))];
+    const sources = ids.map(id => this.get(id)).filter(Boolean);
+    return sources.length > 0 ? sources : this.sources;
+  }
+
+  bibliography(sections = []) {
+    return this.cited(sections).map(source => {
+      if (!source.url) {
+        return `[${source.id}] ${source.title}. ${source.reference ? 'Channel library' : 'Project document'} (added ${source.addedAt.substring(0, 10)})`;
+      }
+      const site = source.key.split('/')[0];
+      return `[${source.id}] ${source.title}. ${site}. ${source.url} (accessed ${source.addedAt.substring(0, 10)})`;
+    });
+  }
+
+  // Plain-text block for the YouTube description (no markdown, one link per line)
+  descriptionBlock(sections = []) {
+    const sources = this.cited(sections);
+    if (sources.length === 0) return '';
+    return `Sources:\n${sources.map(source => source.url ? `• ${source.title}: ${source.url}` : `• ${source.title}`).join('\n')}`;
+  }
+
+  toJSON() {
+    return this.sources;
+  }
+
+  restore(sources) {
+    this.sources = Array.isArray(sources) ? sources : [];
+  }
+}
+
+// ============================================
+// RETRIEVAL INDEX (offline BM25 over the channel library)
+// ============================================
+
+// Okapi BM25 over passages from every saved project: chunks of attached documents, web search
+// results kept in the source registry, and the sections of finalized scripts. Runs fully in
+// process; projects are re-indexed when they are saved and dropped when they are deleted.
+
+class RetrievalIndex {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.passages = new Map();
+    this.postings = new Map(); // term -> Map(passage key -> term frequency)
+    this.projects = new Map(); // project id -> { signature, keys }
+    this.totalLength = 0;
+  }
+
+  // Passages contributed by a serialized project (or an engine's retrievalSnapshot())
+  static passagesFor(state) {
+    const projectId = state.sessionId;
+    const base = { projectId, topic: state.topic || '', date: (state.updatedAt || state.createdAt || '').substring(0, 10) };
+    const passages = [];
+
+    for (const document of state.documents || []) {
+      document.chunks.forEach((text, index) => passages.push({
+        ...base,
+        key: `${projectId}:${document.id}:${index + 1}`,
+        kind: 'document',
+        title: document.title,
+        text,
+        url: document.url,
+        documentId: document.id,
+        sourceId: document.sourceId,
+        part: index + 1,
+        parts: document.chunks.length
+      }));
+    }
+
+    for (const source of state.sources || []) {
+      if (!source.url || source.documentId) continue;
+      const queries = [...new Set((source.foundBy || []).map(entry => entry.query).filter(Boolean))];
+      passages.push({
+        ...base,
+        key: `${projectId}:${source.id}`,
+        kind: 'search',
+        title: source.title,
+        text: [source.snippet, queries.length > 0 ? `Found searching: ${queries.join('; ')}` : ''].filter(Boolean).join('\n'),
+        url: source.url,
+        sourceId: source.id
+      });
+    }
+
+    if (state.finalScript) {
+      const sections = state.sections || state.messageBus?.sections;
+      const parts = Array.isArray(sections) && sections.length > 0
+        ? sections.map(section => ({ id: section.id, title: section.title, text: section.narration }))
+        : DocumentUtils.chunk(String(state.finalScript.script || '')).map((text, index) => ({ id: `part-${index + 1}`, title: `Part ${index + 1}`, text }));
+      for (const part of parts.filter(candidate => candidate.text?.trim())) {
+        passages.push({
+          ...base,
+          key: `${projectId}:script:${part.id}`,
+          kind: 'script',
+          title: `${state.finalScript.title} - ${part.title}`,
+          text: part.text,
+          url: null,
+          section: part.title
+        });
+      }
+    }
+
+    return passages;
+  }
+
+  get size() {
+    return this.passages.size;
+  }
+
+  // Replace a project's passages; unchanged projects are skipped
+  indexProject(state) {
+    if (!state?.sessionId) return;
+    const passages = RetrievalIndex.passagesFor(state);
+    const signature = passages.map(passage => `${passage.key}#${passage.text.length}`).join('|');
+    if (this.projects.get(state.sessionId)?.signature === signature) return;
+
+    this.removeProject(state.sessionId);
+    for (const passage of passages) this.add(passage);
+    this.projects.set(state.sessionId, { signature, keys: passages.map(passage => passage.key) });
+  }
+
+  removeProject(projectId) {
+    for (const key of this.projects.get(projectId)?.keys || []) this.remove(key);
+    this.projects.delete(projectId);
+  }
+
+  add(passage) {
+    const tokens = DocumentUtils.tokenize(`${passage.title}\n${passage.text}`);
+    const frequencies = new Map();
+    for (const token of tokens) frequencies.set(token, (frequencies.get(token) || 0) + 1);
+
+    for (const [term, count] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(passage.key, count);
+    }
+    this.passages.set(passage.key, { ...passage, length: tokens.length, terms: [...frequencies.keys()] });
+    this.totalLength += tokens.length;
+  }
+
+  remove(key) {
+    const passage = this.passages.get(key);
+    if (!passage) return;
+    for (const term of passage.terms) {
+      const postings = this.postings.get(term);
+      postings?.delete(key);
+      if (postings?.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= passage.length;
+    this.passages.delete(key);
+  }
+
+  // Best passages for the query among those accepted by `filter`, highest score first
+  search(query, { limit = 5, filter = () => true } = {}) {
+    const count = this.passages.size;
+    if (count === 0) return [];
+    const averageLength = this.totalLength / count || 1;
+    const accepted = new Map();
+    const scores = new Map();
+
+    for (const term of new Set(DocumentUtils.tokenize(query))) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+      const idf = Math.log(1 + (count - postings.size + 0.5) / (postings.size + 0.5));
+
+      for (const [key, frequency] of postings) {
+        const passage = this.passages.get(key);
+        if (!accepted.has(key)) accepted.set(key, filter(passage));
+        if (!accepted.get(key)) continue;
+        const norm = frequency + this.k1 * (1 - this.b + this.b * passage.length / averageLength);
+        scores.set(key, (scores.get(key) || 0) + idf * frequency * (this.k1 + 1) / norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([key, score]) => {
+        const { terms, length, ...passage } = this.passages.get(key);
+        return { ...passage, score: Math.round(score * 100) / 100 };
+      });
+  }
+}
+
+// ============================================
+// MESSAGE BUS (Agent Communication)
+// ============================================
+
+class MessageBus extends EventEmitter {
+  constructor() {
+    super();
+    this.messages = [];
+    this.sections = [];
+    this.scriptVersions = [];
+    this.lockedSections = [];
     this.thinkingAgents = new Set();
   }
 
-  post(message) {
-    const fullMessage = {
-      id: Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-      timestamp: new Date().toISOString(),
-      ...message
+  post(message) {
+    const fullMessage = {
+      id: Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      timestamp: new Date().toISOString(),
+      ...message
+    };
+    this.messages.push(fullMessage);
+    this.emit('message', fullMessage);
+    return fullMessage;
+  }
+
+  setThinking(agentId, isThinking, context = '') {
+    if (isThinking) {
+      this.thinkingAgents.add(agentId);
+    } else {
+      this.thinkingAgents.delete(agentId);
+    }
+    this.emit('thinking', { agentId, isThinking, context, timestamp: new Date().toISOString() });
+  }
+
+  setPhase(phase, description = '') {
+    this.emit('phase', { phase, description, timestamp: new Date().toISOString() });
+  }
+
+  getHistory(limit = 50) {
+    return this.messages.slice(-limit);
+  }
+
+  // Look a section up by id or by title
+  findSection(ref) {
+    if (!ref) return null;
+    const title = ScriptModel.normalizeTitle(ref);
+    return this.sections.find(section => section.id === ref) ||
+      this.sections.find(section => ScriptModel.normalizeTitle(section.title) === title) ||
+      null;
+  }
+
+  // Apply one structured write. Every content change is kept as a version so earlier
+  // drafts can be compared and restored. Returns { section } or { error }.
+  writeSection(ref, fields = {}, action = 'update', { author = 'unknown', reason = '' } = {}) {
+    if (!SECTION_ACTIONS.includes(action)) return { error: `Unknown action "${action}"` };
+
+    if (action === 'reorder') {
+      const order = (fields.order || []).map(item => this.findSection(item));
+      if (order.some(section => !section)) return { error: 'Reorder lists a section that does not exist' };
+      const listed = new Set(order);
+      this.sections = [...listed, ...this.sections.filter(section => !listed.has(section))];
+      this.emit('script_update', this.sections);
+      return { section: null };
+    }
+
+    const existing = this.findSection(ref);
+
+    if (action === 'delete') {
+      if (!existing) return { error: `Section "${ref}" does not exist` };
+      this.sections = this.sections.filter(section => section !== existing);
+      this.recordVersion(existing, null, action, author, reason);
+      this.emit('script_update', this.sections);
+      return { section: existing };
+    }
+
+    // Inline tags like [VISUAL: ...] and [S2] move out of the narration onto the cue track and
+    // citation list; when a write carries inline ones they replace the section's lists
+    if (fields.narration !== undefined && fields.narration !== null) {
+      const parsed = CueParser.parse(fields.narration);
+      const explicit = ScriptModel.normalizeCues(fields.cues);
+      const explicitCitations = ScriptModel.normalizeCitations(fields.citations);
+      fields = {
+        ...fields,
+        narration: parsed.narration,
+        cues: parsed.cues.length > 0
+          ? Object.fromEntries(CUE_TYPES.map(type => [type, [...explicit[type], ...parsed.cues.filter(cue => cue.type === type)]]))
+          : fields.cues,
+        citations: parsed.citations.length > 0 ? [...explicitCitations, ...parsed.citations] : fields.citations
+      };
+    }
+
+    // Titles stay unique (ignoring case and spacing) so every title resolves to one section
+    const title = existing ? fields.title && String(fields.title).trim() : String(fields.title || ref).trim();
+    const clash = title && this.sections.find(section =>
+      section !== existing && ScriptModel.normalizeTitle(section.title) === ScriptModel.normalizeTitle(title));
+    if (clash) return { error: `A section titled "${clash.title}" already exists` };
+
+    let anchor = null;
+    if (action === 'insert_before' || action === 'insert_after') {
+      anchor = this.findSection(fields.anchor);
+      if (!anchor) return { error: `Anchor section "${fields.anchor}" does not exist` };
+      if (anchor === existing) return { error: 'A section cannot be positioned relative to itself' };
+    }
+
+    let section = existing;
+    let changed = !existing;
+    if (section) {
+      const changes = {};
+      if (fields.narration !== undefined) changes.narration = String(fields.narration);
+      if (fields.title) changes.title = String(fields.title).trim();
+      if (SECTION_TYPES.includes(fields.type)) changes.type = fields.type;
+      if (Number.isInteger(fields.targetWords) && fields.targetWords > 0) changes.targetWords = fields.targetWords;
+      if (Array.isArray(fields.citations)) changes.citations = ScriptModel.normalizeCitations(fields.citations);
+      if (fields.cues) {
+        // Only replace the cue lists that were actually sent
+        const cues = ScriptModel.normalizeCues(fields.cues);
+        changes.cues = { ...section.cues };
+        for (const type of CUE_TYPES) {
+          if (Array.isArray(fields.cues[type])) changes.cues[type] = cues[type];
+        }
+      }
+      // Only fields whose value differs count, so an identical write records no version
+      const differing = Object.keys(changes).filter(key => JSON.stringify(changes[key]) !== JSON.stringify(section[key]));
+      Object.assign(section, changes);
+      changed = differing.length > 0;
+    } else {
+      section = ScriptModel.createSection({ ...fields, title: fields.title || ref }, this.sections.map(s => s.id));
+    }
+
+    if (anchor) {
+      this.sections = this.sections.filter(item => item !== section);
+      this.sections.splice(this.sections.indexOf(anchor) + (action === 'insert_after' ? 1 : 0), 0, section);
+    } else if (!existing) {
+      this.sections.push(section);
+    }
+
+    if (changed) this.recordVersion(section, section.narration, existing ? 'update' : 'create', author, reason);
+    this.emit('script_update', this.sections);
+    return { section };
+  }
+
+  // Narration-only write, used by manual edits
+  updateScript(section, content, action, meta = {}) {
+    return this.writeSection(section, { narration: content }, action, meta);
+  }
+
+  // Swap in a whole script (e.g. a restored draft), versioning only the sections that change
+  replaceSections(sections, { author = 'unknown', reason = '' } = {}) {
+    const incoming = structuredClone(sections);
+    for (const section of this.sections) {
+      if (!incoming.some(item => item.id === section.id)) this.recordVersion(section, null, 'delete', author, reason);
+    }
+    for (const section of incoming) {
+      const current = this.sections.find(item => item.id === section.id);
+      if (!current || JSON.stringify(current) !== JSON.stringify(section)) {
+        this.recordVersion(section, section.narration, current ? 'update' : 'create', author, reason);
+      }
+    }
+    this.sections = incoming;
+    this.emit('script_update', this.sections);
+    return this.sections;
+  }
+
+  recordVersion(section, content, action, author, reason) {
+    const version = {
+      id: `v${this.scriptVersions.length + 1}`,
+      sectionId: section.id,
+      section: section.title,
+      type: section.type,
+      targetWords: section.targetWords,
+      action,
+      content,
+      cues: content === null ? null : structuredClone(section.cues),
+      citations: content === null ? null : structuredClone(section.citations || []),
+      author,
+      reason,
+      wordCount: ScriptModel.countWords(content),
+      timestamp: new Date().toISOString()
+    };
+    this.scriptVersions.push(version);
+    return version;
+  }
+
+  getVersions(ref = null) {
+    if (!ref) return this.scriptVersions;
+    const id = this.findSection(ref)?.id;
+    const title = ScriptModel.normalizeTitle(ref);
+    return this.scriptVersions.filter(version =>
+      (id && version.sectionId === id) ||
+      version.sectionId === ref ||
+      (!version.sectionId && ScriptModel.normalizeTitle(version.section) === title)
+    );
+  }
+
+  // Ids of sections whose current text was last written by the user
+  getUserEditedSections() {
+    const lastAuthor = {};
+    for (const version of this.scriptVersions) lastAuthor[version.sectionId] = version.author;
+    return this.sections.filter(section => lastAuthor[section.id] === 'user').map(section => section.id);
+  }
+
+  isLocked(ref) {
+    const section = this.findSection(ref);
+    return !!section && this.lockedSections.includes(section.id);
+  }
+
+  // The locked section a write would touch: its target, the anchor of an insert, or any
+  // section a reorder would move out of its place
+  lockedConflict(ref, action, fields = {}) {
+    if (action === 'reorder') {
+      const order = (fields.order || []).map(item => this.findSection(item));
+      if (order.some(section => !section)) return null;
+      const listed = new Set(order);
+      const reordered = [...listed, ...this.sections.filter(section => !listed.has(section))];
+      return this.sections.find((section, index) =>
+        this.lockedSections.includes(section.id) && reordered[index] !== section) || null;
+    }
+    if (this.isLocked(ref)) return this.findSection(ref);
+    if ((action === 'insert_before' || action === 'insert_after') && this.isLocked(fields.anchor)) {
+      return this.findSection(fields.anchor);
+    }
+    return null;
+  }
+
+  setLocked(sectionId, locked) {
+    this.lockedSections = this.lockedSections.filter(id => id !== sectionId);
+    if (locked) this.lockedSections.push(sectionId);
+    return this.lockedSections;
+  }
+
+  getSections() {
+    return this.sections;
+  }
+
+  // Ordered { title: narration } view for code that only needs the spoken text
+  getScript() {
+    return ScriptModel.toNarrationMap(this.sections);
+  }
+
+  clear() {
+    this.messages = [];
+    this.sections = [];
+    this.scriptVersions = [];
+    this.lockedSections = [];
+    this.thinkingAgents.clear();
+  }
+
+  // Serializable snapshot (thinking state is transient and not persisted)
+  toJSON() {
+    return {
+      messages: this.messages,
+      sections: this.sections,
+      scriptVersions: this.scriptVersions,
+      lockedSections: this.lockedSections
+    };
+  }
+
+  restore(data = {}) {
+    this.messages = Array.isArray(data.messages) ? data.messages : [];
+    this.sections = Array.isArray(data.sections)
+      ? data.sections
+      : ScriptModel.fromLegacy(data.script && typeof data.script === 'object' ? data.script : {});
+    this.scriptVersions = Array.isArray(data.scriptVersions) ? data.scriptVersions : [];
+    for (const version of this.scriptVersions) {
+      if (!version.sectionId) version.sectionId = this.findSection(version.section)?.id ?? null;
+    }
+    const locked = Array.isArray(data.lockedSections) ? data.lockedSections : [];
+    this.lockedSections = locked.map(ref => this.findSection(ref)?.id).filter(Boolean);
+    this.thinkingAgents.clear();
+  }
+}
+
+// ============================================
+// AGENT CLASS
+// ============================================
+
+class Agent {
+  // `getBrief` returns project-wide prompt text shared by every agent (language and channel profile)
+  constructor(profile, provider, messageBus, getBrief = () => '') {
+    this.profile = profile;
+    this.provider = provider;
+    this.messageBus = messageBus;
+    this.getBrief = getBrief;
+    this.conversationHistory = [];
+  }
+
+  // Tell agents which sections the user wrote or locked so their edits are not overwritten
+  describeUserEdits() {
+    const titleOf = id => this.messageBus.findSection(id)?.title ?? id;
+    const edited = this.messageBus.getUserEditedSections().map(titleOf);
+    const locked = this.messageBus.lockedSections.map(titleOf);
+    if (edited.length === 0 && locked.length === 0) return '';
+
+    return `
+USER EDITS:
+${edited.length > 0 ? `- Edited by the user: ${edited.map(name => `"${name}"`).join(', ')}. Keep the user's wording; only change these sections if the user asks.\n` : ''}${locked.length > 0 ? `- Locked by the user: ${locked.map(name => `"${name}"`).join(', ')}. These cannot be rewritten; work around them.\n` : ''}`;
+  }
+
+  async think(context, recentMessages = []) {
+    this.messageBus.setThinking(this.profile.id, true, context.substring(0, 100));
+
+    const messages = [
+      {
+        role: "system",
+        content: `${this.profile.systemPrompt}
+
+YOU ARE: ${this.profile.name} (${this.profile.role})
+
+TEAM MEMBERS:
+${Object.values(AGENT_PROFILES).filter(a => a.id !== this.profile.id).map(a =>
+  `- @${a.id}: ${a.name} (${a.role})`
+).join('\n')}
+${this.getBrief()}${this.describeUserEdits()}
+CURRENT SCRIPT:
+${this.messageBus.getSections().length > 0 ? JSON.stringify(this.messageBus.getSections(), null, 2) : '(none yet)'}
+
+RECENT MESSAGES:
+${recentMessages.map(m => `[${m.from}] → [${m.to}]: ${m.content}`).join('\n') || '(none)'}
+`
+      },
+      ...this.conversationHistory,
+      {
+        role: "user",
+        content: context
+      }
+    ];
+
+    try {
+      const tools = AgentRoster.toolDefinitions(this.profile.tools);
+
+      const completion = await this.provider.createChatCompletion({
+        agentId: this.profile.id,
+        model: this.profile.model || AGENT_MODEL,
+        messages,
+        ...(tools.length > 0 ? { tools, tool_choice: "auto" } : {}),
+        temperature: this.profile.temperature ?? 0.7,
+        ...(this.profile.maxTokens ? { max_tokens: this.profile.maxTokens } : {})
+      });
+
+      const response = completion.choices[0]?.message;
+
+      this.messageBus.setThinking(this.profile.id, false);
+
+      if (!response) {
+        return { content: null, toolCalls: [] };
+      }
+
+      this.conversationHistory.push({ role: "user", content: context });
+      if (response.content) {
+        this.conversationHistory.push({ role: "assistant", content: response.content });
+      }
+
+      if (this.conversationHistory.length > 20) {
+        this.conversationHistory = this.conversationHistory.slice(-20);
+      }
+
+      return {
+        content: response.content,
+        toolCalls: response.tool_calls || []
+      };
+
+    } catch (error) {
+      this.messageBus.setThinking(this.profile.id, false);
+      console.error(`[${this.profile.name}] Error:`, error);
+      return { content: `Error occurred: ${error.message}`, toolCalls: [] };
+    }
+  }
+
+  canUseTool(toolName) {
+    return (this.profile.tools || []).includes(toolName);
+  }
+
+  postMessage(to, content, type = 'info') {
+    return this.messageBus.post({
+      from: this.profile.id,
+      fromName: this.profile.name,
+      fromEmoji: this.profile.emoji,
+      fromColor: this.profile.color,
+      to,
+      content,
+      type
+    });
+  }
+}
+
+// ============================================
+// ORCHESTRATION ENGINE
+// ============================================
+
+class OrchestrationEngine {
+  constructor(apiKey, sessionId = null) {
+    this.apiKey = apiKey;
+    this.sessionId = sessionId;
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = this.createdAt;
+    this.messageBus = new MessageBus();
+    this.agents = {};
+    this.provider = null;
+    this.ttsProvider = null;
+    this.isRunning = false;
+    this.currentPhase = 'idle';
+    this.topic = null;
+    this.waitingForUser = false;
+    this.pendingQuestion = null;
+    this.userPreferences = {};
+    this.finalScript = null;
+    this.maxIterations = 30; // Stage runs per user turn before the user is asked to step in
+    this.currentIteration = 0;
+
+    // Project library
+    this.archived = false;
+    this.duplicatedFrom = null;
+
+    // Stitched voiceover and per-section clips (files live under AUDIO_DIR/<sessionId>)
+    this.voiceover = null;
+    this.sectionAudio = {};
+
+    // Duration tracking
+    this.targetDuration = null; // in minutes
+    this.targetWordCount = { min: 0, max: 0 };
+
+    // Structured critic / fact-checker reports (submit_review, submit_fact_report)
+    this.reports = [];
+
+    // Full-script snapshots, one per stage run that changed the script
+    this.drafts = [];
+
+    // Every source returned by search_web (S1, S2, ...), cited from the script as [S#]
+    this.sources = new SourceRegistry();
+
+    // Uploaded files, pasted transcripts and notes, imported pages; chunked for search_project_sources
+    this.documents = [];
+
+    // Copy of the channel profile the project started with (see CHANNEL PROFILES)
+    this.channel = null;
+
+    // Video format driving section budgets and beats (see SCRIPT TEMPLATES)
+    this.templateId = DEFAULT_TEMPLATE_ID;
+
+    // Script language, and the language research is done in when it differs (see LANGUAGES)
+    this.language = DEFAULT_LANGUAGE;
+    this.researchLanguage = null;
+
+    // The finalized script adapted into other languages, each with its own voiceover, by language code
+    this.localizations = {};
+
+    // The Creative's YouTube upload package (see YOUTUBE METADATA); chapters are derived on read
+    this.metadata = null;
+
+    // Rendered thumbnail concepts T1, T2, ... (see THUMBNAILS); at most one is selected
+    this.thumbnails = [];
+
+    // Declarative workflow progress (see WORKFLOW DEFINITIONS)
+    this.workflowId = DEFAULT_WORKFLOW.id;
+    this.workflowState = null;
+    this.userNote = '';
+    this.dispatchDepth = 0;
+
+    this.initialize();
+  }
+
+  // `range` (minutes, from phrases like "8-10 minutes") sets the word count range directly
+  setTargetDuration(minutes, range = null) {
+    this.targetDuration = minutes;
+    // The word count depends on the language, the voice and what calibration has learned
+    const pace = this.pace();
+    this.targetWordCount = range
+      ? { min: Math.floor(range.min * Pacing.rate(pace)), max: Math.ceil(range.max * Pacing.rate(pace)) }
+      : Pacing.targetRange(minutes, pace);
+    console.log(`Target duration set: ${minutes} min, word count: ${this.targetWordCount.min}-${this.targetWordCount.max}`);
+  }
+
+  // `target` is a DurationParser result, or { words } from the API pinning the length (±10%)
+  // with the duration derived from it. Returns the label to announce it with.
+  setTarget(target) {
+    if (!target.words) {
+      this.setTargetDuration(target.minutes, target.range);
+      return target.label;
+    }
+    this.targetDuration = Math.round(target.words / Pacing.rate(this.pace()) * 100) / 100;
+    this.targetWordCount = { min: Math.floor(target.words * 0.9), max: Math.ceil(target.words * 1.1) };
+    console.log(`Target words set: ${target.words} (~${this.targetDuration} min)`);
+    return `${target.words} ${Pacing.unitLabel(this.language)}, ~${DurationParser.format(this.targetDuration)}`;
+  }
+
+  // Tell the team about a new target. Budgets follow the target (see getSectionBudgets), so a
+  // change lists the new ones and flags a script that no longer fits.
+  announceTarget(label, previous = null) {
+    const { min, max } = this.targetWordCount;
+    const unit = Pacing.unitLabel(this.language);
+    let content = previous
+      ? `📏 Target changed from ${DurationParser.format(previous)} to ${label} (${min}-${max} ${unit})`
+      : `📏 Target set: ${label} (${min}-${max} ${unit})`;
+
+    if (previous) {
+      content += `
+Section budgets: ${this.getSectionBudgets().map(budget => `${budget.title} ~${budget.words}`).join(', ')}`;
+      const written = this.messageBus.getSections().length > 0 ? this.getScriptWordCount() : null;
+      if (written !== null && (written < min || written > max)) {
+        content += `
+⚠️ The script is ${written} ${unit} - @writer, ${written < min ? 'expand' : 'condense'} it to the new target.`;
+      }
+    }
+
+    this.messageBus.post({
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '⚙️',
+      fromColor: '#6b7280',
+      to: 'all',
+      content,
+      type: 'info'
+    });
+  }
+
+  initialize() {
+    this.provider = createLLMProvider(this.apiKey);
+    this.ttsProvider = createTTSProvider(this.apiKey);
+    this.imageProvider = createImageProvider(this.apiKey);
+
+    this.agents = {};
+    this.syncAgents();
+  }
+
+  // Match the engine's agents to the current roster (agents can be added or removed at runtime)
+  syncAgents() {
+    for (const [id, profile] of Object.entries(AGENT_PROFILES)) {
+      if (!Object.hasOwn(this.agents, id)) {
+        this.agents[id] = new Agent(profile, this.provider, this.messageBus, () => this.describeBrief());
+      }
+    }
+    for (const id of Object.keys(this.agents)) {
+      if (!AgentRoster.get(id)) delete this.agents[id];
+    }
+  }
+
+  // Swap credentials without losing agent conversation history
+  setApiKey(apiKey) {
+    if (!apiKey || apiKey === this.apiKey) return;
+    const histories = Object.fromEntries(
+      Object.entries(this.agents).map(([id, agent]) => [id, agent.conversationHistory])
+    );
+    this.apiKey = apiKey;
+    this.initialize();
+    for (const [id, history] of Object.entries(histories)) {
+      if (this.agents[id]) this.agents[id].conversationHistory = history;
+    }
+  }
+
+  // `channel` is a channel profile; the template and languages default to the profile's, then
+  // the standard format in English. Research happens in the script language unless told otherwise.
+  // An explicit `target` (see setTarget) takes precedence over the profile's default duration.
+  async start(topic, userContext = '', { workflowId = DEFAULT_WORKFLOW.id, channel = null, templateId = null, language = null, researchLanguage = null, target = null } = {}) {
+    this.topic = topic;
+    this.userNote = userContext;
+    this.workflowId = WorkflowRegistry.get(workflowId) ? workflowId : DEFAULT_WORKFLOW.id;
+    this.channel = channel ? structuredClone(channel) : null;
+    this.templateId = [templateId, channel?.template].find(id => id && TemplateRegistry.get(id)) || DEFAULT_TEMPLATE_ID;
+    this.language = [language, channel?.language].find(code => code && LANGUAGES[code]) || DEFAULT_LANGUAGE;
+    const research = [researchLanguage, channel?.researchLanguage].find(code => code && LANGUAGES[code]) || null;
+    this.researchLanguage = research !== this.language ? research : null;
+    this.createdAt = new Date().toISOString();
+    this.isRunning = true;
+    this.currentIteration = 0;
+
+    // System message
+    this.messageBus.post({
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '⚙️',
+      fromColor: '#6b7280',
+      to: 'all',
+      content: `New project started: "${topic}"\nWorkflow: ${this.workflow.name} (${this.workflow.stages.map(stage => stage.label).join(' → ')})` +
+        `\nFormat: ${this.template.name}\nLanguage: ${Languages.get(this.language).name}` +
+        `${this.researchLanguage ? ` (research in ${Languages.get(this.researchLanguage).name})` : ''}${this.channel ? `\nChannel: ${this.channel.name}` : ''}`,
+      type: 'info'
+    });
+    if (target) this.announceTarget(this.setTarget(target));
+
+    this.enterStage(0);
+    await this.continueOrchestration(this.applyChannelDefaults());
+
+    return this.getState();
+  }
+
+  // The channel profile answers the Producer's usual questions (audience, tone, duration) up front.
+  // Returns the brief handed to the clarification stage, or null without a profile.
+  applyChannelDefaults() {
+    if (!this.channel) return null;
+
+    const brief = ChannelProfiles.brief(this.channel);
+    this.userPreferences = {
+      audience: this.channel.audience,
+      tone: this.channel.tone,
+      lastResponse: brief
+    };
+    const defaulted = Boolean(this.channel.defaultDuration && !this.targetDuration);
+    if (defaulted) {
+      this.setTargetDuration(this.channel.defaultDuration);
+    }
+
+    this.messageBus.post({
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '📋',
+      fromColor: '#6b7280',
+      to: 'all',
+      content: `${brief}${defaulted ? `\n📏 Target set: ${DurationParser.format(this.targetDuration)} (${this.targetWordCount.min}-${this.targetWordCount.max} ${Pacing.unitLabel(this.language)})` : ''}`,
+      type: 'info'
+    });
+    return brief;
+  }
+
+  // Project-wide prompt text for every agent: the language and pacing, then the channel profile
+  describeBrief() {
+    return `${this.describeLanguage()}${this.describePacing()}${this.describeChannel()}`;
+  }
+
+  // What the narration will be read in and by (see PACING MODEL): the channel's voice style,
+  // else the last voiceover's, else the default
+  pace(language = this.language) {
+    return {
+      language,
+      voiceStyle: this.channel?.voiceStyle || this.voiceover?.voiceStyle || DEFAULT_VOICE_STYLE,
+      voiceId: this.channel?.voiceId || null
+    };
+  }
+
+  // Learn the narrator's real speed from rendered audio so estimates converge on it
+  async calibratePacing(pace, chunks) {
+    const calibration = Pacing.calibrate(pace, chunks);
+    if (!calibration) return;
+    console.log(`Pacing calibrated for ${Pacing.key(pace)}: x${calibration.factor} over ${calibration.seconds}s of audio`);
+    try {
+      await Pacing.save();
+    } catch (error) {
+      console.error('Failed to save pacing calibration:', error);
+    }
+  }
+
+  describeLanguage() {
+    const language = Languages.get(this.language);
+    const research = this.researchLanguage ? Languages.get(this.researchLanguage) : null;
+    const lines = [
+      `- Write the narration, video title and description in ${language.name}, and communicate with the team in ${language.name}. Keep section titles as given.`,
+      research && `- Research in ${research.name}: search queries and research notes are in ${research.name}, the script is still written in ${language.name}.`
+    ].filter(Boolean);
+
+    return `
+LANGUAGE: ${language.name} (${language.nativeName})
+${lines.join('\n')}
+This overrides any other language instruction.
+`;
+  }
+
+  // Speaking rate for the project's language and voice, with worked examples so agents don't
+  // fall back on a rule of thumb from another language
+  describePacing() {
+    const pacing = Pacing.describe(this.pace());
+    const language = Languages.get(this.language).name;
+    const unit = Pacing.unitLabel(this.language);
+    const examples = [[0.5, '30 seconds'], [1, '1 minute'], [3, '3 minutes'], [5, '5 minutes'], [10, '10 minutes']]
+      .map(([minutes, label]) => `${label} ≈ ${Math.round(minutes * pacing.perMinute)} ${unit}`);
+
+    return `
+PACING: ~${pacing.perMinute} ${unit} per minute (${language}, ${pacing.voiceStyle} voice at ${pacing.speed}x speed${pacing.calibration ? `, calibrated on ${Math.max(1, Math.round(pacing.calibration.seconds / 60))} min of rendered narration` : ''})
+- ${examples.join(', ')}
+${pacing.unit === 'character' ? `- ${language} is counted in characters, not words: every word count and target in this project means characters\n` : ''}- Each [PAUSE] adds about ${PAUSE_SECONDS} seconds
+`;
+  }
+
+  describeChannel() {
+    return this.channel ? ChannelProfiles.describe(this.channel, this.topic || '') : '';
+  }
+
+  async processUserResponse(userMessage) {
+    if (!this.isRunning) {
+      return { error: 'Project not started' };
+    }
+
+    // Post user message
+    this.messageBus.post({
+      from: 'user',
+      fromName: 'User',
+      fromEmoji: '👤',
+      fromColor: '#ffffff',
+      to: 'orchestrator',
+      content: userMessage,
+      type: 'info'
+    });
+
+    this.waitingForUser = false;
+    this.pendingQuestion = null;
+    this.currentIteration = 0;
+    this.userPreferences.lastResponse = userMessage;
+
+    // A length in the reply sets the target; once set, only a request to change it does
+    // ("actually make it 5 minutes"), so lengths mentioned in passing are ignored
+    const duration = DurationParser.parse(userMessage);
+    if (duration && (!this.targetDuration || (DurationParser.isChange(userMessage) && duration.minutes !== this.targetDuration))) {
+      const previous = this.targetDuration;
+      this.announceTarget(this.setTarget(duration), previous);
+    }
+
+    // The user can wave a stage through after it ran out of revisions
+    if (this.workflowState?.escalated) {
+      this.workflowState.escalated = false;
+      if (/^accept/i.test(userMessage.trim())) {
+        this.advanceStage();
+        userMessage = null;
+      }
+    }
+
+    await this.continueOrchestration(userMessage);
+
+    return this.getState();
+  }
+
+  // Drive the workflow: check the current stage's exit conditions, advance or loop back,
+  // then run the next stage. The LLM only decides what happens inside a stage.
+  async continueOrchestration(userMessage = null) {
+    if (!this.isRunning || this.waitingForUser) return;
+
+    this.syncAgents();
+    this.ensureWorkflowState();
+
+    while (this.isRunning && !this.waitingForUser) {
+      const stage = this.currentStage();
+      const state = this.workflowState;
+
+      if (state.runs > 0) {
+        const unmet = this.unmetConditions(stage.exit);
+        if (unmet.length === 0) {
+          this.advanceStage();
+          continue;
+        }
+        // A stage that stopped to ask the user is re-run with the answer, not counted as a failed attempt
+        if (!state.awaitingUser && !this.handleStageFailure(stage, unmet)) return;
+      }
+
+      // Only stage runs count towards the cap; advancing is free
+      if (this.currentIteration >= this.maxIterations) {
+        console.log('Max iterations reached, asking the user');
+        this.escalate(stage, `"${stage.label}" is still running after ${this.maxIterations} agent turns without your input.`);
+        return;
+      }
+      this.currentIteration++;
+
+      state.awaitingUser = false;
+      await this.runStage(this.currentStage(), userMessage);
+      userMessage = null;
+    }
+  }
+
+  get workflow() {
+    return WorkflowRegistry.get(this.workflowId) || DEFAULT_WORKFLOW;
+  }
+
+  get template() {
+    return TemplateRegistry.get(this.templateId) || TemplateRegistry.get(DEFAULT_TEMPLATE_ID);
+  }
+
+  // Per-section word budgets; the format's typical duration stands in until a target is set
+  getSectionBudgets() {
+    const totalWords = this.targetDuration
+      ? Math.round((this.targetWordCount.min + this.targetWordCount.max) / 2)
+      : Math.round(this.template.duration * Pacing.rate(this.pace()));
+    return TemplateRegistry.budgets(this.template, totalWords);
+  }
+
+  findSectionBudget(ref) {
+    const title = ScriptModel.normalizeTitle(ref);
+    return this.getSectionBudgets().find(budget => ScriptModel.normalizeTitle(budget.title) === title) || null;
+  }
+
+  // Sessions saved before workflows existed resume at the stage matching their phase
+  ensureWorkflowState() {
+    if (this.workflowState && this.workflow.stages[this.workflowState.stageIndex]) return;
+    const index = this.workflow.stages.findIndex(stage => stage.id === this.currentPhase);
+    this.enterStage(Math.max(index, 0));
+  }
+
+  currentStage() {
+    return this.workflow.stages[this.workflowState?.stageIndex] || null;
+  }
+
+  enterStage(index, notes = null) {
+    const stage = this.workflow.stages[index];
+    this.workflowState = {
+      stageIndex: index,
+      stageId: stage.id,
+      runs: 0,
+      startedAt: null,
+      messageStart: this.messageBus.messages.length,
+      toolCalls: [],
+      notes,
+      revisions: this.workflowState?.revisions || {},
+      skipped: this.workflowState?.skipped || [],
+      awaitingUser: false,
+      escalated: false
+    };
+    this.currentPhase = stage.id;
+    this.messageBus.setPhase(stage.id, stage.label);
+  }
+
+  // Move to the next stage whose entry conditions hold; finishing the last stage completes the project
+  advanceStage() {
+    const { stages } = this.workflow;
+    for (let index = this.workflowState.stageIndex + 1; index < stages.length; index++) {
+      const unmet = this.unmetConditions(stages[index].entry);
+      if (unmet.length === 0) {
+        this.enterStage(index);
+        return;
+      }
+      this.workflowState.skipped.push(stages[index].id);
+      console.log(`[workflow] Skipping stage ${stages[index].id}: ${unmet.join('; ')}`);
+    }
+    this.completeWorkflow();
+  }
+
+  completeWorkflow() {
+    this.workflowState.stageIndex = this.workflow.stages.length;
+    this.workflowState.stageId = null;
+    this.currentPhase = 'completed';
+    this.isRunning = false;
+    this.messageBus.setPhase('completed', 'Project complete');
+  }
+
+  failedConditions(conditions = [], run = this.workflowState) {
+    return conditions.filter(condition => !WorkflowConditions[condition.type].test(this, condition, run));
+  }
+
+  unmetConditions(conditions = [], run = this.workflowState) {
+    return this.failedConditions(conditions, run)
+      .map(condition => WorkflowConditions[condition.type].describe(this, condition, run));
+  }
+
+  // Loop back (or retry) after failed exit conditions; returns false when the user has to decide
+  // Hand the stage to the user: guidance retries it, "accept" moves on (see processUserResponse)
+  escalate(stage, problem) {
+    const state = this.workflowState;
+    state.awaitingUser = true;
+    state.escalated = true;
+    this.waitingForUser = true;
+    this.pendingQuestion = {
+      question: `${problem}\n\nReply with guidance to try again, or accept it as is.`,
+      options: ['Accept and continue', 'Try again']
+    };
+    this.messageBus.post({
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '⚙️',
+      fromColor: '#6b7280',
+      to: 'user',
+      content: this.pendingQuestion.question,
+      type: 'question',
+      options: this.pendingQuestion.options
+    });
+  }
+
+  handleStageFailure(stage, unmet) {
+    const state = this.workflowState;
+    const revisions = (state.revisions[stage.id] || 0) + 1;
+    const maxRevisions = stage.maxRevisions ?? this.workflow.maxRevisions;
+
+    if (revisions > maxRevisions) {
+      state.revisions[stage.id] = 0;
+      this.escalate(stage, `"${stage.label}" is still not complete after ${maxRevisions} revisions:\n- ${unmet.join('\n- ')}`);
+      return false;
+    }
+
+    state.revisions[stage.id] = revisions;
+    const onFail = this.failedConditions(stage.exit).find(condition => condition.onFail)?.onFail || stage.onFail;
+    const targetIndex = onFail
+      ? this.workflow.stages.findIndex(candidate => candidate.id === onFail)
+      : state.stageIndex;
+    const target = this.workflow.stages[targetIndex];
+
+    const feedback = this.getStageMessages(state, stage.agent)
+      .map(message => message.content)
+      .join('\n\n')
+      .substring(0, 2000);
+    const notes = `${stage.label} did not pass (attempt ${revisions}/${maxRevisions}):\n- ${unmet.join('\n- ')}` +
+      (feedback && target.id !== stage.id ? `\n\nFeedback from @${stage.agent}:\n${feedback}` : '');
+
+    this.messageBus.post({
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '🔁',
+      fromColor: '#6b7280',
+      to: 'all',
+      content: `${stage.label} not complete (revision ${revisions}/${maxRevisions}):\n- ${unmet.join('\n- ')}\n\n→ ${target.id === stage.id ? 'Retrying' : `Back to ${target.label}`}`,
+      type: 'feedback'
+    });
+
+    if (target.id === stage.id) {
+      state.notes = notes;
+    } else {
+      this.enterStage(targetIndex, notes);
+    }
+    return true;
+  }
+
+  async runStage(stage, userMessage = null) {
+    const state = this.workflowState;
+    const agent = this.agents[stage.agent];
+
+    if (!agent) {
+      this.messageBus.post({
+        from: 'system',
+        fromName: 'System',
+        fromEmoji: '❌',
+        fromColor: '#ef4444',
+        to: 'all',
+        content: `Workflow stage "${stage.label}" needs agent @${stage.agent}, which is not in the roster.`,
+        type: 'info'
+      });
+      this.isRunning = false;
+      return;
+    }
+
+    state.runs++;
+    state.startedAt = new Date().toISOString();
+    state.messageStart = this.messageBus.messages.length;
+    state.toolCalls = [];
+
+    this.dispatchDepth = 0;
+    const response = await agent.think(this.buildStageContext(stage, userMessage), this.messageBus.getHistory(10));
+    await this.processAgentResponse(stage.agent, response);
+    this.snapshotDraft(stage.label);
+  }
+
+  getTargetInfo() {
+    const unit = Pacing.unitLabel(this.language);
+    return this.targetDuration
+      ? `⚠️ TARGET DURATION: ${this.targetDuration} minutes
+⚠️ TARGET WORD COUNT: ${this.targetWordCount.min}-${this.targetWordCount.max} ${unit}
+📊 CURRENT WORD COUNT: ${this.getScriptWordCount()} ${unit} (~${Pacing.minutes(this.messageBus.getSections().map(section => section.narration).join('\n'), this.pace())} min spoken)`
+      : 'Target duration: NOT SET YET';
+  }
+
+  renderStageInstructions(stage) {
+    const values = {
+      topic: this.topic,
+      minWords: this.targetWordCount.min,
+      maxWords: this.targetWordCount.max,
+      targetDuration: this.targetDuration
+    };
+    return (stage.instructions || 'Complete your part of this stage and share the result with the team.')
+      .replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+  }
+
+  buildStageContext(stage, userMessage = null) {
+    const { stages } = this.workflow;
+    const notes = this.workflowState.notes;
+
+    return `WORKFLOW STAGE ${this.workflowState.stageIndex + 1}/${stages.length}: ${stage.label}
+
+Topic: ${this.topic}
+Current phase: ${stage.id}
+${this.userNote ? `USER NOTE: ${this.userNote}\n` : ''}${this.getTargetInfo()}
+${userMessage ? `\nThe user responded: "${userMessage}"\n` : ''}${notes ? `\nREVISION NOTES:\n${notes}\n` : ''}${this.describeTemplate(stage)}${this.describeDocuments()}${this.describeSources(stage)}
+YOUR TASK:
+${this.renderStageInstructions(stage)}
+
+This stage is complete when:
+- ${stage.exit.map(condition => WorkflowConditions[condition.type].describe(this, condition, this.workflowState)).join('\n- ')}
+
+The workflow engine moves the project to the next stage automatically - focus only on this stage.`;
+  }
+
+  // Format block for stages with `includeTemplate`: sections in order with budgets and beats
+  describeTemplate(stage) {
+    if (!stage.includeTemplate) return '';
+    const { template } = this;
+    const budgets = this.getSectionBudgets();
+    return `\nFORMAT: ${template.name}${template.description ? ` - ${template.description}` : ''}
+${this.targetDuration ? '' : `(Budgets assume the format's typical ${template.duration} minutes until a target is set.)\n`}Sections in order (use these titles, types and target_words in write_script_section):
+${budgets.map((budget, index) =>
+  `${index + 1}. ${budget.title} (${budget.type}): ~${budget.words} ${Pacing.unitLabel(this.language)}${budget.beats.length > 0 ? `\n   Beats: ${budget.beats.join('; ')}` : ''}`
+).join('\n')}
+${template.pacing ? `Pacing: ${template.pacing}\n` : ''}`;
+  }
+
+  // Attached documents are listed for every stage so agents know to search them first
+  describeDocuments() {
+    if (this.documents.length === 0) return '';
+    return `\nPROJECT DOCUMENTS (attached by the user - search with search_project_sources and prefer them over web results):\n${
+      this.documents.map(document => `- [${document.sourceId}] ${document.title} (${document.kind}, ${document.wordCount} words)`).join('\n')
+    }\n`;
+  }
+
+  // Source registry block for stages with `includeSources`
+  describeSources(stage) {
+    if (!stage.includeSources) return '';
+    const sources = this.sources.describe(this.messageBus.getSections());
+    return `\nSOURCES (cite in narration as [S1] or [S1, S3]; citations are not voiced):\n${sources || '(none yet - nothing has been searched)'}\n`;
+  }
+
+  // Messages posted by an agent during the current stage run
+  getStageMessages(run, agentId) {
+    return this.messageBus.messages
+      .slice(run.messageStart)
+      .filter(message => message.from === agentId && message.content);
+  }
+
+  // Structured reports win; free-text "VERDICT:" lines are the fallback for agents without submit_review
+  getStageVerdict(run, agentId) {
+    const report = this.reports.findLast(candidate => candidate.agent === agentId && candidate.createdAt >= run.startedAt);
+    if (report) return report.verdict;
+
+    const verdicts = this.getStageMessages(run, agentId)
+      .map(message => message.content.match(/VERDICT:\W*(APPROVED|NEEDS[ _]REVISION|REJECTED)/i))
+      .filter(Boolean);
+    return verdicts.length > 0 ? verdicts[verdicts.length - 1][1].toUpperCase().replace(' ', '_') : null;
+  }
+
+  getWorkflowState() {
+    const state = this.workflowState;
+    const currentIndex = state ? state.stageIndex : -1;
+
+    return {
+      id: this.workflow.id,
+      name: this.workflow.name,
+      currentStage: state?.stageId || null,
+      revisions: state?.revisions || {},
+      stages: this.workflow.stages.map((stage, index) => ({
+        id: stage.id,
+        label: stage.label,
+        agent: stage.agent,
+        status: state?.skipped.includes(stage.id)
+          ? 'skipped'
+          : index < currentIndex ? 'done' : index === currentIndex ? 'active' : 'pending'
+      }))
+    };
+  }
+
+  getScriptWordCount() {
+    return this.messageBus.getSections().reduce((sum, section) => sum + Pacing.count(section.narration, this.language), 0);
+  }
+
+  sanitizeScriptForVoiceover(text) {
+    if (!text) return '';
+    return CueParser.toSpeech(CueParser.parse(text).narration);
+  }
+
+  async processAgentResponse(agentId, response) {
+    const agent = this.agents[agentId];
+
+    // Post agent's thoughts/content
+    if (response.content) {
+      agent.postMessage('all', response.content, 'info');
+    }
+
+    // Process tool calls
+    for (const toolCall of response.toolCalls) {
+      const toolName = toolCall.function.name;
+      let args;
+      try {
+        args = JSON.parse(toolCall.function.arguments);
+      } catch (e) {
+        console.error('Failed to parse tool arguments:', e);
+        continue;
+      }
+
+      console.log(`[${agentId}] Tool: ${toolName}`, JSON.stringify(args).substring(0, 200));
+
+      await this.executeTool(agentId, toolName, args);
+    }
+  }
+
+  async executeTool(agentId, toolName, args) {
+    const agent = this.agents[agentId];
+
+    // Enforce the agent's tool whitelist and tell the agent why the call was dropped
+    if (!agent.canUseTool(toolName)) {
+      const allowed = (agent.profile.tools || []).join(', ') || 'none';
+      const notice = `Tool call rejected: ${agent.profile.name} is not permitted to use "${toolName}". Allowed tools: ${allowed}.`;
+
+      console.warn(`[${agentId}] ${notice}`);
+      agent.conversationHistory.push({ role: "user", content: notice });
+      this.messageBus.post({
+        from: 'system',
+        fromName: 'System',
+        fromEmoji: '⛔',
+        fromColor: '#ef4444',
+        to: agentId,
+        content: notice,
+        type: 'feedback'
+      });
+      return { stopContinuation: false };
+    }
+
+    // Stage-gated tools (finalize, voiceover) only run in the workflow stage that owns them
+    const stage = this.currentStage();
+    if (WORKFLOW_GATED_TOOLS.includes(toolName) && !stage?.tools?.includes(toolName)) {
+      const owners = this.workflow.stages.filter(candidate => candidate.tools?.includes(toolName));
+      const notice = `Tool call rejected: "${toolName}" is only available in the ${owners.map(owner => `"${owner.label}"`).join(' / ') || 'no'} stage (current stage: ${stage?.label || 'none'}).`;
+
+      console.warn(`[${agentId}] ${notice}`);
+      agent.conversationHistory.push({ role: "user", content: notice });
+      this.messageBus.post({
+        from: 'system',
+        fromName: 'System',
+        fromEmoji: '⛔',
+        fromColor: '#ef4444',
+        to: agentId,
+        content: notice,
+        type: 'feedback'
+      });
+      return { stopContinuation: false };
+    }
+
+    this.workflowState?.toolCalls.push(toolName);
+
+    switch (toolName) {
+      case 'send_message': {
+        const { to, message, type } = args;
+        this.agents[agentId].postMessage(to, message, type);
+
+        // Only agents taking part in the current stage are dispatched; the engine handles hand-offs between stages
+        if (to !== 'user' && to !== 'all' && Object.hasOwn(this.agents, to)) {
+          if (this.canDispatch(agentId, to)) {
+            await this.triggerAgent(to, message, agentId);
+          } else {
+            console.log(`[workflow] Message ${agentId} → ${to} not dispatched in stage ${stage?.id || 'none'}`);
+          }
+        }
+        return { stopContinuation: false };
+      }
+
+      case 'search_project_sources': {
+        const query = String(args.query || '');
+        const limit = Math.min(Math.max(parseInt(args.max_results, 10) || 5, 1), 10);
+        const results = await this.searchDocuments(query, limit);
+
+        const content = results.length > 0
+          ? results.map(result => `[${result.sourceId}] ${result.title} (part ${result.part}/${result.parts})\n${result.text}`).join('\n\n---\n\n')
+          : this.documents.length > 0 ? 'No matching passages in the attached documents.' : 'No documents are attached to this project.';
+        this.agents[agentId].postMessage('all', `📎 Project sources: "${query}"\n\n${content}`, 'result');
+        return { stopContinuation: false };
+      }
+
+      case 'search_library': {
+        const query = String(args.query || '');
+        const kind = { scripts: 'script', documents: 'document', searches: 'search' }[args.scope] || null;
+        const limit = Math.min(Math.max(parseInt(args.max_results, 10) || 5, 1), 10);
+        const results = await this.searchLibrary(query, { kind, limit, agentId });
+
+        const labels = { script: 'Past script', document: 'Document', search: 'Search result' };
+        const content = results.length > 0
+          ? results.map(result =>
+            `[${result.sourceId}] ${labels[result.kind]}: ${result.title}${result.part ? ` (part ${result.part}/${result.parts})` : ''}\n` +
+            `Project: ${result.currentProject ? 'this project' : `"${result.topic}" (${result.date})`}${result.url ? ` · ${result.url}` : ''}\n${result.text}`
+          ).join('\n\n---\n\n')
+          : 'Nothing in the channel library matches.';
+        this.agents[agentId].postMessage('all', `🗂️ Library: "${query}"\n\n${content}`, 'result');
+        return { stopContinuation: false };
+      }
+
+      case 'search_web': {
+        const { query, num_results = 5 } = args;
+        this.messageBus.setThinking(agentId, true, `Searching: "${query.substring(0, 50)}"`);
+
+        const { text, sources } = await this.performWebSearch(query, num_results, agentId);
+
+        this.messageBus.setThinking(agentId, false);
+
+        const sourceList = sources.length > 0
+          ? `\n\n📚 Sources (cite as [S#]):\n${sources.map(source => `[${source.id}] ${source.title} - ${source.url}`).join('\n')}`
+          : '';
+        this.agents[agentId].postMessage('all', `🔍 Search: "${query}"\n\n${text}${sourceList}`, 'result');
+        return { stopContinuation: false };
+      }
+
+      case 'write_script_section': {
+        const { section, action, reason } = args;
+
+        const locked = this.messageBus.lockedConflict(section, action, { anchor: args.anchor, order: args.order });
+        if (locked) {
+          const notice = action === 'reorder' || locked.id !== this.messageBus.findSection(section)?.id
+            ? `Script update rejected: [${locked.title}] is locked by the user and cannot be moved or used as an anchor.`
+            : `Script update rejected: [${locked.title}] is locked by the user.`;
+          agent.conversationHistory.push({ role: "user", content: notice });
+          this.messageBus.post({
+            from: 'system',
+            fromName: 'System',
+            fromEmoji: '🔒',
+            fromColor: '#6b7280',
+            to: agentId,
+            content: notice,
+            type: 'feedback'
+          });
+          return { stopContinuation: false };
+        }
+
+        const result = this.messageBus.writeSection(section, {
+          narration: args.narration ?? args.content,
+          title: args.title,
+          type: args.type,
+          // Sections named after the format's sections default to its budget
+          targetWords: args.target_words ??
+            (this.messageBus.findSection(section)?.targetWords ? undefined : this.findSectionBudget(args.title || section)?.words),
+          cues: {
+            visual: args.visual_cues,
+            music: args.music_cues,
+            broll: args.broll_cues
+          },
+          citations: args.sources,
+          anchor: args.anchor,
+          order: args.order
+        }, action, {
+          author: agentId,
+          reason: SecurityUtils.sanitizeInput(reason || '').substring(0, 300) || `${action} during ${stage?.label || this.currentPhase}`
+        });
+
+        if (result.error) {
+          const notice = `Script update rejected: ${result.error}.`;
+          agent.conversationHistory.push({ role: "user", content: notice });
+          this.messageBus.post({
+            from: 'system',
+            fromName: 'System',
+            fromEmoji: '⚠️',
+            fromColor: '#6b7280',
+            to: agentId,
+            content: notice,
+            type: 'feedback'
+          });
+          return { stopContinuation: false };
+        }
+
+        const totalWordCount = this.getScriptWordCount();
+        const totalMinutes = Pacing.minutes(this.messageBus.getSections().map(section => section.narration).join('\n'), this.pace());
+
+        if (action === 'reorder') {
+          this.agents[agentId].postMessage('all',
+            `📝 Script reordered: ${this.messageBus.getSections().map(s => `[${s.title}]`).join(' → ')}`,
+            'info'
+          );
+          return { stopContinuation: false };
+        }
+
+        const written = result.section;
+        const wordCount = action === 'delete' ? 0 : Pacing.count(written.narration, this.language);
+        const estimatedMinutes = action === 'delete' ? 0 : Pacing.minutes(written.narration, this.pace());
+        const cueCount = action === 'delete' ? 0 : CUE_TYPES.reduce((sum, type) => sum + written.cues[type].length, 0);
+        const banned = action === 'delete' ? [] : QualityControl.findBannedTerms(written.narration, this.channel?.bannedWords);
+        const budget = action === 'delete' ? null : this.findSectionBudget(written.title);
+        const lengths = budget ? QualityControl.validateSectionLengths([written], [budget], this.language) : { issues: [], warnings: [] };
+        const offBudget = [...lengths.issues, ...lengths.warnings];
+
+        this.agents[agentId].postMessage('all',
+          `📝 Script updated: [${written.title}] (${written.type}) - ${action}\n` +
+          `   📊 This section: ${wordCount} ${Pacing.unitLabel(this.language)} (~${estimatedMinutes} min)` +
+          `${written.targetWords ? `, target ${written.targetWords}` : ''}${cueCount > 0 ? `, ${cueCount} cues` : ''}\n` +
+          `   📊 Total script: ${totalWordCount} ${Pacing.unitLabel(this.language)} (~${totalMinutes} min)` +
+          (banned.length > 0 ? `\n   ⛔ Banned by the channel profile: ${banned.map(term => `"${term}"`).join(', ')} - rewrite before finalizing` : '') +
+          (offBudget.length > 0 ? `\n   ⚠️ ${offBudget.join('; ')}` : ''),
+          'info'
+        );
+        return { stopContinuation: false };
+      }
+
+      case 'request_user_input': {
+        const { question, options } = args;
+        this.waitingForUser = true;
+        this.pendingQuestion = { question, options };
+        if (this.workflowState) this.workflowState.awaitingUser = true;
+        this.messageBus.post({
+          from: agentId,
+          fromName: AGENT_PROFILES[agentId].name,
+          fromEmoji: AGENT_PROFILES[agentId].emoji,
+          fromColor: AGENT_PROFILES[agentId].color,
+          to: 'user',
+          content: question,
+          type: 'question',
+          options
+        });
+        return { stopContinuation: true }; // Stop and wait for user
+      }
+
+      case 'generate_thumbnail': {
+        const concepts = (Array.isArray(args.concepts) ? args.concepts : [])
+          .map(concept => Thumbnails.normalizeConcept(concept))
+          .filter(Boolean)
+          .slice(0, 3);
+        if (concepts.length === 0) {
+          const notice = 'generate_thumbnail needs at least one concept with a subject.';
+          agent.conversationHistory.push({ role: "user", content: notice });
+          this.messageBus.post({
+            from: 'system',
+            fromName: 'System',
+            fromEmoji: '⚠️',
+            fromColor: '#6b7280',
+            to: agentId,
+            content: notice,
+            type: 'feedback'
+          });
+          return { stopContinuation: false };
+        }
+
+        this.messageBus.setThinking(agentId, true, 'Rendering thumbnails...');
+        const rendered = [];
+        const errors = [];
+        for (const concept of concepts) {
+          try {
+            rendered.push(await this.renderThumbnail(concept));
+          } catch (error) {
+            console.error('Thumbnail error:', error);
+            errors.push(`${concept.name || concept.subject.substring(0, 40)}: ${error.message}`);
+          }
+        }
+        this.messageBus.setThinking(agentId, false);
+
+        this.messageBus.post({
+          from: agentId,
+          fromName: AGENT_PROFILES[agentId].name,
+          fromEmoji: AGENT_PROFILES[agentId].emoji,
+          fromColor: AGENT_PROFILES[agentId].color,
+          to: 'all',
+          content: (rendered.length > 0
+            ? `🖼️ Thumbnails rendered: ${rendered.map(thumbnail => `${thumbnail.id} ${thumbnail.concept.name || thumbnail.concept.subject.substring(0, 40)}`).join(', ')}`
+            : '🖼️ No thumbnails could be rendered') +
+            (errors.length > 0 ? `\n⚠️ ${errors.join('\n⚠️ ')}` : ''),
+          type: 'result',
+          thumbnails: rendered.map(({ id, url, concept }) => ({ id, url, name: concept.name }))
+        });
+        return { stopContinuation: false };
+      }
+
+      case 'submit_metadata': {
+        const metadata = YouTubeMetadata.normalize(args);
+        const built = this.buildMetadata(metadata);
+
+        if (!built.validation.valid) {
+          const notice = `Metadata rejected - over YouTube's limits:\n${built.validation.issues.map(issue => `- ${issue}`).join('\n')}\nFix these and submit again.`;
+          agent.conversationHistory.push({ role: "user", content: notice });
+          this.messageBus.post({
+            from: 'system',
+            fromName: 'System',
+            fromEmoji: '⚠️',
+            fromColor: '#f59e0b',
+            to: agentId,
+            content: notice,
+            type: 'feedback'
+          });
+          return { stopContinuation: false };
+        }
+
+        this.metadata = { ...metadata, agent: agentId, createdAt: new Date().toISOString() };
+        this.agents[agentId].postMessage('all', this.formatMetadata(built), 'result');
+        return { stopContinuation: false };
+      }
+
+      case 'submit_review':
+      case 'submit_fact_report': {
+        const report = this.recordReport(agentId, toolName === 'submit_review' ? 'review' : 'fact_report', args);
+        this.agents[agentId].postMessage('all', this.formatReport(report), 'result');
+        return { stopContinuation: false };
+      }
+
+      case 'finalize_script': {
+        const { title, description, script, duration_estimate } = args;
+
+        // Reviewers' critical issues must be fixed (or resolved by the user) first
+        const criticalIssues = this.getOpenIssues().filter(issue => issue.severity === 'critical');
+        if (criticalIssues.length > 0) {
+          this.messageBus.post({
+            from: 'system',
+            fromName: 'System',
+            fromEmoji: '⚠️',
+            fromColor: '#f59e0b',
+            to: 'all',
+            content: `Cannot finalize - ${criticalIssues.length} unresolved critical issue(s):\n${criticalIssues.map(issue => this.formatIssue(issue)).join('\n')}`,
+            type: 'info'
+          });
+          return { stopContinuation: false };
+        }
+
+        // Validate the final script
+        const validation = QualityControl.validateScript(script, this.targetWordCount, { bannedWords: this.channel?.bannedWords, pace: this.pace() });
+        const lengths = QualityControl.validateSectionLengths(this.messageBus.getSections(), this.getSectionBudgets(), this.language);
+        validation.issues.push(...lengths.issues);
+        validation.warnings.push(...lengths.warnings);
+        validation.valid = validation.issues.length === 0;
+
+        if (!validation.valid) {
+          this.messageBus.post({
+            from: 'system',
+            fromName: 'System',
+            fromEmoji: '⚠️',
+            fromColor: '#f59e0b',
+            to: 'all',
+            content: `Script validation failed - cannot finalize:\n\n❌ Issues:\n${validation.issues.join('\n')}\n\n⚠️ Warnings:\n${validation.warnings.join('\n') || 'None'}\n\nPlease fix these issues before finalizing.`,
+            type: 'info'
+          });
+          return { stopContinuation: false }; // Let orchestrator handle fixes
+        }
+
+        const finalWordCount = validation.wordCount;
+        const estimatedMinutes = validation.estimatedDuration;
+
+        this.finalScript = {
+          title: SecurityUtils.sanitizeInput(title),
+          description: SecurityUtils.sanitizeInput(description || ''),
+          script,
+          duration_estimate: duration_estimate || DurationParser.approximate(estimatedMinutes),
+          wordCount: finalWordCount,
+          bibliography: this.sources.bibliography(this.messageBus.getSections()),
+          descriptionSources: this.sources.descriptionBlock(this.messageBus.getSections())
+        };
+
+        let statusMessage = `FINAL SCRIPT READY!\n\n📺 ${this.finalScript.title}\n⏱️ Estimated duration: ${this.finalScript.duration_estimate}\n📝 Word count: ${finalWordCount} ${Pacing.unitLabel(this.language)}`;
+        if (this.finalScript.bibliography.length > 0) {
+          statusMessage += `\n📚 Sources: ${this.finalScript.bibliography.length}`;
+        }
+
+        if (validation.warnings.length > 0) {
+          statusMessage += `\n\n⚠️ Warnings:\n${validation.warnings.join('\n')}`;
+        }
+
+        statusMessage += `\n\n${this.finalScript.description}\n\n---\n\n${script}`;
+
+        this.messageBus.post({
+          from: 'system',
+          fromName: 'System',
+          fromEmoji: '🎬',
+          fromColor: '#22c55e',
+          to: 'all',
+          content: statusMessage,
+          type: 'result',
+          finalScript: this.finalScript
+        });
+
+        return { stopContinuation: false };
+      }
+
+      case 'generate_voiceover': {
+        const { text } = args;
+        // The channel's voice style wins so every episode sounds the same
+        const requested = this.channel?.voiceStyle || args.voice_style;
+        const voice_style = Object.hasOwn(VOICE_STYLES, requested || '') ? requested : this.pace().voiceStyle;
+
+        this.messageBus.setThinking(agentId, true, 'Validating voiceover text...');
+
+        // Script sections are voiced individually; free text is only used when there is no script
+        const sections = this.getVoiceoverSections(voice_style);
+        const validation = QualityControl.validateVoiceoverText(
+          sections.length > 0 ? sections.map(entry => entry.cleanText).join('\n\n') : text,
+          { pace: { ...this.pace(), voiceStyle: voice_style } }
+        );
+
+        if (!validation.valid) {
+          this.messageBus.setThinking(agentId, false);
+          this.messageBus.post({
+            from: 'system',
+            fromName: 'System',
+            fromEmoji: '⚠️',
+            fromColor: '#f59e0b',
+            to: 'all',
+            content: `Voiceover text validation failed:\n${validation.issues.join('\n')}\n\nPlease clean the script and try again.`,
+            type: 'info'
+          });
+          return { stopContinuation: false }; // Let orchestrator handle retry
+        }
+
+        this.messageBus.setThinking(agentId, true, 'Generating voiceover...');
+
+        try {
+          // Use the cleaned text from validation
+          const audioResult = sections.length > 0
+            ? await this.generateSectionVoiceover(voice_style)
+            : await this.generateVoiceover(validation.cleanText, voice_style);
+
+          this.messageBus.setThinking(agentId, false);
+          this.recordVoiceover(audioResult, voice_style, validation);
+        } catch (error) {
+          this.messageBus.setThinking(agentId, false);
+          this.messageBus.post({
+            from: 'system',
+            fromName: 'System',
+            fromEmoji: '❌',
+            fromColor: '#ef4444',
+            to: 'all',
+            content: `Voiceover generation error: ${error.message}`,
+            type: 'info'
+          });
+        }
+
+        return { stopContinuation: true };
+      }
+    }
+
+    return { stopContinuation: false };
+  }
+
+  // Validate a voiceover result, store it on the project and announce it in the feed
+  recordVoiceover(audioResult, voiceStyle, validation) {
+    const audioValidation = QualityControl.validateAudioResult(audioResult);
+
+    if (!audioValidation.valid) {
+      this.messageBus.post({
+        from: 'system',
+        fromName: 'System',
+        fromEmoji: '⚠️',
+        fromColor: '#f59e0b',
+        to: 'all',
+        content: `Voiceover generation issues:\n${audioValidation.issues.join('\n')}`,
+        type: 'info'
+      });
+      return false;
+    }
+
+    this.voiceover = {
+      url: audioResult.url,
+      duration: audioResult.duration,
+      contentType: audioResult.contentType,
+      gapSeconds: audioResult.gapSeconds,
+      chunks: audioResult.chunks,
+      voiceStyle,
+      createdAt: new Date().toISOString()
+    };
+
+    const renderedInfo = audioResult.renderedSections
+      ? `\n🔁 Sections rendered: ${audioResult.renderedSections.length} of ${audioResult.chunks.length}`
+      : `\n🧩 Parts: ${audioResult.chunks.length}`;
+
+    this.messageBus.post({
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '🎙️',
+      fromColor: '#10b981',
+      to: 'all',
+      content: `Voiceover generated successfully!\n\n🎙️ Duration: ${audioResult.duration ? Math.round(audioResult.duration) + 's' : 'N/A'}\n📝 Word count: ${validation.wordCount}\n⏱️ Estimated: ~${validation.estimatedDuration} min${renderedInfo}\n📁 Format: MP3`,
+      type: 'result',
+      audioFile: {
+        url: audioResult.url,
+        duration: audioResult.duration,
+        contentType: audioResult.contentType,
+        chunks: audioResult.chunks
+      }
+    });
+    return true;
+  }
+
+  // Agents may hand work to the stage's agent or its listed participants, a few levels deep
+  canDispatch(fromAgentId, toAgentId) {
+    const stage = this.currentStage();
+    if (!stage || toAgentId === fromAgentId || this.dispatchDepth >= 2) return false;
+    return [stage.agent, ...(stage.participants || [])].includes(toAgentId);
+  }
+
+  // Snapshot the whole script if it changed since the last draft
+  snapshotDraft(label) {
+    const sections = this.messageBus.getSections();
+    const last = this.drafts[this.drafts.length - 1];
+    if (sections.length === 0 || (last && JSON.stringify(this.draftSections(last)) === JSON.stringify(sections))) {
+      return null;
+    }
+
+    const draft = {
+      id: `D${this.drafts.length + 1}`,
+      round: this.drafts.length + 1,
+      label,
+      createdAt: new Date().toISOString(),
+      wordCount: this.getScriptWordCount(),
+      sections: structuredClone(sections)
+    };
+    this.drafts.push(draft);
+    return draft;
+  }
+
+  // Drafts saved before structured sections hold a { title: text } script instead
+  draftSections(draft) {
+    return draft.sections || ScriptModel.fromLegacy(draft.script);
+  }
+
+  // Version and draft listings without their text
+  getHistory(section = null) {
+    return {
+      versions: this.messageBus.getVersions(section).map(({ content, cues, citations, ...meta }) => meta),
+      drafts: section ? [] : this.drafts.map(({ script, sections, ...meta }) => meta)
+    };
+  }
+
+  // Resolve "v3", "D2" or "current" (relative to the other side of a comparison) to comparable text.
+  // `relativeTo` is the section version "current" is compared against.
+  findVersion(id, relativeTo = null) {
+    if (id === 'current') {
+      if (relativeTo) {
+        const section = this.messageBus.findSection(relativeTo.sectionId) || this.messageBus.findSection(relativeTo.section);
+        return { kind: 'section', id, sectionId: section?.id ?? null, section: section?.title ?? relativeTo.section, content: section?.narration ?? null };
+      }
+      return { kind: 'draft', id, sections: this.messageBus.getSections() };
+    }
+    const version = this.messageBus.scriptVersions.find(candidate => candidate.id === id);
+    if (version) return { kind: 'section', ...version };
+    const draft = this.drafts.find(candidate => candidate.id === id);
+    return draft ? { kind: 'draft', ...draft, sections: this.draftSections(draft) } : null;
+  }
+
+  diffVersions(fromId, toId = 'current') {
+    const anchor = [fromId, toId].map(id => this.findVersion(id)).find(version => version && version.id !== 'current');
+    const relativeTo = anchor?.kind === 'section' ? anchor : null;
+    const from = this.findVersion(fromId, relativeTo);
+    const to = this.findVersion(toId, relativeTo);
+
+    if (!from || !to) return { error: 'Version not found' };
+    if (from.kind !== to.kind) return { error: 'Cannot compare a section version with a full draft' };
+
+    const meta = ({ content, cues, citations, script, sections, ...rest }) => rest;
+    if (from.kind === 'section') {
+      const ops = DiffUtils.diffWords(from.content, to.content);
+      return { kind: 'section', from: meta(from), to: meta(to), ops, ...DiffUtils.stats(ops) };
+    }
+    return {
+      kind: 'draft',
+      from: meta(from),
+      to: meta(to),
+      sections: DiffUtils.diffScripts(ScriptModel.toNarrationMap(from.sections), ScriptModel.toNarrationMap(to.sections))
+    };
+  }
+
+  // Bring back a section version or a whole draft; the restore itself becomes a new version
+  restoreVersion(id, author = 'user') {
+    const version = this.findVersion(id);
+    if (!version || id === 'current') return false;
+
+    const reason = `Restored ${id}`;
+    if (version.kind === 'draft') {
+      this.messageBus.replaceSections(version.sections, { author, reason });
+    } else {
+      const ref = this.messageBus.findSection(version.sectionId) ? version.sectionId : version.section;
+      const result = version.content === null
+        ? this.messageBus.writeSection(ref, {}, 'delete', { author, reason })
+        : this.messageBus.writeSection(ref, {
+          title: version.section,
+          type: version.type,
+          targetWords: version.targetWords,
+          narration: version.content,
+          cues: version.cues || undefined,
+          citations: version.citations || undefined
+        }, 'update', { author, reason });
+      if (result.error) return false;
+    }
+
+    this.messageBus.post({
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '↩️',
+      fromColor: '#6b7280',
+      to: 'all',
+      content: version.kind === 'draft'
+        ? `Script restored to draft ${id} (${version.label}, ${version.wordCount} words).`
+        : `[${version.section}] restored to ${id} (${version.wordCount} words, by ${version.author}).`,
+      type: 'info'
+    });
+    this.snapshotDraft(reason);
+    return true;
+  }
+
+  // Manual edit from the script panel; goes through the same path as agent writes
+  editSection(section, content, { action = 'update', reason = '' } = {}) {
+    const result = this.messageBus.updateScript(section, content, action, { author: 'user', reason: reason || 'Manual edit' });
+    if (result.error) return result;
+    if (action === 'delete') this.messageBus.setLocked(result.section.id, false);
+
+    const wordCount = Pacing.count(content, this.language);
+    const unit = Pacing.unitLabel(this.language);
+    this.messageBus.post({
+      from: 'user',
+      fromName: 'User',
+      fromEmoji: '👤',
+      fromColor: '#ffffff',
+      to: 'all',
+      content: action === 'delete'
+        ? `✏️ Deleted [${result.section.title}]`
+        : `✏️ Edited [${result.section.title}] by hand (${wordCount} ${unit}, script total ${this.getScriptWordCount()} ${unit})${reason ? ` - ${reason}` : ''}`,
+      type: 'info'
+    });
+    this.snapshotDraft('User edit');
+    return result;
+  }
+
+  // Store a structured review or fact report from a tool call
+  recordReport(agentId, kind, args) {
+    const severities = ['critical', 'major', 'minor'];
+    const verdicts = kind === 'review' ? ['APPROVED', 'NEEDS_REVISION'] : ['ACCURATE', 'NEEDS_CORRECTION'];
+    const verdict = String(args.verdict || '').toUpperCase().replace(/\s+/g, '_');
+    const score = value => Number.isFinite(Number(value)) ? Math.min(10, Math.max(0, Number(value))) : null;
+    const text = (value, max) => SecurityUtils.sanitizeInput(String(value ?? '')).substring(0, max);
+    const id = `R${this.reports.length + 1}`;
+
+    const scores = kind === 'review'
+      ? Object.fromEntries(Object.entries(args.scores || {})
+        .map(([name, value]) => [name, score(value)])
+        .filter(([, value]) => value !== null))
+      : { accuracy: score(args.accuracy_score) };
+
+    const report = {
+      id,
+      kind,
+      agent: agentId,
+      createdAt: new Date().toISOString(),
+      // Section versions that existed when the report was filed; later ones can close its issues
+      scriptVersion: this.messageBus.scriptVersions.length,
+      // Anything other than a clean pass is treated as a request for changes
+      verdict: verdicts.includes(verdict) ? verdict : verdicts[1],
+      scores,
+      summary: text(args.summary, 1000),
+      verifiedClaims: Array.isArray(args.verified_claims) ? args.verified_claims.slice(0, 50).map(claim => text(claim, 300)) : [],
+      issues: (Array.isArray(args.issues) ? args.issues : []).slice(0, 50).map((issue, index) => ({
+        id: `${id}.${index + 1}`,
+        section: text(issue?.section, 100),
+        quote: text(issue?.quote, 500),
+        severity: severities.includes(issue?.severity) ? issue.severity : 'major',
+        description: text(issue?.description, 1000),
+        fix: text(issue?.fix, 1000),
+        resolved: false
+      }))
+    };
+
+    this.reports.push(report);
+    return report;
+  }
+
+  // Issues from each reviewer's latest report that are not marked resolved and whose quote is still in the script
+  // An issue stays open until it is resolved, its section gets a newer version than the report,
+  // or the same reviewer files a newer report. Issues without a section only close the other two ways.
+  getOpenIssues() {
+    const latest = new Map();
+    for (const report of this.reports) {
+      latest.set(`${report.kind}:${report.agent}`, report);
+    }
+
+    const revisedSince = (report, issue) => {
+      if (!issue.section) return false;
+      return this.messageBus.getVersions(issue.section).some(version => report.scriptVersion !== undefined
+        ? Number(version.id.substring(1)) > report.scriptVersion
+        : version.timestamp > report.createdAt);
+    };
+
+    return [...latest.values()].flatMap(report => report.issues
+      .filter(issue => !issue.resolved && !revisedSince(report, issue))
+      .map(issue => ({ ...issue, reportId: report.id, kind: report.kind, agent: report.agent })));
+  }
+
+  resolveIssue(issueId) {
+    const issue = this.reports.flatMap(report => report.issues).find(candidate => candidate.id === issueId);
+    if (!issue) return false;
+    issue.resolved = true;
+    return true;
+  }
+
+  formatIssue(issue) {
+    return `- [${issue.severity}] ${issue.section || 'General'}${issue.quote ? `: "${issue.quote}"` : ''} - ${issue.description}` +
+      (issue.fix ? ` → ${issue.fix}` : '');
+  }
+
+  formatReport(report) {
+    const title = report.kind === 'review' ? '📋 REVIEW' : '📋 FACT REPORT';
+    const scores = Object.entries(report.scores)
+      .filter(([, value]) => value !== null)
+      .map(([name, value]) => `${name.replace(/_/g, ' ')} ${value}/10`)
+      .join(', ');
+
+    return `${title} ${report.id}: ${report.verdict}` +
+      (scores ? `\n📊 ${scores}` : '') +
+      (report.summary ? `\n${report.summary}` : '') +
+      (report.verifiedClaims.length > 0 ? `\n✓ Verified: ${report.verifiedClaims.length} claim(s)` : '') +
+      (report.issues.length > 0 ? `\n\n⚠️ Issues:\n${report.issues.map(issue => this.formatIssue(issue)).join('\n')}` : '');
+  }
+
+  async triggerAgent(agentId, contextMessage, fromAgentId) {
+    this.syncAgents();
+    const agent = this.agents[agentId];
+    const recentMessages = this.messageBus.getHistory(10);
+    const stage = this.currentStage();
+
+    this.dispatchDepth++;
+    try {
+      const response = await agent.think(
+        `@${fromAgentId} sent you a message: "${contextMessage}"
+
+Topic: ${this.topic}
+Current phase: ${this.currentPhase}
+${this.getTargetInfo()}
+${stage?.agent === agentId ? `\n${this.renderStageInstructions(stage)}\n` : ''}
+Complete your task thoroughly and share results with the team.
+After completing your task, report back to @${fromAgentId}.`,
+        recentMessages
+      );
+
+      await this.processAgentResponse(agentId, response);
+    } finally {
+      this.dispatchDepth--;
+    }
+  }
+
+  // Attach extracted text as a project document and register it as a citable source
+  addDocument({ name, kind, type, text, url = null, title = null }) {
+    const clean = DocumentUtils.clean(text);
+    if (!DocumentUtils.isReadable(clean)) {
+      return { error: `No readable text found in "${name}"${type === 'pdf' ? ' (scanned or image-only PDFs are not supported - paste the text instead)' : ''}` };
+    }
+
+    const number = Math.max(0, ...this.documents.map(document => parseInt(document.id.slice(3), 10))) + 1;
+    const id = `DOC${number}`;
+    const displayTitle = String(title || name).replace(/\s+/g, ' ').trim().substring(0, 200);
+    const source = this.sources.add(
+      { url, title: displayTitle, snippet: clean.substring(0, 300), documentId: id },
+      { agent: 'user', query: `${kind} attachment` }
+    );
+
+    const document = {
+      id,
+      name,
+      title: displayTitle,
+      kind,
+      type,
+      url,
+      sourceId: source?.id ?? null,
+      wordCount: clean.split(/\s+/).length,
+      addedAt: new Date().toISOString(),
+      chunks: DocumentUtils.chunk(clean)
+    };
+    this.documents.push(document);
+
+    this.messageBus.post({
+      from: 'user',
+      fromName: 'User',
+      fromEmoji: '👤',
+      fromColor: '#ffffff',
+      to: 'all',
+      content: `📎 Attached "${document.title}" (${document.kind}, ${document.wordCount} words) as [${document.sourceId}]. Search it with search_project_sources.`,
+      type: 'info'
+    });
+    return { document };
+  }
+
+  removeDocument(id) {
+    const before = this.documents.length;
+    this.documents = this.documents.filter(document => document.id !== id);
+    return this.documents.length < before;
+  }
+
+  listDocuments() {
+    return this.documents.map(({ chunks, ...document }) => ({ ...document, chunkCount: chunks.length }));
+  }
+
+  // What this project contributes to the retrieval index, without serializing the whole session
+  retrievalSnapshot() {
+    return {
+      sessionId: this.sessionId,
+      topic: this.topic,
+      updatedAt: this.updatedAt,
+      createdAt: this.createdAt,
+      documents: this.documents,
+      sources: this.sources.toJSON(),
+      finalScript: this.finalScript,
+      sections: this.messageBus.getSections()
+    };
+  }
+
+  // Current passages indexed; the live project is refreshed first so unsaved attachments are found
+  async getIndex() {
+    const index = await getRetrievalIndex();
+    index.indexProject(this.retrievalSnapshot());
+    return index;
+  }
+
+  // BM25-ranked passages from this project's attached documents
+  async searchDocuments(query, limit = 5) {
+    const index = await this.getIndex();
+    return index.search(query, {
+      limit,
+      filter: passage => passage.projectId === this.sessionId && passage.kind === 'document'
+    });
+  }
+
+  // BM25-ranked passages from every project; each result gets a source ID in this project's registry
+  async searchLibrary(query, { kind = null, limit = 5, agentId = 'researcher' } = {}) {
+    const index = await this.getIndex();
+    const results = index.search(query, {
+      limit,
+      // This project's own final script is not prior content
+      filter: passage => (!kind || passage.kind === kind) && !(passage.kind === 'script' && passage.projectId === this.sessionId)
+    });
+
+    return results.map(result => {
+      let source = null;
+      if (result.projectId === this.sessionId && result.sourceId) {
+        source = this.sources.get(result.sourceId);
+      } else if (result.url) {
+        source = this.sources.add({ url: result.url, title: result.title, snippet: result.text.substring(0, 300) }, { agent: agentId, query });
+      } else {
+        const origin = result.kind === 'script' ? 'earlier episode' : `from "${result.topic}"`;
+        source = this.sources.add({
+          title: `${result.title} (${origin})`,
+          snippet: result.text.substring(0, 300),
+          reference: `${result.projectId}/${result.documentId || result.key.split(':').slice(1).join(':')}`
+        }, { agent: agentId, query });
+      }
+      return { ...result, sourceId: source?.id ?? null, currentProject: result.projectId === this.sessionId };
+    });
+  }
+
+  // Run a search and register every source it returned; `sources` are the registry entries
+  async performWebSearch(query, numResults = 5, agentId = 'researcher') {
+    const { text, citations = [] } = await this.provider.webSearch(query, numResults, { language: this.researchLanguage || this.language });
+    const sources = [...SourceRegistry.parseResults(text), ...citations]
+      .map(result => this.sources.add(result, { agent: agentId, query }))
+      .filter(Boolean);
+    return { text, sources: [...new Set(sources)] };
+  }
+
+  // Split cleaned narration into TTS-sized chunks on sentence boundaries
+  splitForTTS(text, maxChunkLength = 4000) {
+    const chunks = [];
+    let currentChunk = '';
+
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    for (const sentence of sentences) {
+      if ((currentChunk + sentence).length > maxChunkLength) {
+        if (currentChunk) chunks.push(currentChunk.trim());
+        currentChunk = sentence;
+      } else {
+        currentChunk += ' ' + sentence;
+      }
+    }
+    if (currentChunk.trim()) chunks.push(currentChunk.trim());
+
+    return chunks;
+  }
+
+  // Run ElevenLabs TTS for each chunk of the text; throws if any chunk fails
+  async synthesizeSpeech(text, voiceStyle = this.pace().voiceStyle, label = 'audio', language = this.language) {
+    const voiceMap = {
+      documentary: 'NOpBlnGInO9m6vDvFkFC',
+      energetic: 'pNInz6obpgDQGcFmaJgB',
+      calm: 'EXAVITQu4vr4xnSDxMaL',
+      dramatic: 'VR6AewLTigWG4xSOukaG',
+      conversational: 'ThT5KcBeYPX3keUQqHPh'
+    };
+
+    const voiceId = this.channel?.voiceId || voiceMap[voiceStyle] || voiceMap.documentary;
+    const settings = VOICE_STYLES[voiceStyle] || VOICE_STYLES[DEFAULT_VOICE_STYLE];
+
+    const chunks = this.splitForTTS(text);
+    const audioUrls = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+
+      this.messageBus.setThinking('voiceover', true, `Generating ${label}... (${i + 1}/${chunks.length})`);
+
+      const result = await this.ttsProvider.synthesize(chunk, { voiceStyle, voiceId, settings, language });
+
+      if (!result?.url && !result?.buffer) {
+        throw new Error(`Audio chunk ${i + 1} of ${chunks.length} was not generated`);
+      }
+
+      // Providers that return raw audio are stored locally and served like section clips
+      let source = { url: result.url };
+      if (result.buffer) {
+        const file = `chunk-${crypto.createHash('sha256').update(result.buffer).digest('hex').substring(0, 16)}.mp3`;
+        const dir = join(AUDIO_DIR, this.sessionId);
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(join(dir, file), result.buffer);
+        source = { file, url: this.audioUrl(file) };
+      }
+
+      audioUrls.push({
+        ...source,
+        duration: result.duration,
+        contentType: result.contentType,
+        text: chunk,
+        words: result.timestamps || null
+      });
+    }
+
+    this.messageBus.setThinking('voiceover', false);
+
+    if (audioUrls.length === 0) {
+      throw new Error('Could not generate audio file');
+    }
+
+    return audioUrls;
+  }
+
+  // Public URL for a file in this project's audio directory
+  audioUrl(fileName) {
+    const clip = fileName === 'voiceover.mp3' ? '' : `/${fileName.replace(/\.mp3$/, '')}`;
+    // Version query keeps browsers from replaying a cached earlier render
+    return `/api/project/${this.sessionId}/audio${clip}?v=${Date.now()}`;
+  }
+
+  // Join remote chunks ({ url }) or local clips ({ file }) into one MP3 under AUDIO_DIR/<sessionId>
+  async stitchAudio(sources, fileName, gapSeconds = VOICEOVER_CHUNK_GAP) {
+    const dir = join(AUDIO_DIR, this.sessionId);
+
+    const buffers = [];
+    for (const source of sources) {
+      buffers.push(source.file
+        ? await fs.readFile(join(dir, source.file))
+        : await AudioUtils.download(source.url));
+    }
+
+    const { buffer, duration, segments } = AudioUtils.concatMp3(buffers, { gapSeconds });
+    if (buffer.length === 0) {
+      throw new Error('Downloaded audio contained no MP3 frames');
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(join(dir, fileName), buffer);
+
+    return { duration, segments };
+  }
+
+  // Single-pass voiceover for free text (used when the script has no sections, and for localized scripts)
+  async generateVoiceover(text, voiceStyle = this.pace().voiceStyle, gapSeconds = VOICEOVER_CHUNK_GAP, { fileName = 'voiceover.mp3', language = this.language } = {}) {
+    try {
+      const chunks = await this.synthesizeSpeech(text, voiceStyle, 'audio', language);
+
+      this.messageBus.setThinking('voiceover', true, 'Stitching audio chunks...');
+      const { duration, segments } = await this.stitchAudio(chunks, fileName, gapSeconds);
+      this.messageBus.setThinking('voiceover', false);
+
+      const timed = chunks.map((chunk, index) => ({
+        ...chunk,
+        index,
+        start: segments[index].start,
+        duration: segments[index].duration || chunk.duration
+      }));
+      await this.calibratePacing({ ...this.pace(language), voiceStyle }, timed);
+
+      return {
+        success: true,
+        url: this.audioUrl(fileName),
+        duration,
+        contentType: 'audio/mpeg',
+        gapSeconds,
+        chunks: timed
+      };
+
+    } catch (error) {
+      this.messageBus.setThinking('voiceover', false);
+      console.error('Voiceover generation error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Covers everything that changes how a clip sounds: text, style, channel voice, TTS voice and language
+  hashSectionAudio(cleanText, voiceStyle) {
+    const { voiceId, language } = this.pace();
+    const voice = [voiceStyle, voiceId || '', TTS_PROVIDER, TTS_PROVIDER === 'openai' ? `${TTS_MODEL}/${TTS_VOICE}` : '', language].join('|');
+    return crypto.createHash('sha256').update(`${voice}\n${cleanText}`).digest('hex').substring(0, 16);
+  }
+
+  // Cleaned narration and content hash for every script section, in script order.
+  // Audio is keyed by section id so renaming a section keeps its clip.
+  getVoiceoverSections(voiceStyle) {
+    return this.messageBus.getSections()
+      .map(({ id, title, narration }) => {
+        const { cleanText } = QualityControl.validateVoiceoverText(narration || '');
+        return { section: id, title, cleanText, hash: this.hashSectionAudio(cleanText, voiceStyle) };
+      })
+      .filter(entry => entry.cleanText);
+  }
+
+  async renderSectionAudio({ section, title, cleanText, hash }, voiceStyle) {
+    const chunks = await this.synthesizeSpeech(cleanText, voiceStyle, `"${title}" audio`);
+    const file = `section-${hash}.mp3`;
+    const { duration, segments } = await this.stitchAudio(chunks, file);
+    const timed = chunks.map((chunk, index) => ({ ...chunk, index, start: segments[index].start, duration: segments[index].duration }));
+    await this.calibratePacing({ ...this.pace(), voiceStyle }, timed);
+
+    const previous = this.sectionAudio[section];
+    this.sectionAudio[section] = {
+      hash,
+      voiceStyle,
+      file,
+      url: this.audioUrl(file),
+      duration,
+      chunks: timed,
+      createdAt: new Date().toISOString()
     };
-    this.messages.push(fullMessage);
-    this.emit('message', fullMessage);
-    return fullMessage;
+
+    // Drop the superseded clip (and any locally stored chunks) unless another section still uses it
+    const stillUsed = Object.values(this.sectionAudio).some(clip => clip.file === previous?.file);
+    if (previous && !stillUsed) {
+      const files = [previous.file, ...(previous.chunks || []).map(chunk => chunk.file).filter(Boolean)];
+      for (const oldFile of files) {
+        await fs.rm(join(AUDIO_DIR, this.sessionId, oldFile), { force: true });
+      }
+    }
+  }
+
+  // Render sections whose narration changed since their last render, then assemble the full voiceover.
+  // With `only`, just that section is (re)rendered; other sections reuse their existing clips.
+  async generateSectionVoiceover(voiceStyle = this.pace().voiceStyle, { only = null, gapSeconds = VOICEOVER_CHUNK_GAP } = {}) {
+    try {
+      const sections = this.getVoiceoverSections(voiceStyle);
+      if (sections.length === 0) {
+        return { success: false, error: 'Script has no narration to voice' };
+      }
+      if (only && !sections.some(entry => entry.section === only)) {
+        return { success: false, error: `Section "${only}" not found in script` };
+      }
+
+      const rendered = [];
+      for (const entry of sections) {
+        const existing = this.sectionAudio[entry.section];
+        const hasClip = existing && await fs.access(join(AUDIO_DIR, this.sessionId, existing.file)).then(() => true, () => false);
+
+        const needsRender = only
+          ? entry.section === only || !hasClip
+          : !hasClip || existing.hash !== entry.hash;
+
+        if (needsRender) {
+          await this.renderSectionAudio(entry, voiceStyle);
+          rendered.push(entry.section);
+        }
+      }
+
+      this.messageBus.setThinking('voiceover', true, 'Assembling sections...');
+      const clips = sections.map(entry => ({ section: entry.section, title: entry.title, ...this.sectionAudio[entry.section] }));
+      const { duration, segments } = await this.stitchAudio(clips, 'voiceover.mp3', gapSeconds);
+      this.messageBus.setThinking('voiceover', false);
+
+      return {
+        success: true,
+        url: this.audioUrl('voiceover.mp3'),
+        duration,
+        contentType: 'audio/mpeg',
+        gapSeconds,
+        renderedSections: rendered,
+        chunks: clips.map((clip, index) => ({
+          section: clip.section,
+          title: clip.title,
+          url: clip.url,
+          index,
+          start: segments[index].start,
+          duration: segments[index].duration
+        }))
+      };
+
+    } catch (error) {
+      this.messageBus.setThinking('voiceover', false);
+      console.error('Section voiceover error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Word timings across the stitched voiceover: TTS timing data where present, estimated otherwise.
+  // With `language`, the localized voiceover for that language.
+  getCaptionWords(language = null) {
+    const voiceover = language ? this.localizations[language]?.voiceover : this.voiceover;
+    if (!voiceover) return [];
+
+    const chunkWords = (chunk, offset) => {
+      const words = chunk.words || CaptionUtils.estimateWordTimings(chunk.text, chunk.duration, language || this.language);
+      return words
+        .filter(({ word }) => /[\p{L}\p{N}]/u.test(word))
+        .map(({ word, start, end, joined }) => ({ word, start: offset + start, end: offset + end, ...(joined ? { joined } : {}) }));
+    };
+
+    return voiceover.chunks.flatMap(chunk => {
+      // Section clips hold their own TTS chunks, offset by where the section sits in the full file
+      if (chunk.section) {
+        const clip = this.sectionAudio[chunk.section];
+        return (clip?.chunks || []).flatMap(inner => chunkWords(inner, chunk.start + inner.start));
+      }
+      return chunkWords(chunk, chunk.start || 0);
+    });
+  }
+
+  getCaptions(format = 'srt', language = null) {
+    const cues = CaptionUtils.buildCues(this.getCaptionWords(language), CaptionUtils.cueOptions(language || this.language));
+    return format === 'vtt' ? CaptionUtils.toVtt(cues) : CaptionUtils.toSrt(cues);
+  }
+
+  // Editor shot list from the cue track, timed from narration word offsets
+  getShotList(format = 'json') {
+    const rows = CueParser.buildShotList(this.messageBus.getSections(), this.pace());
+    return format === 'csv' ? CueParser.toCsv(rows) : rows;
+  }
+
+  // Render one concept with the image provider. `variantOf` links a regeneration to the first
+  // image of its concept; each render gets a fresh seed.
+  async renderThumbnail(concept, { variantOf = null } = {}) {
+    if (this.thumbnails.length >= MAX_THUMBNAILS) {
+      throw new Error(`Thumbnail limit reached (${MAX_THUMBNAILS} per project)`);
+    }
+    const prompt = Thumbnails.prompt(concept, this.topic);
+    const image = await this.imageProvider.generate(prompt, { ...THUMBNAIL_SIZE, seed: crypto.randomInt(2 ** 31), concept });
+    if (!image?.url) throw new Error('The image model returned no image');
+
+    const thumbnail = {
+      id: `T${this.thumbnails.length + 1}`,
+      concept,
+      prompt,
+      url: image.url,
+      width: image.width,
+      height: image.height,
+      contentType: image.contentType,
+      seed: image.seed ?? null,
+      model: IMAGE_PROVIDER === 'fal' ? IMAGE_MODEL : IMAGE_PROVIDER,
+      variantOf,
+      selected: false,
+      createdAt: new Date().toISOString()
+    };
+    this.thumbnails.push(thumbnail);
+    return thumbnail;
+  }
+
+  async regenerateThumbnail(id) {
+    const original = this.thumbnails.find(thumbnail => thumbnail.id === id);
+    if (!original) return null;
+    return this.renderThumbnail(original.concept, { variantOf: original.variantOf || original.id });
+  }
+
+  selectThumbnail(id) {
+    const chosen = this.thumbnails.find(thumbnail => thumbnail.id === id);
+    if (!chosen) return null;
+    for (const thumbnail of this.thumbnails) thumbnail.selected = thumbnail === chosen;
+    return chosen;
+  }
+
+  // Metadata with chapters and the full description built against the current script, so they
+  // follow later edits and the pacing model
+  buildMetadata(metadata) {
+    const sections = this.messageBus.getSections();
+    return YouTubeMetadata.build(metadata, sections, this.pace(), this.sources.descriptionBlock(sections));
+  }
+
+  getMetadata() {
+    return this.metadata ? this.buildMetadata(this.metadata) : null;
+  }
+
+  formatMetadata(metadata) {
+    const lines = ['📦 YOUTUBE METADATA', '', 'Titles:'];
+    lines.push(...metadata.titles.map(entry =>
+      `${entry.rank}. ${entry.title} (${entry.characters} chars${entry.ctr ? `, ${entry.ctr} CTR` : ''})`));
+    if (metadata.chapters.length >= YOUTUBE_LIMITS.chapters) {
+      lines.push('', 'Chapters:', ...metadata.chapters.map(chapter => `${chapter.timestamp} ${chapter.title}`));
+    }
+    lines.push('',
+      `📝 Description: ${metadata.fullDescription.length}/${YOUTUBE_LIMITS.description} characters`,
+      `🏷️ Tags: ${metadata.tags.length} (${metadata.tagsLength}/${YOUTUBE_LIMITS.tags} characters)`,
+      `#️⃣ Hashtags: ${metadata.hashtags.join(' ') || 'none'}`);
+    if (metadata.pinnedComment) lines.push(`📌 Pinned comment: ${metadata.pinnedComment}`);
+    if (metadata.validation.warnings.length > 0) {
+      lines.push('', `⚠️ ${metadata.validation.warnings.join('\n⚠️ ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Everything a deliverable needs: script metadata, timed sections with cues, sources and audio links.
+  // With `language`, the localized script and voiceover for that language.
+  getExportBundle({ language = null } = {}) {
+    const localization = language ? this.localizations[language] : null;
+    const pace = localization
+      ? { ...this.pace(language), voiceStyle: localization.voiceover?.voiceStyle || this.pace(language).voiceStyle }
+      : this.pace();
+    const voiceover = localization ? localization.voiceover : this.voiceover;
+    const query = localization ? `&language=${language}` : '';
+    let wordTotal = 0;
+    let elapsed = 0;
+    const sections = (localization ? localization.sections : this.messageBus.getSections()).map(section => {
+      const wordCount = Pacing.count(section.narration, pace.language);
+      const start = CueParser.formatTimecode(elapsed);
+      wordTotal += wordCount;
+      elapsed += Pacing.seconds(section.narration, pace);
+      return { ...structuredClone(section), wordCount, start, end: CueParser.formatTimecode(elapsed) };
+    });
+
+    return {
+      title: localization?.title || this.finalScript?.title || this.topic || 'Untitled script',
+      description: localization ? localization.description : this.finalScript?.description || '',
+      topic: this.topic,
+      language: localization ? language : this.language,
+      final: !!this.finalScript,
+      wordCount: wordTotal,
+      durationEstimate: localization?.durationEstimate || this.finalScript?.duration_estimate || DurationParser.approximate(Math.round(elapsed / 60 * 10) / 10),
+      targetDuration: this.targetDuration,
+      exportedAt: new Date().toISOString(),
+      sections,
+      shotList: CueParser.buildShotList(sections, pace),
+      sources: this.sources.list(sections),
+      bibliography: this.sources.bibliography(sections),
+      descriptionSources: this.sources.descriptionBlock(sections),
+      // Titles and description are written in the project language, so localized bundles go without
+      metadata: localization ? null : this.getMetadata(),
+      thumbnail: this.thumbnails.find(thumbnail => thumbnail.selected) || null,
+      audio: voiceover ? {
+        url: voiceover.url,
+        duration: voiceover.duration,
+        captions: {
+          srt: `/api/project/${this.sessionId}/captions?format=srt${query}`,
+          vtt: `/api/project/${this.sessionId}/captions?format=vtt${query}`
+        },
+        sections: localization ? {} : Object.fromEntries(Object.entries(this.sectionAudio).map(([section, clip]) => [section, clip.url]))
+      } : null
+    };
+  }
+
+  // Fingerprint of the script's narration and cues, to tell when a localization falls behind
+  hashSections() {
+    const content = this.messageBus.getSections().map(({ title, narration, cues, citations }) => ({ title, narration, cues, citations }));
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').substring(0, 16);
+  }
+
+  // Adapt the finalized script into each language and, with `voiceover`, voice it.
+  // Each language is independent: one failing doesn't stop the others.
+  async localize(languages, { voiceover = true, voiceStyle = null } = {}) {
+    // A style the caller asks for wins over the channel's and the original voiceover's
+    const style = voiceStyle || this.pace().voiceStyle;
+    const localized = [];
+    const errors = [];
+
+    for (const code of languages) {
+      try {
+        await this.localizeScript(code, style);
+        localized.push(code);
+        if (voiceover) await this.localizeVoiceover(code, style);
+      } catch (error) {
+        console.error(`Localization error (${code}):`, error);
+        errors.push({ language: code, error: error.message });
+      }
+    }
+    return { localized, errors };
+  }
+
+  // Section by section, so the structure, cue positions and citations carry over; cues and
+  // citations travel inline as tags and are parsed back out of the adapted text
+  async localizeScript(code, voiceStyle = this.pace().voiceStyle) {
+    const language = Languages.get(code);
+    const pace = { ...this.pace(code), voiceStyle };
+    const sections = [];
+
+    try {
+      for (const section of this.messageBus.getSections()) {
+        this.messageBus.setThinking('writer', true, `Localizing "${section.title}" into ${language.name}...`);
+        const adapted = await this.adaptText(ScriptModel.toTaggedText(section), code, 'narration');
+        sections.push({
+          ...structuredClone(section),
+          ...ScriptModel.parseTagged(adapted),
+          targetWords: section.targetWords
+            ? Math.round(section.targetWords * Pacing.rate(pace) / Pacing.rate({ ...this.pace(), voiceStyle }))
+            : null
+        });
+      }
+      this.messageBus.setThinking('writer', true, `Localizing title and description into ${language.name}...`);
+      const title = await this.adaptText(this.finalScript.title, code, 'title');
+      const description = this.finalScript.description ? await this.adaptText(this.finalScript.description, code, 'description') : '';
+      this.messageBus.setThinking('writer', false);
+
+      const script = sections.map(section => section.narration).join('\n\n');
+      const range = this.targetDuration ? Pacing.targetRange(this.targetDuration, pace) : { min: 0, max: 0 };
+      const validation = QualityControl.validateScript(script, range, { pace });
+
+      this.localizations[code] = {
+        language: code,
+        title: SecurityUtils.sanitizeInput(title),
+        description: SecurityUtils.sanitizeInput(description),
+        sections,
+        wordCount: validation.wordCount,
+        durationEstimate: DurationParser.approximate(validation.estimatedDuration),
+        warnings: [...validation.issues, ...validation.warnings],
+        sourceHash: this.hashSections(),
+        voiceover: null,
+        createdAt: new Date().toISOString()
+      };
+    } catch (error) {
+      this.messageBus.setThinking('writer', false);
+      throw error;
+    }
+
+    const localization = this.localizations[code];
+    this.messageBus.post({
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '🌐',
+      fromColor: '#22c55e',
+      to: 'all',
+      content: `Script localized into ${language.name}: "${localization.title}"\n📝 ${sections.length} sections, ${localization.wordCount} ${Pacing.unitLabel(code)} (${localization.durationEstimate})` +
+        (localization.warnings.length > 0 ? `\n⚠️ ${localization.warnings.join('\n⚠️ ')}` : ''),
+      type: 'result'
+    });
+    return localization;
+  }
+
+  // One translation call; the reply is the adapted text only
+  async adaptText(text, code, kind) {
+    const source = Languages.get(this.language);
+    const target = Languages.get(code);
+    const completion = await this.provider.createChatCompletion({
+      agentId: 'localizer',
+      model: AGENT_MODEL,
+      messages: [
+        {
+          role: 'system',
+          content: `You localize YouTube video ${kind} from ${source.name} into ${target.name} (${target.nativeName}). Write it the way a native ${target.name} narrator would say it: idiomatic rather than word-for-word, with the same meaning and tone and about the same length when spoken.
+Keep every bracketed tag where it falls in the text. Leave [PAUSE] and source citations like [S1] unchanged. Keep cue tag names such as VISUAL, MUSIC and B-ROLL in English and translate only the description after the colon.
+Reply with the localized ${kind} only.
+${this.describeChannel()}`
+        },
+        { role: 'user', content: text }
+      ],
+      temperature: 0.3
+    });
+
+    const adapted = completion.choices[0]?.message?.content?.trim();
+    if (!adapted) throw new Error(`No ${target.name} ${kind} returned`);
+    return adapted;
+  }
+
+  // Full voiceover of a localized script, stored next to the original as voiceover-<code>.mp3
+  async localizeVoiceover(code, voiceStyle) {
+    const localization = this.localizations[code];
+    const language = Languages.get(code);
+    const validation = QualityControl.validateVoiceoverText(
+      localization.sections.map(section => QualityControl.validateVoiceoverText(section.narration).cleanText).filter(Boolean).join('\n\n'),
+      { pace: { ...this.pace(code), voiceStyle } }
+    );
+    if (!validation.valid) {
+      throw new Error(`${language.name} voiceover text validation failed: ${validation.issues.join('; ')}`);
+    }
+
+    const result = await this.generateVoiceover(validation.cleanText, voiceStyle, VOICEOVER_CHUNK_GAP, { fileName: `voiceover-${code}.mp3`, language: code });
+    const audioValidation = QualityControl.validateAudioResult(result);
+    if (!audioValidation.valid) {
+      throw new Error(`${language.name} voiceover failed: ${audioValidation.issues.join('; ')}`);
+    }
+
+    localization.voiceover = {
+      url: result.url,
+      duration: result.duration,
+      contentType: result.contentType,
+      gapSeconds: result.gapSeconds,
+      chunks: result.chunks,
+      voiceStyle,
+      createdAt: new Date().toISOString()
+    };
+
+    this.messageBus.post({
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '🎙️',
+      fromColor: '#10b981',
+      to: 'all',
+      content: `${language.name} voiceover generated!\n\n🎙️ Duration: ${Math.round(result.duration)}s\n📝 Word count: ${validation.wordCount}\n⏱️ Estimated: ~${validation.estimatedDuration} min\n📁 Format: MP3`,
+      type: 'result',
+      audioFile: {
+        url: result.url,
+        duration: result.duration,
+        contentType: result.contentType,
+        chunks: result.chunks,
+        language: code
+      }
+    });
+  }
+
+  // Localizations without their sections (those come through the export), flagged stale when
+  // the script changed after they were made
+  getLocalizationState() {
+    const current = this.hashSections();
+    return Object.fromEntries(Object.entries(this.localizations).map(([code, localization]) => [code, {
+      language: code,
+      name: Languages.get(code).name,
+      title: localization.title,
+      wordCount: localization.wordCount,
+      durationEstimate: localization.durationEstimate,
+      warnings: localization.warnings,
+      voiceover: localization.voiceover ? { url: localization.voiceover.url, duration: localization.voiceover.duration } : null,
+      createdAt: localization.createdAt,
+      stale: localization.sourceHash !== current
+    }]));
+  }
+
+  // Per-section audio with a stale flag for sections edited since their last render
+  getSectionAudioState() {
+    const sections = this.messageBus.getSections();
+    return Object.fromEntries(Object.entries(this.sectionAudio).map(([section, clip]) => {
+      const content = sections.find(candidate => candidate.id === section)?.narration;
+      const currentHash = content === undefined
+        ? null
+        : this.hashSectionAudio(QualityControl.validateVoiceoverText(content).cleanText, clip.voiceStyle);
+      return [section, {
+        url: clip.url,
+        duration: clip.duration,
+        voiceStyle: clip.voiceStyle,
+        createdAt: clip.createdAt,
+        stale: currentHash !== clip.hash
+      }];
+    }));
+  }
+
+  getState() {
+    return {
+      sessionId: this.sessionId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      archived: this.archived,
+      isRunning: this.isRunning,
+      currentPhase: this.currentPhase,
+      topic: this.topic,
+      waitingForUser: this.waitingForUser,
+      pendingQuestion: this.pendingQuestion,
+      workflow: this.getWorkflowState(),
+      reports: this.reports,
+      openIssues: this.getOpenIssues(),
+      sections: this.messageBus.getSections(),
+      sources: this.sources.list(this.messageBus.getSections()),
+      documents: this.listDocuments(),
+      channel: this.channel,
+      template: { id: this.template.id, name: this.template.name, budgets: this.getSectionBudgets() },
+      language: { ...Languages.get(this.language), researchLanguage: this.researchLanguage },
+      pacing: Pacing.describe(this.pace()),
+      target: this.targetDuration
+        ? { duration: this.targetDuration, ...this.targetWordCount, unit: Pacing.unitLabel(this.language) }
+        : null,
+      localizations: this.getLocalizationState(),
+      metadata: this.getMetadata(),
+      thumbnails: this.thumbnails,
+      script: this.messageBus.getScript(),
+      scriptMeta: {
+        userEdited: this.messageBus.getUserEditedSections(),
+        locked: this.messageBus.lockedSections
+      },
+      history: this.getHistory(),
+      voiceover: this.voiceover,
+      sectionAudio: this.getSectionAudioState(),
+      messages: this.messageBus.getHistory(),
+      agents: Object.keys(this.agents).map(id => ({
+        id,
+        ...AGENT_PROFILES[id]
+      }))
+    };
+  }
+
+  reset() {
+    this.messageBus.clear();
+    this.isRunning = false;
+    this.currentPhase = 'idle';
+    this.topic = null;
+    this.waitingForUser = false;
+    this.pendingQuestion = null;
+    this.userPreferences = {};
+    this.finalScript = null;
+    this.currentIteration = 0;
+    this.archived = false;
+    this.duplicatedFrom = null;
+    this.voiceover = null;
+    this.sectionAudio = {};
+
+    // Reset duration tracking
+    this.targetDuration = null;
+    this.targetWordCount = { min: 0, max: 0 };
+
+    this.workflowId = DEFAULT_WORKFLOW.id;
+    this.workflowState = null;
+    this.userNote = '';
+    this.reports = [];
+    this.drafts = [];
+    this.sources = new SourceRegistry();
+    this.documents = [];
+    this.channel = null;
+    this.templateId = DEFAULT_TEMPLATE_ID;
+    this.language = DEFAULT_LANGUAGE;
+    this.researchLanguage = null;
+    this.localizations = {};
+    this.metadata = null;
+    this.thumbnails = [];
+
+    for (const agent of Object.values(this.agents)) {
+      agent.conversationHistory = [];
+    }
+  }
+
+  // Serializable engine state for the session store (API key is never persisted)
+  toJSON() {
+    return {
+      version: 1,
+      sessionId: this.sessionId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      isRunning: this.isRunning,
+      currentPhase: this.currentPhase,
+      topic: this.topic,
+      waitingForUser: this.waitingForUser,
+      pendingQuestion: this.pendingQuestion,
+      userPreferences: this.userPreferences,
+      finalScript: this.finalScript,
+      currentIteration: this.currentIteration,
+      targetDuration: this.targetDuration,
+      targetWordCount: this.targetWordCount,
+      workflowId: this.workflowId,
+      workflowState: this.workflowState,
+      userNote: this.userNote,
+      reports: this.reports,
+      drafts: this.drafts,
+      sources: this.sources.toJSON(),
+      documents: this.documents,
+      channel: this.channel,
+      templateId: this.templateId,
+      language: this.language,
+      researchLanguage: this.researchLanguage,
+      localizations: this.localizations,
+      metadata: this.metadata,
+      thumbnails: this.thumbnails,
+      archived: this.archived,
+      duplicatedFrom: this.duplicatedFrom,
+      voiceover: this.voiceover,
+      sectionAudio: this.sectionAudio,
+      agents: Object.fromEntries(
+        Object.entries(this.agents).map(([id, agent]) => [id, { conversationHistory: agent.conversationHistory }])
+      ),
+      messageBus: this.messageBus.toJSON()
+    };
+  }
+
+  restore(data) {
+    this.sessionId = data.sessionId || this.sessionId;
+    this.createdAt = data.createdAt || this.createdAt;
+    this.updatedAt = data.updatedAt || this.updatedAt;
+    this.isRunning = !!data.isRunning;
+    this.currentPhase = data.currentPhase || 'idle';
+    this.topic = data.topic || null;
+    this.waitingForUser = !!data.waitingForUser;
+    // Projects saved before the question was cleared on answer still carry it
+    this.pendingQuestion = this.waitingForUser ? data.pendingQuestion || null : null;
+    this.userPreferences = data.userPreferences || {};
+    this.finalScript = data.finalScript || null;
+    this.currentIteration = data.currentIteration || 0;
+    this.targetDuration = data.targetDuration || null;
+    this.targetWordCount = data.targetWordCount || { min: 0, max: 0 };
+    this.workflowId = data.workflowId || DEFAULT_WORKFLOW.id;
+    this.workflowState = data.workflowState || null;
+    this.userNote = data.userNote || '';
+    this.reports = Array.isArray(data.reports) ? data.reports : [];
+    this.drafts = Array.isArray(data.drafts) ? data.drafts : [];
+    this.sources.restore(data.sources);
+    this.documents = Array.isArray(data.documents) ? data.documents : [];
+    this.channel = data.channel || null;
+    this.templateId = data.templateId || DEFAULT_TEMPLATE_ID;
+    this.language = data.language || DEFAULT_LANGUAGE;
+    this.researchLanguage = data.researchLanguage || null;
+    this.localizations = data.localizations || {};
+    this.metadata = data.metadata || null;
+    this.thumbnails = data.thumbnails || [];
+    this.archived = !!data.archived;
+    this.duplicatedFrom = data.duplicatedFrom || null;
+    this.voiceover = data.voiceover || null;
+    this.sectionAudio = data.sectionAudio || {};
+
+    for (const [id, agentState] of Object.entries(data.agents || {})) {
+      if (this.agents[id] && Array.isArray(agentState.conversationHistory)) {
+        this.agents[id].conversationHistory = agentState.conversationHistory;
+      }
+    }
+
+    this.messageBus.restore(data.messageBus);
+
+    // Older sessions keyed section audio by title rather than section id
+    this.sectionAudio = Object.fromEntries(Object.entries(this.sectionAudio).map(([key, clip]) => [this.messageBus.findSection(key)?.id ?? key, clip]));
+    for (const chunk of this.voiceover?.chunks || []) {
+      if (chunk.section) chunk.section = this.messageBus.findSection(chunk.section)?.id ?? chunk.section;
+    }
+    return this;
+  }
+
+  // Library listing entry computed from serialized state (no engine needed)
+  static summarize(state) {
+    const narration = state.messageBus?.sections
+      ? state.messageBus.sections.map(section => section.narration)
+      : Object.values(state.messageBus?.script || {});
+    const scriptWordCount = narration.reduce((sum, text) => sum + Pacing.count(text, state.language), 0);
+
+    return {
+      id: state.sessionId,
+      topic: state.topic,
+      title: state.finalScript?.title || state.metadata?.titles?.[0]?.title || null,
+      phase: state.currentPhase,
+      wordCount: state.finalScript?.wordCount || scriptWordCount,
+      sectionCount: narration.length,
+      hasFinalScript: !!state.finalScript,
+      channel: state.channel?.name || null,
+      template: state.templateId || DEFAULT_TEMPLATE_ID,
+      language: state.language || DEFAULT_LANGUAGE,
+      localizations: Object.keys(state.localizations || {}),
+      archived: !!state.archived,
+      duplicatedFrom: state.duplicatedFrom || null,
+      createdAt: state.createdAt,
+      updatedAt: state.updatedAt
+    };
+  }
+}
+
+// ============================================
+// SESSION STORE (Persistence)
+// ============================================
+
+// Keeps serialized sessions in process memory (lost on restart)
+class MemorySessionStore {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async load(sessionId) {
+    const raw = this.data.get(sessionId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async save(sessionId, state) {
+    this.data.set(sessionId, JSON.stringify(state));
+  }
+
+  async delete(sessionId) {
+    this.data.delete(sessionId);
+  }
+
+  async list() {
+    return [...this.data.values()].map(raw => JSON.parse(raw));
+  }
+}
+
+// Stores one JSON file per session under DATA_DIR/sessions
+class FileSessionStore {
+  constructor(baseDir) {
+    this.dir = join(baseDir, 'sessions');
+    this.queues = new Map(); // sessionId -> promise of the last queued write or delete
+  }
+
+  // Writes and deletes of one session run one after another, in the order they were called
+  enqueue(sessionId, task) {
+    const run = (this.queues.get(sessionId) || Promise.resolve()).catch(() => {}).then(task);
+    this.queues.set(sessionId, run);
+    const settle = () => {
+      if (this.queues.get(sessionId) === run) this.queues.delete(sessionId);
+    };
+    run.then(settle, settle);
+    return run;
+  }
+
+  filePath(sessionId) {
+    return join(this.dir, `${sessionId}.json`);
+  }
+
+  async load(sessionId) {
+    try {
+      const raw = await fs.readFile(this.filePath(sessionId), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load session ${sessionId}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  save(sessionId, state) {
+    const json = JSON.stringify(state);
+    return this.enqueue(sessionId, async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      // Write to a temp file of its own first so a crash never leaves a half-written session
+      const tmpPath = `${this.filePath(sessionId)}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      try {
+        await fs.writeFile(tmpPath, json);
+        await fs.rename(tmpPath, this.filePath(sessionId));
+      } catch (error) {
+        await fs.rm(tmpPath, { force: true });
+        throw error;
+      }
+    });
+  }
+
+  delete(sessionId) {
+    return this.enqueue(sessionId, () => fs.rm(this.filePath(sessionId), { force: true }));
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const states = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const state = await this.load(file.slice(0, -'.json'.length));
+      if (state) states.push(state);
+    }
+    return states;
+  }
+}
+
+function createSessionStore(type) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore(DATA_DIR);
+    default:
+      console.warn(`Unknown SESSION_STORE "${type}", falling back to file store`);
+      return new FileSessionStore(DATA_DIR);
+  }
+}
+
+const sessionStore = createSessionStore(SESSION_STORE);
+
+// ============================================
+// SESSION MANAGEMENT
+// ============================================
+
+const sessions = new Map();
+const saveTimers = new Map();
+
+// Channel library search index; built from the store on first use, then kept current on save and delete
+const retrievalIndex = new RetrievalIndex();
+let retrievalIndexLoading = null;
+
+async function getRetrievalIndex() {
+  retrievalIndexLoading ??= listSessionStates()
+    .then(states => {
+      for (const state of states) retrievalIndex.indexProject(state);
+      console.log(`Retrieval index ready: ${retrievalIndex.size} passages from ${states.length} projects`);
+    })
+    .catch(error => {
+      console.error('Failed to build retrieval index:', error.message);
+      retrievalIndexLoading = null;
+    });
+  await retrievalIndexLoading;
+  return retrievalIndex;
+}
+
+async function saveSession(sessionId) {
+  const engine = sessions.get(sessionId);
+  if (!engine) return;
+
+  clearTimeout(saveTimers.get(sessionId));
+  saveTimers.delete(sessionId);
+
+  engine.updatedAt = new Date().toISOString();
+  try {
+    const state = engine.toJSON();
+    await sessionStore.save(sessionId, state);
+    retrievalIndex.indexProject(state);
+  } catch (error) {
+    console.error(`Failed to save session ${sessionId}:`, error.message);
   }
+}
 
-  setThinking(agentId, isThinking, context = '') {
-    if (isThinking) {
-      this.thinkingAgents.add(agentId);
-    } else {
-      this.thinkingAgents.delete(agentId);
-    }
-    this.emit('thinking', { agentId, isThinking, context, timestamp: new Date().toISOString() });
-  }
+// Debounce saves so bursts of agent messages produce a single write
+function scheduleSave(sessionId) {
+  clearTimeout(saveTimers.get(sessionId));
+  saveTimers.set(sessionId, setTimeout(() => saveSession(sessionId), 500));
+}
 
-  setPhase(phase, description = '') {
-    this.emit('phase', { phase, description, timestamp: new Date().toISOString() });
-  }
+// Wire an engine to SSE clients and the session store (once per engine)
+function attachSession(sessionId, engine) {
+  engine.messageBus.on('message', (msg) => {
+    sendSSE(sessionId, { type: 'message', data: msg });
+    scheduleSave(sessionId);
+  });
 
-  getHistory(limit = 50) {
-    return this.messages.slice(-limit);
-  }
+  engine.messageBus.on('script_update', (script) => {
+    sendSSE(sessionId, { type: 'script', data: script });
+    scheduleSave(sessionId);
+  });
 
-  updateScript(section, content, action) {
-    if (action === 'delete') {
-      delete this.script[section];
-    } else {
-      this.script[section] = content;
-    }
-    this.emit('script_update', this.script);
-    return this.script;
+  engine.messageBus.on('thinking', (data) => {
+    sendSSE(sessionId, { type: 'thinking', data });
+  });
+
+  engine.messageBus.on('phase', (data) => {
+    sendSSE(sessionId, { type: 'phase', data });
+    scheduleSave(sessionId);
+  });
+
+  sessions.set(sessionId, engine);
+  return engine;
+}
+
+// Return the live engine, rehydrating it from the store if needed
+async function getSession(sessionId, apiKey = FAL_KEY) {
+  let engine = sessions.get(sessionId);
+
+  if (!engine) {
+    const state = await sessionStore.load(sessionId);
+    if (!state) return null;
+
+    engine = new OrchestrationEngine(apiKey, sessionId).restore(state);
+    attachSession(sessionId, engine);
+    console.log(`Session ${sessionId} restored (phase: ${engine.currentPhase})`);
   }
 
-  getScript() {
-    return this.script;
+  engine.setApiKey(apiKey);
+  return engine;
+}
+
+// Serialized state, preferring the live engine over the (possibly stale) store copy
+async function loadSessionState(sessionId) {
+  const engine = sessions.get(sessionId);
+  if (engine) return engine.toJSON();
+  return sessionStore.load(sessionId);
+}
+
+async function listSessionStates() {
+  const stored = await sessionStore.list();
+  const byId = new Map(stored.map(state => [state.sessionId, state]));
+  for (const [sessionId, engine] of sessions.entries()) {
+    if (engine.topic) byId.set(sessionId, engine.toJSON());
   }
+  return [...byId.values()];
+}
 
-  clear() {
-    this.messages = [];
-    this.script = {};
-    this.thinkingAgents.clear();
+async function deleteSession(sessionId) {
+  clearTimeout(saveTimers.get(sessionId));
+  saveTimers.delete(sessionId);
+
+  const engine = sessions.get(sessionId);
+  if (engine) {
+    engine.isRunning = false;
+    engine.messageBus.removeAllListeners();
+    sessions.delete(sessionId);
   }
+
+  await sessionStore.delete(sessionId);
+  retrievalIndex.removeProject(sessionId);
+  await fs.rm(join(AUDIO_DIR, sessionId), { recursive: true, force: true });
+}
+
+async function getOrCreateSession(sessionId, apiKey) {
+  const engine = await getSession(sessionId, apiKey);
+  if (engine) return engine;
+  return attachSession(sessionId, new OrchestrationEngine(apiKey, sessionId));
 }
 
 // ============================================
-// AGENT CLASS
+// SSE (Server-Sent Events) for real-time updates
 // ============================================
 
-class Agent {
-  constructor(profile, openai, messageBus) {
-    this.profile = profile;
-    this.openai = openai;
-    this.messageBus = messageBus;
-    this.conversationHistory = [];
+const sseClients = new Map();
+
+function sendSSE(sessionId, data) {
+  const clients = sseClients.get(sessionId) || [];
+  const message = `data: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(message));
+}
+
+// ============================================
+// API ENDPOINTS
+// ============================================
+
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+app.get('/api/events/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+
+  // Validate session ID
+  if (!SecurityUtils.isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID format' });
   }
 
-  async think(context, recentMessages = []) {
-    this.messageBus.setThinking(this.profile.id, true, context.substring(0, 100));
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
 
-    const messages = [
-      {
-        role: "system",
-        content: `${this.profile.systemPrompt}
+  if (!sseClients.has(sessionId)) {
+    sseClients.set(sessionId, []);
+  }
+  sseClients.get(sessionId).push(res);
 
-YOU ARE: ${this.profile.name} (${this.profile.role})
+  req.on('close', () => {
+    const clients = sseClients.get(sessionId) || [];
+    const index = clients.indexOf(res);
+    if (index !== -1) clients.splice(index, 1);
+  });
+});
 
-TEAM MEMBERS:
-${Object.values(AGENT_PROFILES).filter(a => a.id !== this.profile.id).map(a =>
-  `- @${a.id}: ${a.name} (${a.role})`
-).join('\n')}
+// Check if server has API key configured
+app.get('/api/config', (req, res) => {
+  // Local/mock providers need no fal key, so the UI can skip asking for one
+  res.json({ hasServerApiKey: !!FAL_KEY || !FAL_KEY_REQUIRED });
+});
 
-CURRENT SCRIPT:
-${JSON.stringify(this.messageBus.getScript(), null, 2) || '(none yet)'}
+app.post('/api/project/start', async (req, res) => {
+  try {
+    const { topic, context, workflow = DEFAULT_WORKFLOW.id, profile, template, language, researchLanguage, targetDuration, targetWords } = req.body;
+    let { sessionId } = req.body;
 
-RECENT MESSAGES:
-${recentMessages.map(m => `[${m.from}] → [${m.to}]: ${m.content}`).join('\n') || '(none)'}
-`
-      },
-      ...this.conversationHistory,
-      {
-        role: "user",
-        content: context
-      }
-    ];
+    // Use API key from request body or fall back to server config
+    const apiKey = req.body.apiKey || FAL_KEY;
 
-    try {
-      const completion = await this.openai.chat.completions.create({
-        model: AGENT_MODEL,
-        messages,
-        tools: Object.values(AGENT_TOOLS),
-        tool_choice: "auto",
-        temperature: 0.7,
-      });
+    // Validate API key (only fal-backed providers need one)
+    if (FAL_KEY_REQUIRED && !apiKey) {
+      return res.status(400).json({ error: 'API key required' });
+    }
+    if (apiKey && !SecurityUtils.isValidApiKeyFormat(apiKey)) {
+      return res.status(400).json({ error: 'Invalid API key format' });
+    }
 
-      const response = completion.choices[0]?.message;
+    // Validate topic
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic required' });
+    }
 
-      this.messageBus.setThinking(this.profile.id, false);
+    // Sanitize inputs
+    const sanitizedTopic = SecurityUtils.sanitizeInput(topic);
+    const sanitizedContext = SecurityUtils.sanitizeInput(context || '');
 
-      if (!response) {
-        return { content: null, toolCalls: [] };
-      }
+    if (sanitizedTopic.length < 3) {
+      return res.status(400).json({ error: 'Topic too short (min 3 characters)' });
+    }
 
-      this.conversationHistory.push({ role: "user", content: context });
-      if (response.content) {
-        this.conversationHistory.push({ role: "assistant", content: response.content });
-      }
+    if (!WorkflowRegistry.get(workflow)) {
+      return res.status(400).json({ error: 'Unknown workflow' });
+    }
 
-      if (this.conversationHistory.length > 20) {
-        this.conversationHistory = this.conversationHistory.slice(-20);
-      }
+    const channel = profile ? ChannelProfiles.get(profile) : null;
+    if (profile && !channel) {
+      return res.status(400).json({ error: 'Unknown channel profile' });
+    }
+    if (template && !TemplateRegistry.get(template)) {
+      return res.status(400).json({ error: 'Unknown template' });
+    }
+    if ((language && !Languages.resolve(language)) || (researchLanguage && !Languages.resolve(researchLanguage))) {
+      return res.status(400).json({ error: `Unknown language. Use one of: ${Object.keys(LANGUAGES).join(', ')}` });
+    }
+    const { target, error: targetError } = DurationParser.fromFields({ targetDuration, targetWords });
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
 
-      return {
-        content: response.content,
-        toolCalls: response.tool_calls || []
-      };
+    // Generate or validate session ID
+    if (!sessionId) {
+      sessionId = SecurityUtils.generateSessionId();
+    } else if (!SecurityUtils.isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID format' });
+    }
 
-    } catch (error) {
-      this.messageBus.setThinking(this.profile.id, false);
-      console.error(`[${this.profile.name}] Error:`, error);
-      return { content: `Error occurred: ${error.message}`, toolCalls: [] };
+    // Rate limiting
+    if (!SecurityUtils.checkRateLimit(sessionId)) {
+      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
     }
-  }
 
-  postMessage(to, content, type = 'info') {
-    return this.messageBus.post({
-      from: this.profile.id,
-      fromName: this.profile.name,
-      fromEmoji: this.profile.emoji,
-      fromColor: this.profile.color,
-      to,
-      content,
-      type
+    const engine = await getOrCreateSession(sessionId, apiKey);
+    engine.reset();
+
+    await engine.start(sanitizedTopic, sanitizedContext, {
+      workflowId: workflow,
+      channel,
+      templateId: template,
+      language: Languages.resolve(language),
+      researchLanguage: Languages.resolve(researchLanguage),
+      target
     });
+    await saveSession(sessionId);
+
+    res.json({ ...engine.getState(), sessionId });
+  } catch (error) {
+    console.error('Start error:', error);
+    res.status(500).json({ error: 'Failed to start project. Please try again.' });
   }
-}
+});
 
-// ============================================
-// ORCHESTRATION ENGINE
-// ============================================
+app.post('/api/project/respond', async (req, res) => {
+  try {
+    const { message, sessionId } = req.body;
 
-class OrchestrationEngine {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.messageBus = new MessageBus();
-    this.agents = {};
-    this.openai = null;
-    this.isRunning = false;
-    this.currentPhase = 'idle';
-    this.topic = null;
-    this.waitingForUser = false;
-    this.pendingQuestion = null;
-    this.userPreferences = {};
-    this.finalScript = null;
-    this.maxIterations = 30; // Prevent infinite loops
-    this.currentIteration = 0;
+    // Use API key from request body or fall back to server config
+    const apiKey = req.body.apiKey || FAL_KEY;
 
-    // Duration tracking
-    this.targetDuration = null; // in minutes
-    this.targetWordCount = { min: 0, max: 0 };
+    // Validate API key
+    if (FAL_KEY_REQUIRED && !apiKey) {
+      return res.status(400).json({ error: 'API key required' });
+    }
 
-    this.initialize();
-  }
+    // Validate session ID
+    if (!sessionId || !SecurityUtils.isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
 
-  setTargetDuration(minutes) {
-    this.targetDuration = minutes;
-    const wordsPerMinute = 150;
-    // Allow 5% under and 20% over the target
-    this.targetWordCount = {
-      min: Math.floor(minutes * wordsPerMinute * 0.93),
-      max: Math.ceil(minutes * wordsPerMinute * 1.20)
-    };
-    console.log(`Target duration set: ${minutes} min, word count: ${this.targetWordCount.min}-${this.targetWordCount.max}`);
+    // Rate limiting
+    if (!SecurityUtils.checkRateLimit(sessionId)) {
+      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
+    }
+
+    const engine = await getSession(sessionId, apiKey);
+    if (!engine) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Sanitize message
+    const sanitizedMessage = SecurityUtils.sanitizeInput(message || '');
+    if (sanitizedMessage.length < 1) {
+      return res.status(400).json({ error: 'Message cannot be empty' });
+    }
+
+    await engine.processUserResponse(sanitizedMessage);
+    await saveSession(sessionId);
+
+    res.json(engine.getState());
+  } catch (error) {
+    console.error('Respond error:', error);
+    res.status(500).json({ error: 'Failed to process response. Please try again.' });
   }
+});
 
-  extractDurationFromMessage(message) {
-    // Try to extract duration from user message
-    // Check for seconds first
-    const secondPatterns = [
-      /(\d+)\s*(?:second|sec)/i,
-      /(\d+)\s*(?:seconds|secs)/i
-    ];
+app.post('/api/project/continue', async (req, res) => {
+  try {
+    const { sessionId } = req.body;
 
-    for (const pattern of secondPatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        return parseInt(match[1]) / 60; // Convert seconds to minutes
-      }
+    // Validate session ID
+    if (!sessionId || !SecurityUtils.isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    // Rate limiting
+    if (!SecurityUtils.checkRateLimit(sessionId)) {
+      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
     }
 
-    // Check for minutes
-    const minutePatterns = [
-      /(\d+)\s*(?:minute|min)/i,
-      /(\d+)\s*(?:minutes|mins)/i
-    ];
-
-    for (const pattern of minutePatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        return parseInt(match[1]);
-      }
+    const engine = await getSession(sessionId, req.body.apiKey || FAL_KEY);
+    if (!engine) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    return null;
+    // A new turn from the user: the stage-run cap starts over
+    engine.currentIteration = 0;
+    await engine.continueOrchestration();
+    await saveSession(sessionId);
+
+    res.json(engine.getState());
+  } catch (error) {
+    console.error('Continue error:', error);
+    res.status(500).json({ error: 'Failed to continue orchestration.' });
   }
+});
 
-  initialize() {
-    this.openai = new OpenAI({
-      baseURL: "https://fal.run/openrouter/router/openai/v1",
-      apiKey: "not-needed",
-      defaultHeaders: {
-        "Authorization": `Key ${this.apiKey}`,
-      },
-    });
+app.get('/api/project/state/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
 
-    for (const [id, profile] of Object.entries(AGENT_PROFILES)) {
-      this.agents[id] = new Agent(profile, this.openai, this.messageBus);
+    // Validate session ID
+    if (!SecurityUtils.isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID format' });
     }
-  }
-
-  async start(topic, userContext = '') {
-    this.topic = topic;
-    this.isRunning = true;
-    this.currentPhase = 'clarification';
-    this.currentIteration = 0;
 
-    // System message
-    this.messageBus.post({
-      from: 'system',
-      fromName: 'System',
-      fromEmoji: '⚙️',
-      fromColor: '#6b7280',
-      to: 'all',
-      content: `New project started: "${topic}"`,
-      type: 'info'
-    });
+    const engine = await getSession(sessionId);
+    if (!engine) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-    this.messageBus.setPhase('clarification', 'Gathering requirements');
+    res.json(engine.getState());
+  } catch (error) {
+    console.error('State error:', error);
+    res.status(500).json({ error: 'Failed to load session.' });
+  }
+});
 
-    // Orchestrator starts - ask questions
-    const orchestrator = this.agents.orchestrator;
-    const response = await orchestrator.think(
-      `A new YouTube video project is starting.
+app.post('/api/project/reset', async (req, res) => {
+  const { sessionId } = req.body;
 
-TOPIC: ${topic}
-USER NOTE: ${userContext || '(none)'}
+  // Validate session ID
+  if (!sessionId || !SecurityUtils.isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
 
-Your task:
-1. Use the request_user_input tool to ask the user ALL important questions at once:
-   - Target audience (age group, interests)
-   - Video tone (educational, entertaining, dramatic, documentary-style)
-   - Target duration (can be any length: 30 seconds, 2 minutes, 10 minutes, etc.)
-   - Any specific requirements or preferences
+  // The project stays in the library (DELETE /api/project/:id removes it); an idle one is
+  // saved and unloaded, a running one keeps going in the background
+  const engine = sessions.get(sessionId);
+  if (engine && !engine.isRunning) {
+    await saveSession(sessionId);
+    engine.messageBus.removeAllListeners();
+    sessions.delete(sessionId);
+  }
 
-Ask all questions in a single, clear message. Be specific about what you need to know.`
-    );
+  res.json({ success: true });
+});
 
-    await this.processAgentResponse('orchestrator', response);
+// ============================================
+// PROJECT LIBRARY
+// ============================================
 
-    return this.getState();
+app.get('/api/projects', async (req, res) => {
+  try {
+    const includeArchived = req.query.archived === 'true' || req.query.archived === 'all';
+    const onlyArchived = req.query.archived === 'only';
+
+    const projects = (await listSessionStates())
+      .filter(state => state.topic)
+      .map(state => OrchestrationEngine.summarize(state))
+      .filter(project => {
+        if (onlyArchived) return project.archived;
+        return includeArchived || !project.archived;
+      })
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+
+    res.json({ projects });
+  } catch (error) {
+    console.error('List projects error:', error);
+    res.status(500).json({ error: 'Failed to list projects.' });
   }
+});
 
-  async processUserResponse(userMessage) {
-    if (!this.isRunning) {
-      return { error: 'Project not started' };
-    }
-
-    // Post user message
-    this.messageBus.post({
-      from: 'user',
-      fromName: 'User',
-      fromEmoji: '👤',
-      fromColor: '#ffffff',
-      to: 'orchestrator',
-      content: userMessage,
-      type: 'info'
-    });
-
-    this.waitingForUser = false;
-    this.userPreferences.lastResponse = userMessage;
+// Offline BM25 search over every project's documents, stored search results and final scripts
+app.get('/api/library/search', async (req, res) => {
+  try {
+    const query = SecurityUtils.sanitizeInput(String(req.query.q || '')).substring(0, 500);
+    const kind = { scripts: 'script', documents: 'document', searches: 'search' }[req.query.scope] || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
 
-    // Try to extract duration from user response
-    const extractedDuration = this.extractDurationFromMessage(userMessage);
-    if (extractedDuration && !this.targetDuration) {
-      this.setTargetDuration(extractedDuration);
-      this.messageBus.post({
-        from: 'system',
-        fromName: 'System',
-        fromEmoji: '⚙️',
-        fromColor: '#6b7280',
-        to: 'all',
-        content: `📏 Target set: ${extractedDuration} minutes (${this.targetWordCount.min}-${this.targetWordCount.max} words)`,
-        type: 'info'
-      });
+    if (!query.trim()) {
+      return res.status(400).json({ error: 'Query (q) is required' });
     }
 
-    // Continue orchestration with auto-continuation
-    await this.continueOrchestration(userMessage);
+    const index = await getRetrievalIndex();
+    const results = index.search(query, { limit, filter: passage => !kind || passage.kind === kind });
 
-    return this.getState();
+    res.json({ query, passages: index.size, results });
+  } catch (error) {
+    console.error('Library search error:', error);
+    res.status(500).json({ error: 'Failed to search the library.' });
   }
+});
 
-  async continueOrchestration(userMessage = null) {
-    if (!this.isRunning || this.waitingForUser) return;
+app.get('/api/project/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    this.currentIteration++;
-    if (this.currentIteration > this.maxIterations) {
-      console.log('Max iterations reached, stopping');
-      return;
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
     }
 
-    const recentMessages = this.messageBus.getHistory(15);
-    const orchestrator = this.agents.orchestrator;
-
-    const targetInfo = this.targetDuration
-      ? `Target duration: ${this.targetDuration} minutes
-Target word count: ${this.targetWordCount.min}-${this.targetWordCount.max} words
-Current word count: ${this.getScriptWordCount()} words`
-      : 'Target duration: NOT SET YET - Ask user if not specified';
-
-    let context;
-    if (userMessage) {
-      context = `The user responded: "${userMessage}"
-
-Current phase: ${this.currentPhase}
-Topic: ${this.topic}
-Script sections completed: ${Object.keys(this.messageBus.getScript()).length}
-${targetInfo}
-
-Based on the user's response, decide your next action:
-1. If you need more clarification, use request_user_input
-2. If you have enough info and are in clarification phase, move to research phase - task @researcher
-3. If research is done, task @writer to write the script (REMIND THEM OF WORD COUNT TARGET!)
-4. If script is written, task @critic and @factchecker to review
-5. If reviews are positive, task @creative for hooks/titles/thumbnails
-6. If everything is approved and word count is WITHIN TARGET RANGE, use finalize_script
-7. After finalizing, task @voiceover to clean and generate audio
-
-⚠️ WORD COUNT CHECK: Before finalizing, verify word count is ${this.targetWordCount.min}-${this.targetWordCount.max} words.
-If too long: Send back to @writer to condense
-If too short: Send back to @writer to expand
-
-IMPORTANT: Keep the workflow moving! Don't just acknowledge - take action.`;
-    } else {
-      context = `Continue the project workflow.
-
-Current phase: ${this.currentPhase}
-Topic: ${this.topic}
-Script sections completed: ${Object.keys(this.messageBus.getScript()).length}
-${targetInfo}
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-Review recent messages and decide the next step:
-1. If waiting for agent responses, wait
-2. If an agent completed their task, move to the next phase
-3. If script needs improvement (word count wrong, contains meta-text), send it back with specific feedback
-4. If script is approved, task @voiceover to clean and generate audio
-5. After voiceover is done, finalize the project
+    res.json(engine.getState());
+  } catch (error) {
+    console.error('Open project error:', error);
+    res.status(500).json({ error: 'Failed to open project.' });
+  }
+});
 
-⚠️ Before finalizing, ensure:
-- Word count is within ${this.targetWordCount.min}-${this.targetWordCount.max} range
-- Script contains ONLY pure narration (no agent messages or meta-text)
+app.get('/api/project/:id/audio', async (req, res) => {
+  const { id } = req.params;
 
-Keep the workflow moving forward!`;
-    }
+  if (!SecurityUtils.isValidSessionId(id)) {
+    return res.status(400).json({ error: 'Invalid project ID format' });
+  }
 
-    const response = await orchestrator.think(context, recentMessages);
-    await this.processAgentResponse('orchestrator', response);
+  const filePath = join(AUDIO_DIR, id, 'voiceover.mp3');
+  try {
+    await fs.access(filePath);
+  } catch {
+    return res.status(404).json({ error: 'Voiceover not found' });
   }
 
-  getScriptWordCount() {
-    const script = this.messageBus.getScript();
-    return Object.values(script).reduce((sum, text) => {
-      return sum + (text ? text.split(/\s+/).filter(w => w.length > 0).length : 0);
-    }, 0);
+  if (req.query.download) {
+    return res.download(filePath, 'voiceover.mp3');
   }
+  res.type('audio/mpeg').sendFile(filePath);
+});
 
-  sanitizeScriptForVoiceover(text) {
-    if (!text) return '';
+app.get('/api/project/:id/captions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format === 'vtt' ? 'vtt' : 'srt';
 
-    return text
-      // Remove visual/editing tags
-      .replace(/\[VISUAL[^\]]*\]/gi, '')
-      .replace(/\[EFFECT[^\]]*\]/gi, '')
-      .replace(/\[MUSIC[^\]]*\]/gi, '')
-      .replace(/\[B-ROLL[^\]]*\]/gi, '')
-      .replace(/\[CUT[^\]]*\]/gi, '')
-      .replace(/\[SOUND[^\]]*\]/gi, '')
-      // Remove timestamps like [0:00-0:30] or [2:00-4:00]
-      .replace(/\[\d+:\d+[-–]\d+:\d+\]/g, '')
-      // Remove section headers
-      .replace(/\[HOOK\]/gi, '')
-      .replace(/\[INTRO\]/gi, '')
-      .replace(/\[SECTION\s*\d*\]/gi, '')
-      .replace(/\[CLIMAX\]/gi, '')
-      .replace(/\[CONCLUSION\]/gi, '')
-      .replace(/\[OUTRO\]/gi, '')
-      // Convert pause tags to natural breaks
-      .replace(/\[PAUSE\]/gi, '...')
-      // Remove any remaining bracketed content that's not speech
-      .replace(/\[[A-Z][A-Z\s]*:[^\]]*\]/gi, '')
-      // Clean up agent references
-      .replace(/@\w+/g, '')
-      // Clean up multiple spaces and newlines
-      .replace(/\s{2,}/g, ' ')
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
-  }
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-  async processAgentResponse(agentId, response) {
-    const agent = this.agents[agentId];
-    let shouldContinue = true;
+    // ?language=es gives captions for that localized voiceover
+    const language = req.query.language ? Languages.resolve(req.query.language) : null;
+    if (req.query.language && !language) {
+      return res.status(400).json({ error: 'Unknown language' });
+    }
 
-    // Post agent's thoughts/content
-    if (response.content) {
-      agent.postMessage('all', response.content, 'info');
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!(language ? engine.localizations[language]?.voiceover : engine.voiceover)) {
+      return res.status(404).json({ error: language ? 'No voiceover generated for that language yet' : 'No voiceover generated yet' });
     }
 
-    // Process tool calls
-    for (const toolCall of response.toolCalls) {
-      const toolName = toolCall.function.name;
-      let args;
-      try {
-        args = JSON.parse(toolCall.function.arguments);
-      } catch (e) {
-        console.error('Failed to parse tool arguments:', e);
-        continue;
-      }
+    const captions = engine.getCaptions(format, language);
+    res.type(format === 'vtt' ? 'text/vtt' : 'application/x-subrip');
+    res.setHeader('Content-Disposition', `attachment; filename="voiceover${language ? `-${language}` : ''}.${format}"`);
+    res.send(captions);
+  } catch (error) {
+    console.error('Captions error:', error);
+    res.status(500).json({ error: 'Failed to build captions.' });
+  }
+});
 
-      console.log(`[${agentId}] Tool: ${toolName}`, JSON.stringify(args).substring(0, 200));
+// Script deliverables: Markdown, two-column A/V HTML (print to PDF), the same HTML as a Word-openable .doc, Fountain or a JSON bundle.
+// ?language=es exports that localization instead of the original script.
+app.get('/api/project/:id/export', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const aliases = { md: 'markdown', pdf: 'html', doc: 'doc-html' };
+    const format = aliases[req.query.format] || req.query.format || 'markdown';
 
-      const result = await this.executeTool(agentId, toolName, args);
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: `Unknown format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
 
-      // Check if we should stop continuation
-      if (result?.stopContinuation) {
-        shouldContinue = false;
-      }
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (engine.messageBus.getSections().length === 0) {
+      return res.status(404).json({ error: 'No script to export yet' });
+    }
+    const language = req.query.language ? Languages.resolve(req.query.language) : null;
+    if (req.query.language && !engine.localizations[language]) {
+      return res.status(404).json({ error: 'No localization for that language' });
     }
 
-    // Auto-continue if not waiting for user and workflow should continue
-    if (shouldContinue && !this.waitingForUser && this.isRunning && agentId !== 'orchestrator') {
-      // Small delay to prevent overwhelming
-      await new Promise(resolve => setTimeout(resolve, 500));
-      await this.continueOrchestration();
+    const bundle = engine.getExportBundle({ language });
+    if (format === 'youtube' && !bundle.metadata) {
+      return res.status(404).json({ error: 'No YouTube metadata yet' });
     }
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    res.type(contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${ExportUtils.slug(bundle.title)}.${extension}"`);
+    res.send(ExportUtils.render(format, bundle));
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Failed to export script.' });
   }
+});
 
-  async executeTool(agentId, toolName, args) {
-    switch (toolName) {
-      case 'send_message': {
-        const { to, message, type } = args;
-        this.agents[agentId].postMessage(to, message, type);
+// Research documents attached to a project: files (multipart field "files"), pasted text or a URL
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 5 }
+}).array('files', 5);
 
-        // If message is to another agent, trigger their response
-        if (to !== 'user' && to !== 'all' && this.agents[to]) {
-          await this.triggerAgent(to, message, agentId);
-        }
-        return { stopContinuation: false };
-      }
+app.post('/api/project/:id/documents', (req, res, next) => {
+  documentUpload(req, res, error => error ? res.status(400).json({ error: `Upload failed: ${error.message}` }) : next());
+}, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text, title, url } = req.body || {};
+    const kind = req.body?.kind === 'transcript' ? 'transcript' : 'note';
+    const files = req.files || [];
 
-      case 'search_web': {
-        const { query, num_results = 5 } = args;
-        this.messageBus.setThinking(agentId, true, `Searching: "${query.substring(0, 50)}"`);
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
+    if (files.length === 0 && !(typeof text === 'string' && text.trim()) && !(typeof url === 'string' && url.trim())) {
+      return res.status(400).json({ error: 'Attach files, paste text or give a URL' });
+    }
+    if (!SecurityUtils.checkRateLimit(id)) {
+      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
+    }
 
-        const searchResult = await this.performWebSearch(query, num_results);
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-        this.messageBus.setThinking(agentId, false);
+    const cleanTitle = SecurityUtils.sanitizeInput(typeof title === 'string' ? title : '').substring(0, 200);
+    const added = [];
+    const errors = [];
+    const attach = result => result.error ? errors.push(result.error) : added.push(result.document.id);
 
-        this.agents[agentId].postMessage('all', `🔍 Search: "${query}"\n\n${searchResult}`, 'result');
-        return { stopContinuation: false };
+    for (const file of files) {
+      const name = SecurityUtils.sanitizeInput(file.originalname || '').substring(0, 200) || 'document';
+      const type = DocumentUtils.typeOf(file.originalname, file.mimetype);
+      if (!type) {
+        errors.push(`${name}: unsupported file type (use .txt, .md, .pdf, .html, .srt or .vtt)`);
+        continue;
       }
+      const extracted = DocumentUtils.extract(file.buffer, type);
+      attach(engine.addDocument({
+        name,
+        kind: type === 'transcript' ? 'transcript' : 'file',
+        type,
+        text: extracted.text,
+        title: extracted.title && SecurityUtils.sanitizeInput(extracted.title)
+      }));
+    }
 
-      case 'write_script_section': {
-        const { section, content, action } = args;
-        this.messageBus.updateScript(section, content, action);
-
-        const wordCount = content ? content.split(/\s+/).filter(w => w.length > 0).length : 0;
-        const estimatedMinutes = Math.round(wordCount / 150 * 10) / 10;
-
-        const totalWordCount = this.getScriptWordCount();
-        const totalMinutes = Math.round(totalWordCount / 150 * 10) / 10;
-
-        this.agents[agentId].postMessage('all',
-          `📝 Script updated: [${section}] - ${action}\n` +
-          `   📊 This section: ${wordCount} words (~${estimatedMinutes} min)\n` +
-          `   📊 Total script: ${totalWordCount} words (~${totalMinutes} min)`,
-          'info'
-        );
-        return { stopContinuation: false };
-      }
+    if (typeof text === 'string' && text.trim()) {
+      attach(engine.addDocument({
+        name: cleanTitle || (kind === 'transcript' ? 'Pasted transcript' : 'Pasted notes'),
+        kind,
+        type: 'text',
+        text
+      }));
+    }
 
-      case 'request_user_input': {
-        const { question, options } = args;
-        this.waitingForUser = true;
-        this.pendingQuestion = { question, options };
-        this.messageBus.post({
-          from: agentId,
-          fromName: AGENT_PROFILES[agentId].name,
-          fromEmoji: AGENT_PROFILES[agentId].emoji,
-          fromColor: AGENT_PROFILES[agentId].color,
-          to: 'user',
-          content: question,
-          type: 'question',
-          options
-        });
-        return { stopContinuation: true }; // Stop and wait for user
+    if (typeof url === 'string' && url.trim()) {
+      try {
+        const { buffer, type } = await DocumentUtils.fetchUrl(url.trim());
+        const extracted = DocumentUtils.extract(buffer, type);
+        attach(engine.addDocument({
+          name: url.trim(),
+          kind: 'url',
+          type,
+          text: extracted.text,
+          url: url.trim(),
+          title: cleanTitle || (extracted.title && SecurityUtils.sanitizeInput(extracted.title))
+        }));
+      } catch (error) {
+        errors.push(`${url.trim()}: ${error.message}`);
       }
+    }
 
-      case 'finalize_script': {
-        const { title, description, script, duration_estimate } = args;
-
-        // Validate the final script
-        const validation = QualityControl.validateScript(script, this.targetWordCount);
-
-        if (!validation.valid) {
-          this.messageBus.post({
-            from: 'system',
-            fromName: 'System',
-            fromEmoji: '⚠️',
-            fromColor: '#f59e0b',
-            to: 'all',
-            content: `Script validation failed - cannot finalize:\n\n❌ Issues:\n${validation.issues.join('\n')}\n\n⚠️ Warnings:\n${validation.warnings.join('\n') || 'None'}\n\nPlease fix these issues before finalizing.`,
-            type: 'info'
-          });
-          return { stopContinuation: false }; // Let orchestrator handle fixes
-        }
-
-        this.currentPhase = 'completed';
+    if (added.length === 0) {
+      return res.status(422).json({ error: errors.join('; ') || 'Nothing was attached' });
+    }
+    await saveSession(id);
 
-        const finalWordCount = validation.wordCount;
-        const estimatedMinutes = validation.estimatedDuration;
+    res.json({ documents: engine.listDocuments(), sources: engine.sources.list(engine.messageBus.getSections()), added, errors });
+  } catch (error) {
+    console.error('Attach document error:', error);
+    res.status(500).json({ error: 'Failed to attach documents.' });
+  }
+});
 
-        this.finalScript = {
-          title: SecurityUtils.sanitizeInput(title),
-          description: SecurityUtils.sanitizeInput(description || ''),
-          script,
-          duration_estimate: duration_estimate || `~${estimatedMinutes} minutes`,
-          wordCount: finalWordCount
-        };
+app.get('/api/project/:id/documents', async (req, res) => {
+  try {
+    const { id } = req.params;
 
-        let statusMessage = `FINAL SCRIPT READY!\n\n📺 ${this.finalScript.title}\n⏱️ Estimated duration: ${this.finalScript.duration_estimate}\n📝 Word count: ${finalWordCount} words`;
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-        if (validation.warnings.length > 0) {
-          statusMessage += `\n\n⚠️ Warnings:\n${validation.warnings.join('\n')}`;
-        }
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-        statusMessage += `\n\n${this.finalScript.description}\n\n---\n\n${script}`;
+    res.json({ documents: engine.listDocuments() });
+  } catch (error) {
+    console.error('List documents error:', error);
+    res.status(500).json({ error: 'Failed to load documents.' });
+  }
+});
 
-        this.messageBus.post({
-          from: 'system',
-          fromName: 'System',
-          fromEmoji: '🎬',
-          fromColor: '#22c55e',
-          to: 'all',
-          content: statusMessage,
-          type: 'result',
-          finalScript: this.finalScript
-        });
+// Removes the document's text; its source entry stays so existing citations still resolve
+app.delete('/api/project/:id/documents/:documentId', async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
 
-        // Don't stop - let orchestrator continue to generate voiceover
-        return { stopContinuation: false };
-      }
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-      case 'generate_voiceover': {
-        const { text, voice_style = 'documentary' } = args;
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!engine.removeDocument(documentId)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    await saveSession(id);
 
-        this.messageBus.setThinking(agentId, true, 'Validating voiceover text...');
+    res.json({ documents: engine.listDocuments() });
+  } catch (error) {
+    console.error('Remove document error:', error);
+    res.status(500).json({ error: 'Failed to remove document.' });
+  }
+});
 
-        // Validate and clean the voiceover text
-        const validation = QualityControl.validateVoiceoverText(text);
+// Source registry with a bibliography and a block ready to paste into the YouTube description
+app.get('/api/project/:id/sources', async (req, res) => {
+  try {
+    const { id } = req.params;
 
-        if (!validation.valid) {
-          this.messageBus.setThinking(agentId, false);
-          this.messageBus.post({
-            from: 'system',
-            fromName: 'System',
-            fromEmoji: '⚠️',
-            fromColor: '#f59e0b',
-            to: 'all',
-            content: `Voiceover text validation failed:\n${validation.issues.join('\n')}\n\nPlease clean the script and try again.`,
-            type: 'info'
-          });
-          return { stopContinuation: false }; // Let orchestrator handle retry
-        }
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-        this.messageBus.setThinking(agentId, true, 'Generating voiceover...');
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-        try {
-          // Use the cleaned text from validation
-          const audioResult = await this.generateVoiceover(validation.cleanText, voice_style);
+    const sections = engine.messageBus.getSections();
+    res.json({
+      sources: engine.sources.list(sections),
+      bibliography: engine.sources.bibliography(sections),
+      descriptionSources: engine.sources.descriptionBlock(sections)
+    });
+  } catch (error) {
+    console.error('Sources error:', error);
+    res.status(500).json({ error: 'Failed to load sources.' });
+  }
+});
 
-          this.messageBus.setThinking(agentId, false);
+// Shot list of every visual, music and b-roll cue with estimated timecodes
+app.get('/api/project/:id/shotlist', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
 
-          // Validate audio result
-          const audioValidation = QualityControl.validateAudioResult(audioResult);
-
-          if (audioValidation.valid) {
-            this.messageBus.post({
-              from: 'system',
-              fromName: 'System',
-              fromEmoji: '🎙️',
-              fromColor: '#10b981',
-              to: 'all',
-              content: `Voiceover generated successfully!\n\n🎙️ Duration: ${audioResult.duration ? Math.round(audioResult.duration) + 's' : 'N/A'}\n📝 Word count: ${validation.wordCount}\n⏱️ Estimated: ~${validation.estimatedDuration} min\n📁 Format: MP3`,
-              type: 'result',
-              audioFile: {
-                url: audioResult.url,
-                duration: audioResult.duration,
-                contentType: audioResult.contentType,
-                chunks: audioResult.chunks
-              }
-            });
-          } else {
-            this.messageBus.post({
-              from: 'system',
-              fromName: 'System',
-              fromEmoji: '⚠️',
-              fromColor: '#f59e0b',
-              to: 'all',
-              content: `Voiceover generation issues:\n${audioValidation.issues.join('\n')}`,
-              type: 'info'
-            });
-          }
-        } catch (error) {
-          this.messageBus.setThinking(agentId, false);
-          this.messageBus.post({
-            from: 'system',
-            fromName: 'System',
-            fromEmoji: '❌',
-            fromColor: '#ef4444',
-            to: 'all',
-            content: `Voiceover generation error: ${error.message}`,
-            type: 'info'
-          });
-        }
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-        this.isRunning = false; // Project complete
-        return { stopContinuation: true };
-      }
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
     }
 
-    return { stopContinuation: false };
+    const shotList = engine.getShotList(format);
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="shotlist.csv"');
+      return res.send(shotList);
+    }
+    res.json({ pacing: Pacing.describe(engine.pace()), shots: shotList });
+  } catch (error) {
+    console.error('Shot list error:', error);
+    res.status(500).json({ error: 'Failed to build shot list.' });
   }
+});
 
-  async triggerAgent(agentId, contextMessage, fromAgentId) {
-    const agent = this.agents[agentId];
-    const recentMessages = this.messageBus.getHistory(10);
+app.get('/api/project/:id/audio/:clip', async (req, res) => {
+  const { id, clip } = req.params;
 
-    // Update phase based on which agent is being triggered
-    if (agentId === 'researcher') {
-      this.currentPhase = 'research';
-      this.messageBus.setPhase('research', 'Researching topic');
-    } else if (agentId === 'writer') {
-      this.currentPhase = 'writing';
-      this.messageBus.setPhase('writing', 'Writing script');
-    } else if (agentId === 'critic' || agentId === 'factchecker') {
-      this.currentPhase = 'review';
-      this.messageBus.setPhase('review', 'Reviewing script');
-    } else if (agentId === 'creative') {
-      this.currentPhase = 'creative';
-      this.messageBus.setPhase('creative', 'Creating hooks and titles');
-    } else if (agentId === 'voiceover') {
-      this.currentPhase = 'voiceover';
-      this.messageBus.setPhase('voiceover', 'Preparing voiceover');
-    }
-
-    const targetInfo = this.targetDuration
-      ? `⚠️ TARGET DURATION: ${this.targetDuration} minutes
-⚠️ TARGET WORD COUNT: ${this.targetWordCount.min}-${this.targetWordCount.max} words
-📊 CURRENT WORD COUNT: ${this.getScriptWordCount()} words`
-      : 'Target duration: Not specified yet';
+  if (!SecurityUtils.isValidSessionId(id) || !/^((section|chunk)-[a-f0-9]{16}|voiceover-[a-z]{2})$/.test(clip)) {
+    return res.status(400).json({ error: 'Invalid audio clip' });
+  }
 
-    const response = await agent.think(
-      `@${fromAgentId} sent you a message: "${contextMessage}"
+  const filePath = join(AUDIO_DIR, id, `${clip}.mp3`);
+  try {
+    await fs.access(filePath);
+  } catch {
+    return res.status(404).json({ error: 'Audio clip not found' });
+  }
 
-Topic: ${this.topic}
-Current phase: ${this.currentPhase}
-${targetInfo}
+  if (req.query.download) {
+    return res.download(filePath, `${clip}.mp3`);
+  }
+  res.type('audio/mpeg').sendFile(filePath);
+});
 
-${agentId === 'writer' ? `
-‼️ CRITICAL INSTRUCTIONS FOR SCRIPT:
-1. Write ONLY pure spoken narration - NO agent messages, NO meta-commentary
-2. Stay within ${this.targetWordCount.min}-${this.targetWordCount.max} words STRICTLY
-3. The script should read exactly as it will be spoken aloud
-` : ''}
-${agentId === 'critic' ? `
-‼️ CRITICAL CHECKS:
-1. Word count must be ${this.targetWordCount.min}-${this.targetWordCount.max} - REJECT if outside range
-2. Script must contain ONLY pure narration - REJECT if contains agent messages or meta-text
-3. No filler, no planning notes, no self-references
-` : ''}
-${agentId === 'voiceover' ? `
-‼️ YOUR TASK:
-1. Take the approved script
-2. REMOVE all [VISUAL], [EFFECT], [MUSIC], [PAUSE] tags and timestamps
-3. Clean it to be pure speakable text
-4. Use generate_voiceover tool to create the audio
-` : ''}
+// Re-render one script section's audio and reassemble the full voiceover
+app.post('/api/project/:id/voiceover/section', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const apiKey = req.body.apiKey || FAL_KEY;
+    const section = typeof req.body.section === 'string' ? req.body.section : '';
 
-Complete your task thoroughly and share results with the team.
-After completing your task, report back to @orchestrator.`,
-      recentMessages
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
+    if (FAL_KEY_REQUIRED && !apiKey) {
+      return res.status(400).json({ error: 'API key required' });
+    }
+    if (!section) {
+      return res.status(400).json({ error: 'Section required' });
+    }
+    if (req.body.voiceStyle !== undefined && !Object.hasOwn(VOICE_STYLES, req.body.voiceStyle)) {
+      return res.status(400).json({ error: `voiceStyle must be one of: ${Object.keys(VOICE_STYLES).join(', ')}` });
+    }
+    if (!SecurityUtils.checkRateLimit(id)) {
+      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
+    }
+
+    const engine = await getSession(id, apiKey);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const target = engine.messageBus.findSection(section);
+    if (!target) {
+      return res.status(400).json({ error: 'Unknown section' });
+    }
+
+    const voiceStyle = req.body.voiceStyle || engine.sectionAudio[target.id]?.voiceStyle || engine.pace().voiceStyle;
+    const result = await engine.generateSectionVoiceover(voiceStyle, { only: target.id });
+    if (!result.success) {
+      return res.status(422).json({ error: result.error });
+    }
+
+    const validation = QualityControl.validateVoiceoverText(
+      engine.getVoiceoverSections(voiceStyle).map(entry => entry.cleanText).join('\n\n'),
+      { pace: { ...engine.pace(), voiceStyle } }
     );
+    engine.recordVoiceover(result, voiceStyle, validation);
+    await saveSession(id);
 
-    await this.processAgentResponse(agentId, response);
+    res.json(engine.getState());
+  } catch (error) {
+    console.error('Section voiceover error:', error);
+    res.status(500).json({ error: 'Failed to regenerate section audio.' });
   }
+});
 
-  async performWebSearch(query, numResults = 5) {
-    try {
-      const completion = await this.openai.chat.completions.create({
-        model: SEARCH_MODEL,
-        plugins: [{
-          id: "web",
-          max_results: numResults
-        }],
-        messages: [
-          {
-            role: "system",
-            content: `You are a research assistant. Search the web for the given topic and summarize the findings in English.
+// Adapt the finalized script into other languages ({ languages: ["es", "de"] }, default: the channel
+// profile's localizeTo), each with its own voiceover unless { voiceover: false }
+app.post('/api/project/:id/localize', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const apiKey = req.body.apiKey || FAL_KEY;
+    const { voiceover = true, voiceStyle } = req.body;
 
-OUTPUT FORMAT:
-For each source:
-📌 [Title]
-   URL: [source url]
-   Summary: [2-3 sentence summary]
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
+    if (FAL_KEY_REQUIRED && !apiKey) {
+      return res.status(400).json({ error: 'API key required' });
+    }
+    if (typeof voiceover !== 'boolean') {
+      return res.status(400).json({ error: 'voiceover must be true or false' });
+    }
+    if (voiceStyle !== undefined && !Object.hasOwn(VOICE_STYLES, voiceStyle)) {
+      return res.status(400).json({ error: `voiceStyle must be one of: ${Object.keys(VOICE_STYLES).join(', ')}` });
+    }
+    if (!SecurityUtils.checkRateLimit(id)) {
+      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
+    }
 
-End with an overall assessment.`
-          },
-          {
-            role: "user",
-            content: `Research this topic: "${query}"`
-          }
-        ],
-        temperature: 0.3
-      });
+    const engine = await getSession(id, apiKey);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!engine.finalScript) {
+      return res.status(422).json({ error: 'Finalize the script before localizing it' });
+    }
 
-      const response = completion.choices[0]?.message;
-      let result = response?.content || 'No search results found.';
-
-      if (response?.annotations && response.annotations.length > 0) {
-        result += '\n\n📚 SOURCES:\n';
-        response.annotations.forEach((annotation, index) => {
-          if (annotation.type === 'url_citation' && annotation.url_citation) {
-            const cite = annotation.url_citation;
-            result += `${index + 1}. ${cite.title || 'Source'}\n   ${cite.url}\n`;
-          }
-        });
+    const requested = req.body.languages ?? engine.channel?.localizeTo ?? [];
+    const list = typeof requested === 'string' ? requested.split(',') : requested;
+    if (!Array.isArray(list) || list.length === 0) {
+      return res.status(400).json({ error: 'languages required (e.g. ["es", "de"])' });
+    }
+    const languages = [];
+    for (const value of list) {
+      const code = Languages.resolve(value);
+      if (!code) {
+        return res.status(400).json({ error: `Unknown language "${String(value).substring(0, 40)}". Use one of: ${Object.keys(LANGUAGES).join(', ')}` });
       }
+      if (code !== engine.language && !languages.includes(code)) languages.push(code);
+    }
+    if (languages.length === 0) {
+      return res.status(400).json({ error: 'The script is already in that language' });
+    }
 
-      return result;
-    } catch (error) {
-      console.error('Web search error:', error);
-      try {
-        const fallbackCompletion = await this.openai.chat.completions.create({
-          model: `${SEARCH_MODEL}:online`,
-          messages: [
-            {
-              role: "system",
-              content: "You are a research assistant. Gather information about the given topic and summarize in English."
-            },
-            {
-              role: "user",
-              content: `Research "${query}" and list important information.`
-            }
-          ],
-          temperature: 0.3
-        });
+    const { localized, errors } = await engine.localize(languages, { voiceover, voiceStyle });
+    await saveSession(id);
 
-        return fallbackCompletion.choices[0]?.message?.content || 'No search results found.';
-      } catch (fallbackError) {
-        console.error('Fallback search error:', fallbackError);
-        return `Search failed: ${error.message}. Please research manually.`;
-      }
+    if (localized.length === 0) {
+      return res.status(422).json({ error: 'Localization failed', errors });
     }
+    res.json({ ...engine.getState(), localized, errors });
+  } catch (error) {
+    console.error('Localize error:', error);
+    res.status(500).json({ error: 'Failed to localize script.' });
   }
+});
 
-  async generateVoiceover(text, voiceStyle = 'documentary') {
-    const voiceMap = {
-      documentary: 'NOpBlnGInO9m6vDvFkFC',
-      energetic: 'pNInz6obpgDQGcFmaJgB',
-      calm: 'EXAVITQu4vr4xnSDxMaL',
-      dramatic: 'VR6AewLTigWG4xSOukaG',
-      conversational: 'ThT5KcBeYPX3keUQqHPh'
-    };
+// Thumbnail gallery: the Creative's rendered concepts, regenerated with a new seed or selected
+app.get('/api/project/:id/thumbnails', async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    const voiceId = voiceMap[voiceStyle] || voiceMap.documentary;
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-    const styleSettings = {
-      documentary: { stability: 0.5, similarity_boost: 0.75, speed: 0.95 },
-      energetic: { stability: 0.4, similarity_boost: 0.8, speed: 1.1 },
-      calm: { stability: 0.7, similarity_boost: 0.7, speed: 0.9 },
-      dramatic: { stability: 0.3, similarity_boost: 0.85, speed: 0.85 },
-      conversational: { stability: 0.5, similarity_boost: 0.75, speed: 1.0 }
-    };
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-    const settings = styleSettings[voiceStyle] || styleSettings.documentary;
+    res.json({ thumbnails: engine.thumbnails });
+  } catch (error) {
+    console.error('Thumbnails error:', error);
+    res.status(500).json({ error: 'Failed to load thumbnails.' });
+  }
+});
 
-    try {
-      fal.config({
-        credentials: this.apiKey
-      });
+app.post('/api/project/:id/thumbnails/:thumbnailId/regenerate', async (req, res) => {
+  try {
+    const { id, thumbnailId } = req.params;
+    const apiKey = req.body.apiKey || FAL_KEY;
 
-      const maxChunkLength = 4000;
-      const chunks = [];
-      let currentChunk = '';
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
+    if (IMAGE_PROVIDER === 'fal' && !apiKey) {
+      return res.status(400).json({ error: 'API key required' });
+    }
+    if (!SecurityUtils.checkRateLimit(id)) {
+      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
+    }
 
-      const sentences = text.split(/(?<=[.!?])\s+/);
-      for (const sentence of sentences) {
-        if ((currentChunk + sentence).length > maxChunkLength) {
-          if (currentChunk) chunks.push(currentChunk.trim());
-          currentChunk = sentence;
-        } else {
-          currentChunk += ' ' + sentence;
-        }
-      }
-      if (currentChunk.trim()) chunks.push(currentChunk.trim());
+    const engine = await getSession(id, apiKey);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!engine.thumbnails.some(thumbnail => thumbnail.id === thumbnailId)) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+    if (engine.thumbnails.length >= MAX_THUMBNAILS) {
+      return res.status(409).json({ error: `Thumbnail limit reached (${MAX_THUMBNAILS} per project)` });
+    }
+
+    let thumbnail;
+    try {
+      thumbnail = await engine.regenerateThumbnail(thumbnailId);
+    } catch (error) {
+      console.error('Thumbnail regenerate error:', error);
+      return res.status(502).json({ error: `Thumbnail generation failed: ${error.message}` });
+    }
+    await saveSession(id);
 
-      const audioUrls = [];
+    res.json({ thumbnail, thumbnails: engine.thumbnails });
+  } catch (error) {
+    console.error('Thumbnail regenerate error:', error);
+    res.status(500).json({ error: 'Failed to regenerate thumbnail.' });
+  }
+});
 
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
+app.post('/api/project/:id/thumbnails/:thumbnailId/select', async (req, res) => {
+  try {
+    const { id, thumbnailId } = req.params;
 
-        this.messageBus.setThinking('orchestrator', true, `Generating audio... (${i + 1}/${chunks.length})`);
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-        const result = await fal.subscribe("fal-ai/elevenlabs/tts/eleven-v3", {
-          input: {
-            text: chunk,
-            voice: voiceId,
-            stability: settings.stability,
-            similarity_boost: settings.similarity_boost,
-            speed: settings.speed
-          },
-          logs: true
-        });
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!engine.selectThumbnail(thumbnailId)) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+    await saveSession(id);
 
-        if (result.data?.audio?.url) {
-          audioUrls.push({
-            url: result.data.audio.url,
-            duration: result.data.audio.duration,
-            contentType: result.data.audio.content_type
-          });
-        }
-      }
+    res.json({ thumbnails: engine.thumbnails });
+  } catch (error) {
+    console.error('Thumbnail select error:', error);
+    res.status(500).json({ error: 'Failed to select thumbnail.' });
+  }
+});
 
-      if (audioUrls.length > 0) {
-        return {
-          success: true,
-          url: audioUrls[0].url,
-          duration: audioUrls.reduce((sum, a) => sum + (a.duration || 0), 0),
-          contentType: audioUrls[0].contentType,
-          chunks: audioUrls
-        };
-      }
+app.post('/api/project/:id/duplicate', async (req, res) => {
+  try {
+    const { id } = req.params;
 
-      return { success: false, error: 'Could not generate audio file' };
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-    } catch (error) {
-      console.error('Voiceover generation error:', error);
-      return { success: false, error: error.message };
+    if (!SecurityUtils.checkRateLimit(id)) {
+      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
     }
-  }
 
-  getState() {
-    return {
-      isRunning: this.isRunning,
-      currentPhase: this.currentPhase,
-      topic: this.topic,
-      waitingForUser: this.waitingForUser,
-      pendingQuestion: this.pendingQuestion,
-      script: this.messageBus.getScript(),
-      messages: this.messageBus.getHistory(),
-      agents: Object.keys(this.agents).map(id => ({
-        id,
-        ...AGENT_PROFILES[id]
-      }))
+    const source = await loadSessionState(id);
+    if (!source) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const newId = SecurityUtils.generateSessionId();
+    const topic = SecurityUtils.sanitizeInput(req.body.topic || '') || `${source.topic} (continued)`;
+    const now = new Date().toISOString();
+
+    // Start the copy as a fresh clarification round that keeps research, script and agent memory
+    const copy = {
+      ...JSON.parse(JSON.stringify(source)),
+      sessionId: newId,
+      topic,
+      createdAt: now,
+      updatedAt: now,
+      isRunning: true,
+      currentPhase: 'clarification',
+      workflowState: null,
+      reports: [],
+      waitingForUser: true,
+      pendingQuestion: { question: 'What should change in this new video?' },
+      finalScript: null,
+      voiceover: null,
+      sectionAudio: {},
+      localizations: {},
+      metadata: null,
+      thumbnails: [],
+      currentIteration: 0,
+      archived: false,
+      duplicatedFrom: id
     };
-  }
 
-  reset() {
-    this.messageBus.clear();
-    this.isRunning = false;
-    this.currentPhase = 'idle';
-    this.topic = null;
-    this.waitingForUser = false;
-    this.pendingQuestion = null;
-    this.userPreferences = {};
-    this.finalScript = null;
-    this.currentIteration = 0;
+    copy.messageBus.messages.push({
+      id: Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      timestamp: now,
+      from: 'system',
+      fromName: 'System',
+      fromEmoji: '⚙️',
+      fromColor: '#6b7280',
+      to: 'user',
+      content: `Project duplicated from "${source.topic}" as "${topic}". The previous script and research are kept as a starting point - tell the Producer what this new video should do differently.`,
+      type: 'question'
+    });
+
+    await sessionStore.save(newId, copy);
+
+    res.json({ project: OrchestrationEngine.summarize(copy) });
+  } catch (error) {
+    console.error('Duplicate project error:', error);
+    res.status(500).json({ error: 'Failed to duplicate project.' });
+  }
+});
 
-    // Reset duration tracking
-    this.targetDuration = null;
-    this.targetWordCount = { min: 0, max: 0 };
+app.post('/api/project/:id/archive', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const archived = req.body.archived !== false;
 
-    for (const agent of Object.values(this.agents)) {
-      agent.conversationHistory = [];
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
     }
-  }
-}
 
-// ============================================
-// SESSION MANAGEMENT
-// ============================================
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-const sessions = new Map();
+    engine.archived = archived;
+    await saveSession(id);
 
-function getOrCreateSession(sessionId, apiKey) {
-  if (!sessions.has(sessionId)) {
-    sessions.set(sessionId, new OrchestrationEngine(apiKey));
+    res.json({ project: OrchestrationEngine.summarize(engine.toJSON()) });
+  } catch (error) {
+    console.error('Archive project error:', error);
+    res.status(500).json({ error: 'Failed to archive project.' });
   }
-  return sessions.get(sessionId);
-}
-
-// ============================================
-// SSE (Server-Sent Events) for real-time updates
-// ============================================
+});
 
-const sseClients = new Map();
+// Manual script editing from the script panel
+app.post('/api/project/:id/script/section', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { section, content, action = 'update', reason } = req.body;
 
-function sendSSE(sessionId, data) {
-  const clients = sseClients.get(sessionId) || [];
-  const message = `data: ${JSON.stringify(data)}\n\n`;
-  clients.forEach(res => res.write(message));
-}
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
+    if (typeof section !== 'string' || !section.trim() || section.length > 100) {
+      return res.status(400).json({ error: 'Section name required (max 100 characters)' });
+    }
+    if (!['create', 'update', 'delete'].includes(action)) {
+      return res.status(400).json({ error: 'Invalid action' });
+    }
+    if (action !== 'delete' && (typeof content !== 'string' || !content.trim())) {
+      return res.status(400).json({ error: 'Section content required' });
+    }
 
-// ============================================
-// API ENDPOINTS
-// ============================================
+    if (!SecurityUtils.checkRateLimit(id)) {
+      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
+    }
 
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-app.get('/api/events/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
+    const result = engine.editSection(
+      SecurityUtils.sanitizeInput(section),
+      action === 'delete' ? null : SecurityUtils.sanitizeInput(content),
+      { action, reason: SecurityUtils.sanitizeInput(reason || '').substring(0, 300) }
+    );
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    await saveSession(id);
 
-  // Validate session ID
-  if (!SecurityUtils.isValidSessionId(sessionId)) {
-    return res.status(400).json({ error: 'Invalid session ID format' });
+    res.json(engine.getState());
+  } catch (error) {
+    console.error('Edit script error:', error);
+    res.status(500).json({ error: 'Failed to save script edit.' });
   }
+});
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+// Lock a section against agent rewrites (the user can still edit it)
+app.post('/api/project/:id/script/lock', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { section, locked = true } = req.body;
 
-  if (!sseClients.has(sessionId)) {
-    sseClients.set(sessionId, []);
-  }
-  sseClients.get(sessionId).push(res);
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-  req.on('close', () => {
-    const clients = sseClients.get(sessionId) || [];
-    const index = clients.indexOf(res);
-    if (index !== -1) clients.splice(index, 1);
-  });
-});
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    const target = typeof section === 'string' ? engine.messageBus.findSection(section) : null;
+    if (!target) {
+      return res.status(400).json({ error: 'Unknown section' });
+    }
 
-// Check if server has API key configured
-app.get('/api/config', (req, res) => {
-  res.json({ hasServerApiKey: !!FAL_KEY });
+    engine.messageBus.setLocked(target.id, locked !== false);
+    await saveSession(id);
+
+    res.json({ scriptMeta: engine.getState().scriptMeta });
+  } catch (error) {
+    console.error('Lock section error:', error);
+    res.status(500).json({ error: 'Failed to update section lock.' });
+  }
 });
 
-app.post('/api/project/start', async (req, res) => {
+// Change the target length mid-project: { targetDuration } (minutes or "8-10 minutes") or { targetWords }.
+// Section budgets follow the new target on the next writing round.
+app.post('/api/project/:id/target', async (req, res) => {
   try {
-    const { topic, context } = req.body;
-    let { sessionId } = req.body;
-
-    // Use API key from request body or fall back to server config
-    const apiKey = req.body.apiKey || FAL_KEY;
+    const { id } = req.params;
 
-    // Validate API key
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key required' });
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
     }
-    if (!SecurityUtils.isValidApiKeyFormat(apiKey)) {
-      return res.status(400).json({ error: 'Invalid API key format' });
+    const { target, error } = DurationParser.fromFields(req.body);
+    if (error || !target) {
+      return res.status(400).json({ error: error || 'targetDuration or targetWords required' });
     }
 
-    // Validate topic
-    if (!topic) {
-      return res.status(400).json({ error: 'Topic required' });
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!engine.topic) {
+      return res.status(422).json({ error: 'Start the project before setting its target' });
     }
 
-    // Sanitize inputs
-    const sanitizedTopic = SecurityUtils.sanitizeInput(topic);
-    const sanitizedContext = SecurityUtils.sanitizeInput(context || '');
+    const previous = engine.targetDuration;
+    engine.announceTarget(engine.setTarget(target), previous);
+    await saveSession(id);
 
-    if (sanitizedTopic.length < 3) {
-      return res.status(400).json({ error: 'Topic too short (min 3 characters)' });
-    }
+    res.json({ target: engine.getState().target, budgets: engine.getSectionBudgets() });
+  } catch (error) {
+    console.error('Set target error:', error);
+    res.status(500).json({ error: 'Failed to update the target.' });
+  }
+});
 
-    // Generate or validate session ID
-    if (!sessionId) {
-      sessionId = SecurityUtils.generateSessionId();
-    } else if (!SecurityUtils.isValidSessionId(sessionId)) {
-      return res.status(400).json({ error: 'Invalid session ID format' });
-    }
+// Script version history: section versions (v1, v2, ...) and full drafts per revision round (D1, D2, ...)
+app.get('/api/project/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    // Rate limiting
-    if (!SecurityUtils.checkRateLimit(sessionId)) {
-      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
     }
 
-    const engine = getOrCreateSession(sessionId, apiKey);
-    engine.reset();
-
-    // Setup message listener for SSE
-    engine.messageBus.on('message', (msg) => {
-      sendSSE(sessionId, { type: 'message', data: msg });
-    });
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-    engine.messageBus.on('script_update', (script) => {
-      sendSSE(sessionId, { type: 'script', data: script });
-    });
+    const section = typeof req.query.section === 'string' ? req.query.section : null;
+    res.json(engine.getHistory(section));
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({ error: 'Failed to load script history.' });
+  }
+});
 
-    engine.messageBus.on('thinking', (data) => {
-      sendSSE(sessionId, { type: 'thinking', data });
-    });
+app.get('/api/project/:id/history/:versionId', async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
 
-    engine.messageBus.on('phase', (data) => {
-      sendSSE(sessionId, { type: 'phase', data });
-    });
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
 
-    await engine.start(sanitizedTopic, sanitizedContext);
+    const engine = await getSession(id);
+    const version = engine?.findVersion(versionId);
+    if (!version || versionId === 'current') {
+      return res.status(404).json({ error: 'Version not found' });
+    }
 
-    res.json({ ...engine.getState(), sessionId });
+    res.json(version);
   } catch (error) {
-    console.error('Start error:', error);
-    res.status(500).json({ error: 'Failed to start project. Please try again.' });
+    console.error('Version error:', error);
+    res.status(500).json({ error: 'Failed to load version.' });
   }
 });
 
-app.post('/api/project/respond', async (req, res) => {
+// ?from=v3&to=v7 compares section versions, ?from=D1&to=D2 compares full drafts; `to` defaults to current
+app.get('/api/project/:id/diff', async (req, res) => {
   try {
-    const { message, sessionId } = req.body;
+    const { id } = req.params;
+    const { from, to = 'current' } = req.query;
 
-    // Use API key from request body or fall back to server config
-    const apiKey = req.body.apiKey || FAL_KEY;
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
+    if (typeof from !== 'string' || typeof to !== 'string') {
+      return res.status(400).json({ error: 'from and to version IDs are required' });
+    }
 
-    // Validate API key
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key required' });
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Validate session ID
-    if (!sessionId || !SecurityUtils.isValidSessionId(sessionId)) {
-      return res.status(400).json({ error: 'Invalid session ID' });
+    const diff = engine.diffVersions(from, to);
+    if (diff.error) {
+      return res.status(400).json(diff);
     }
 
-    // Rate limiting
-    if (!SecurityUtils.checkRateLimit(sessionId)) {
-      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
+    res.json(diff);
+  } catch (error) {
+    console.error('Diff error:', error);
+    res.status(500).json({ error: 'Failed to compare versions.' });
+  }
+});
+
+app.post('/api/project/:id/history/:versionId/restore', async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
+
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
     }
 
-    const engine = sessions.get(sessionId);
+    const engine = await getSession(id);
     if (!engine) {
-      return res.status(404).json({ error: 'Session not found' });
+      return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Sanitize message
-    const sanitizedMessage = SecurityUtils.sanitizeInput(message || '');
-    if (sanitizedMessage.length < 1) {
-      return res.status(400).json({ error: 'Message cannot be empty' });
+    if (!engine.restoreVersion(versionId)) {
+      return res.status(404).json({ error: 'Version not found' });
     }
-
-    await engine.processUserResponse(sanitizedMessage);
+    await saveSession(id);
 
     res.json(engine.getState());
   } catch (error) {
-    console.error('Respond error:', error);
-    res.status(500).json({ error: 'Failed to process response. Please try again.' });
+    console.error('Restore version error:', error);
+    res.status(500).json({ error: 'Failed to restore version.' });
   }
 });
 
-app.post('/api/project/continue', async (req, res) => {
+// Mark a reviewer issue as resolved so it no longer blocks finalization
+app.post('/api/project/:id/issues/:issueId/resolve', async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const { id, issueId } = req.params;
 
-    // Validate session ID
-    if (!sessionId || !SecurityUtils.isValidSessionId(sessionId)) {
-      return res.status(400).json({ error: 'Invalid session ID' });
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
     }
 
-    // Rate limiting
-    if (!SecurityUtils.checkRateLimit(sessionId)) {
-      return res.status(429).json({ error: 'Rate limit exceeded. Please wait a moment.' });
+    const engine = await getSession(id);
+    if (!engine) {
+      return res.status(404).json({ error: 'Project not found' });
     }
 
-    const engine = sessions.get(sessionId);
-    if (!engine) {
-      return res.status(404).json({ error: 'Session not found' });
+    if (!engine.resolveIssue(issueId)) {
+      return res.status(404).json({ error: 'Issue not found' });
     }
+    await saveSession(id);
 
-    await engine.continueOrchestration();
+    res.json({ openIssues: engine.getOpenIssues() });
+  } catch (error) {
+    console.error('Resolve issue error:', error);
+    res.status(500).json({ error: 'Failed to resolve issue.' });
+  }
+});
 
-    res.json(engine.getState());
+app.delete('/api/project/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!SecurityUtils.isValidSessionId(id)) {
+      return res.status(400).json({ error: 'Invalid project ID format' });
+    }
+
+    await deleteSession(id);
+
+    // Close any open event streams for the deleted project
+    (sseClients.get(id) || []).forEach(client => client.end());
+    sseClients.delete(id);
+
+    res.json({ success: true });
   } catch (error) {
-    console.error('Continue error:', error);
-    res.status(500).json({ error: 'Failed to continue orchestration.' });
+    console.error('Delete project error:', error);
+    res.status(500).json({ error: 'Failed to delete project.' });
   }
 });
 
-app.get('/api/project/state/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
+app.get('/api/agents', (req, res) => {
+  // Return only safe public agent info
+  const safeAgentInfo = Object.entries(AGENT_PROFILES).reduce((acc, [id, profile]) => {
+    acc[id] = AgentRoster.publicInfo(profile);
+    return acc;
+  }, {});
+  res.json(safeAgentInfo);
+});
 
-  // Validate session ID
-  if (!SecurityUtils.isValidSessionId(sessionId)) {
-    return res.status(400).json({ error: 'Invalid session ID format' });
+// Full definition (including system prompt) for editing
+app.get('/api/agents/:id', (req, res) => {
+  const profile = AgentRoster.get(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: 'Agent not found' });
   }
+  res.json({ ...AgentRoster.publicInfo(profile), systemPrompt: profile.systemPrompt });
+});
 
-  const engine = sessions.get(sessionId);
-  if (!engine) {
-    return res.status(404).json({ error: 'Session not found' });
+app.post('/api/agents', async (req, res) => {
+  try {
+    const { valid, errors, profile } = AgentRoster.validate(req.body);
+    if (!valid) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    if (AgentRoster.get(profile.id)) {
+      return res.status(409).json({ error: 'An agent with this id already exists' });
+    }
+
+    const saved = await AgentRoster.save(profile);
+    res.status(201).json({ ...AgentRoster.publicInfo(saved), systemPrompt: saved.systemPrompt });
+  } catch (error) {
+    console.error('Create agent error:', error);
+    res.status(500).json({ error: 'Failed to create agent.' });
   }
+});
+
+app.put('/api/agents/:id', async (req, res) => {
+  try {
+    const existing = AgentRoster.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { valid, errors, profile } = AgentRoster.validate({ ...req.body, id: existing.id }, existing);
+    if (!valid) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
 
-  res.json(engine.getState());
+    const saved = await AgentRoster.save(profile);
+    res.json({ ...AgentRoster.publicInfo(saved), systemPrompt: saved.systemPrompt });
+  } catch (error) {
+    console.error('Update agent error:', error);
+    res.status(500).json({ error: 'Failed to update agent.' });
+  }
 });
 
-app.post('/api/project/reset', (req, res) => {
-  const { sessionId } = req.body;
+app.delete('/api/agents/:id', async (req, res) => {
+  try {
+    if (!(await AgentRoster.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json({ success: true, reset: AgentRoster.isBuiltin(req.params.id) });
+  } catch (error) {
+    console.error('Delete agent error:', error);
+    res.status(500).json({ error: 'Failed to delete agent.' });
+  }
+});
 
-  // Validate session ID
-  if (!sessionId || !SecurityUtils.isValidSessionId(sessionId)) {
-    return res.status(400).json({ error: 'Invalid session ID' });
+app.get('/api/workflows', (req, res) => {
+  res.json(WorkflowRegistry.list());
+});
+
+app.get('/api/languages', (req, res) => {
+  res.json(Languages.list());
+});
+
+app.get('/api/templates', (req, res) => {
+  res.json(TemplateRegistry.list());
+});
+
+app.get('/api/profiles', (req, res) => {
+  res.json(ChannelProfiles.list());
+});
+
+app.get('/api/profiles/:id', (req, res) => {
+  const profile = ChannelProfiles.get(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: 'Channel profile not found' });
   }
+  res.json(profile);
+});
 
-  const engine = sessions.get(sessionId);
-  if (engine) {
-    engine.reset();
+app.post('/api/profiles', async (req, res) => {
+  try {
+    const { valid, errors, profile } = ChannelProfiles.validate(req.body);
+    if (!valid) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    if (ChannelProfiles.get(profile.id)) {
+      return res.status(409).json({ error: 'A channel profile with this id already exists' });
+    }
+
+    res.status(201).json(await ChannelProfiles.save(profile));
+  } catch (error) {
+    console.error('Create profile error:', error);
+    res.status(500).json({ error: 'Failed to create channel profile.' });
   }
+});
 
-  res.json({ success: true });
+app.put('/api/profiles/:id', async (req, res) => {
+  try {
+    const existing = ChannelProfiles.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Channel profile not found' });
+    }
+
+    const { valid, errors, profile } = ChannelProfiles.validate({ ...req.body, id: existing.id }, existing);
+    if (!valid) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    res.json(await ChannelProfiles.save(profile));
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update channel profile.' });
+  }
 });
 
-app.get('/api/agents', (req, res) => {
-  // Return only safe public agent info
-  const safeAgentInfo = Object.entries(AGENT_PROFILES).reduce((acc, [id, profile]) => {
-    acc[id] = {
-      id: profile.id,
-      name: profile.name,
-      emoji: profile.emoji,
-      color: profile.color,
-      role: profile.role
-    };
-    return acc;
-  }, {});
-  res.json(safeAgentInfo);
+app.delete('/api/profiles/:id', async (req, res) => {
+  try {
+    if (!(await ChannelProfiles.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Channel profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete profile error:', error);
+    res.status(500).json({ error: 'Failed to delete channel profile.' });
+  }
 });
 
 // Error handling middleware
@@ -2119,6 +8954,9 @@ app.listen(PORT, () => {
 
   Model: ${AGENT_MODEL}
   Search Model: ${SEARCH_MODEL}
+  LLM Provider: ${LLM_PROVIDER}${LLM_PROVIDER === 'openai' ? ` (${LLM_BASE_URL})` : ''}
+  TTS Provider: ${TTS_PROVIDER}${TTS_PROVIDER === 'openai' ? ` (${TTS_BASE_URL})` : ''}
+  Image Provider: ${IMAGE_PROVIDER}${IMAGE_PROVIDER === 'fal' ? ` (${IMAGE_MODEL})` : ''}
 
   Agents:
   🎬 Producer      - Executive Producer
@@ -2134,6 +8972,7 @@ app.listen(PORT, () => {
   - POST /api/project/respond - Send user response
   - POST /api/project/continue - Continue orchestration
   - GET  /api/project/state   - Get current state
+  - GET  /api/projects        - Project library
   - GET  /api/events/:id      - SSE for real-time updates
   `);
 });